@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { analyzeSourceCode } from '../analyze-source.js';
+
+async function fixture(files) {
+  const root = await mkdtemp(join(tmpdir(), 'cpm-analyze-'));
+  for (const [path, content] of Object.entries(files)) {
+    await mkdir(dirname(join(root, path)), { recursive: true });
+    await writeFile(join(root, path), content);
+  }
+  return root;
+}
+
+test('error classes alone do not produce a try/catch comparison', async () => {
+  const root = await fixture({
+    'src/errors.js': 'export class NotFoundError extends Error {}\nexport class AuthError extends Error {}\n',
+  });
+  try {
+    const block = (await analyzeSourceCode(root)).blocks.find(b => b.categoryHint === 'error-handling');
+    assert.ok(block);
+    assert.doesNotMatch(block.content, /try\/catch/);
+    assert.match(block.content, /`NotFoundError` \(src\/errors\.js\)/);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test('try/catch dominance is reported with counts', async () => {
+  const handler = 'export async function run() {\n  try {\n    await work();\n  } catch (error) {\n    log(error);\n  }\n}\n';
+  const root = await fixture({ 'a.js': handler, 'b.js': handler, 'c.js': `${handler}fetch().catch(log);\n` });
+  try {
+    const block = (await analyzeSourceCode(root)).blocks.find(b => b.categoryHint === 'error-handling');
+    assert.match(block.content, /try\/catch \(3 blocks\) rather than promise \.catch\(\) chains \(1\)/);
+    assert.equal(block.file, 'a.js');
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test('layout provenance points at a file inside the largest directory', async () => {
+  const root = await fixture({
+    'src/lib/a.js': 'export const a = 1;\n',
+    'src/lib/b.js': 'export const b = 1;\n',
+    'src/lib/c.js': 'export const c = 1;\n',
+    'src/ui/d.js': 'export const d = 1;\n',
+    'scripts/e.js': 'export const e = 1;\n',
+  });
+  try {
+    const block = (await analyzeSourceCode(root)).blocks.find(b => b.categoryHint === 'file-structure');
+    assert.match(block.content, /`src\/lib\/` \(3\)/);
+    assert.match(block.file, /^src\/lib\/[abc]\.js$/);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test('repos without JavaScript or TypeScript yield no blocks', async () => {
+  const root = await fixture({ 'app/main.py': 'def main():\n    pass\n', 'go.mod': 'module x\n' });
+  try {
+    assert.deepEqual(await analyzeSourceCode(root), { blocks: [], sourceFiles: 0 });
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { runPool, withTimeout, buildRunReport } from '../batch.js';
+
+test('runPool keeps input order and respects the concurrency limit', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await runPool([30, 10, 20, 5], async (ms, index) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return index;
+  }, 2);
+
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
+
+test('withTimeout rejects with REPO_TIMEOUT and aborts the signal', async () => {
+  let seen;
+  await assert.rejects(
+    withTimeout(async signal => {
+      seen = signal;
+      await sleep(200);
+    }, 20),
+    error => error.code === 'REPO_TIMEOUT'
+  );
+  assert.equal(seen.aborted, true);
+  assert.equal(seen.reason.code, 'REPO_TIMEOUT');
+});
+
+test('a timed-out task that checks its signal writes nothing afterwards', async () => {
+  const writes = [];
+  let finished;
+  const task = async signal => {
+    await sleep(50);
+    signal.throwIfAborted();
+    writes.push('cache');
+  };
+
+  await assert.rejects(withTimeout(signal => (finished = task(signal)), 10), { code: 'REPO_TIMEOUT' });
+  await assert.rejects(finished, { code: 'REPO_TIMEOUT' });
+  assert.deepEqual(writes, []);
+});
+
+test('withTimeout without a deadline just runs the task', async () => {
+  assert.equal(await withTimeout(async signal => (signal.aborted ? 'aborted' : 'done'), 0), 'done');
+});
+
+test('buildRunReport totals', () => {
+  const report = buildRunReport([
+    { repo: 'a/a', status: 'ok', fragments: 3, redactions: 1 },
+    { repo: 'b/b', status: 'cached', fragments: 2, redactions: 0 },
+    { repo: 'c/c', status: 'empty', fragments: 0 },
+    { repo: 'd/d', status: 'timeout', fragments: 0 },
+    { repo: 'e/e', status: 'failed', fragments: 0 },
+  ], { startedAt: new Date(Date.now() - 1000), concurrency: 2, timeoutMs: 600000 });
+
+  assert.deepEqual(report.totals, { repos: 5, succeeded: 3, cached: 1, empty: 1, failed: 2, fragments: 5, redactions: 1 });
+  assert.ok(report.durationMs >= 1000);
+  assert.equal(report.repos.length, 5);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { loadCache, saveCache, hashFiles, partitionFiles, remoteHeadSha, localHeadSha, isDirty } from '../cache.js';
+
+let root;
+
+before(async () => {
+  root = await mkdtemp(join(tmpdir(), 'cpm-cache-'));
+  process.env.CACHE_DIR = join(root, '.cache');
+});
+
+after(async () => {
+  delete process.env.CACHE_DIR;
+  await rm(root, { recursive: true, force: true });
+});
+
+test('entries round-trip per key', async () => {
+  await saveCache('github.com/acme/web', { sha: 'abc', mode: 'docs', context: 'ctx', files: {}, fragments: [{ id: '1' }] });
+  const entry = await loadCache('github.com/acme/web');
+  assert.equal(entry.sha, 'abc');
+  assert.deepEqual(entry.fragments, [{ id: '1' }]);
+  assert.equal(await loadCache('github.com/acme/other'), null);
+});
+
+test('only changed files are re-extracted', async () => {
+  const a = { path: join(root, 'a.md'), relativePath: 'a.md' };
+  const b = { path: join(root, 'b.md'), relativePath: 'b.md' };
+  await writeFile(a.path, 'one');
+  await writeFile(b.path, 'two');
+  const hashes = await hashFiles([a, b]);
+  const entry = {
+    context: 'ctx',
+    files: {
+      'a.md': { hash: hashes.get('a.md'), fragments: [{ id: 'a' }] },
+      'b.md': { hash: 'stale', fragments: [{ id: 'b' }] },
+    },
+  };
+
+  const { changed, reused } = partitionFiles([a, b], hashes, entry, 'ctx');
+  assert.deepEqual(changed, [b]);
+  assert.deepEqual(reused.get('a.md'), [{ id: 'a' }]);
+
+  // A different context (stack, mode, ref) invalidates every file
+  assert.equal(partitionFiles([a, b], hashes, entry, 'other').changed.length, 2);
+});
+
+test('unreadable files are always treated as changed', async () => {
+  const missing = { path: join(root, 'missing.md'), relativePath: 'missing.md' };
+  const hashes = await hashFiles([missing]);
+  assert.equal(hashes.has('missing.md'), false);
+  const entry = { context: 'ctx', files: { 'missing.md': { hash: undefined, fragments: [] } } };
+  assert.deepEqual(partitionFiles([missing], hashes, entry, 'ctx').changed, [missing]);
+});
+
+test('HEAD SHA and dirty state of a checkout', async () => {
+  const repo = join(root, 'repo');
+  const git = args => execFileSync('git', ['-c', 'user.name=T', '-c', 'user.email=t@example.com', ...args], { cwd: root, stdio: 'pipe' });
+  git(['init', '-q', repo]);
+  await writeFile(join(repo, 'CLAUDE.md'), '# Rules\n');
+  git(['-C', repo, 'add', '-A']);
+  git(['-C', repo, 'commit', '-qm', 'init']);
+
+  assert.match(localHeadSha(repo), /^[0-9a-f]{40}$/);
+  assert.equal(isDirty(repo), false);
+  await writeFile(join(repo, 'CLAUDE.md'), '# Changed\n');
+  assert.equal(isDirty(repo), true);
+
+  assert.equal(await remoteHeadSha(`file://${repo}`), localHeadSha(repo));
+  assert.equal(localHeadSha(root), null);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { cloneRepo, checkoutRef, getRepoInfo, isLocalRepo } from '../clone.js';
+
+let root;
+let work;
+let bare;
+
+function git(args, cwd) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim();
+}
+
+before(async () => {
+  root = await mkdtemp(join(tmpdir(), 'cpm-clone-'));
+  work = join(root, 'work');
+  bare = join(root, 'fixture.git');
+  git(['init', '-q', '-b', 'main', work], root);
+  await writeFile(join(work, 'CLAUDE.md'), '# v1\n');
+  git(['add', '-A'], work);
+  git(['commit', '-qm', 'v1'], work);
+  git(['tag', 'v1'], work);
+  await writeFile(join(work, 'CLAUDE.md'), '# v2\n');
+  git(['commit', '-qam', 'v2'], work);
+  git(['init', '-q', '--bare', bare], root);
+  git(['push', '-q', bare, 'main', 'v1'], work);
+  git(['symbolic-ref', 'HEAD', 'refs/heads/main'], bare);
+});
+
+after(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test('a bare repo path is cloned, not treated as a working tree', async () => {
+  assert.equal(isLocalRepo(bare), false);
+
+  const result = await cloneRepo(bare, { retries: 0 });
+  try {
+    assert.equal(result.attempts, 1);
+    assert.equal(result.info.owner, 'local');
+    assert.equal(result.info.name, 'fixture');
+    assert.equal(result.info.ref, 'main');
+    assert.equal(await readFile(join(result.path, 'CLAUDE.md'), 'utf-8'), '# v2\n');
+    // Shallow: only the tip commit
+    assert.equal(git(['rev-list', '--count', 'HEAD'], result.path), '1');
+  } finally {
+    await rm(result.path, { recursive: true, force: true });
+  }
+});
+
+test('a path that is neither a working tree nor a bare repo is rejected', async () => {
+  await assert.rejects(cloneRepo(join(root, 'missing.git'), { retries: 2 }), /Cannot parse repo/);
+});
+
+test('getRepoInfo of a repo without a remote', () => {
+  assert.deepEqual(getRepoInfo(work), { owner: 'local', name: 'work', url: '' });
+});
+
+test('checkoutRef checks a tag out into a worktree and removes it', async () => {
+  const checkout = checkoutRef(work, 'v1');
+  assert.equal(checkout.sha, git(['rev-parse', 'v1^{commit}'], work));
+  assert.equal(await readFile(join(checkout.path, 'CLAUDE.md'), 'utf-8'), '# v1\n');
+  // The repo's own checkout is untouched
+  assert.equal(await readFile(join(work, 'CLAUDE.md'), 'utf-8'), '# v2\n');
+
+  checkout.remove();
+  assert.equal(existsSync(checkout.path), false);
+  assert.doesNotMatch(git(['worktree', 'list'], work), new RegExp(checkout.path));
+});
+
+test('checkoutRef fetches refs a shallow clone lacks', async () => {
+  const clone = await cloneRepo(bare, { retries: 0 });
+  try {
+    const checkout = checkoutRef(clone.path, 'v1');
+    try {
+      assert.equal(await readFile(join(checkout.path, 'CLAUDE.md'), 'utf-8'), '# v1\n');
+    } finally {
+      checkout.remove();
+    }
+  } finally {
+    await rm(clone.path, { recursive: true, force: true });
+  }
+});
+
+test('checkoutRef rejects unknown refs', () => {
+  assert.throws(() => checkoutRef(work, 'no-such-ref'), /Unknown ref "no-such-ref"/);
+});
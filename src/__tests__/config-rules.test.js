@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpretConfig, parseJsonc } from '../config-rules.js';
+
+const interpret = (relativePath, config) => interpretConfig(
+  { relativePath, category: 'linting', priority: 4 },
+  typeof config === 'string' ? config : JSON.stringify(config, null, 2)
+);
+
+test('parseJsonc drops comments and trailing commas but leaves strings alone', () => {
+  assert.deepEqual(parseJsonc([
+    '{',
+    '  // line comment',
+    '  "url": "https://example.com/*",',
+    '  "pattern": ",}", /* block */',
+    '  "list": ["a", "b", // last',
+    '  ],',
+    '}',
+  ].join('\n')), { url: 'https://example.com/*', pattern: ',}', list: ['a', 'b'] });
+  assert.deepEqual(parseJsonc('{ "glob": "**/*.ts,]" }'), { glob: '**/*.ts,]' });
+});
+
+test('tsconfig settings become one block each, on their own line', () => {
+  const blocks = interpret('tsconfig.json', '{\n  "compilerOptions": {\n    "strict": true,\n  },\n}');
+  const strict = blocks.find(b => b.section === 'tsconfig.json: strict');
+  assert.equal(strict.lineStart, 3);
+  assert.equal(strict.origin, 'config');
+});
+
+test('Biome rule levels: info is a warning, not an error', () => {
+  const blocks = interpret('biome.json', {
+    linter: { rules: { suspicious: { noExplicitAny: 'info', noConsoleLog: { level: 'error' } }, style: { useConst: 'off' } } },
+  });
+  const text = key => blocks.find(b => b.section === `biome.json: ${key}`).content;
+
+  assert.equal(text('linter'), 'Biome\'s recommended lint rules are enforced.');
+  assert.equal(text('noExplicitAny'), '`suspicious/noExplicitAny` is a warning — flags the `any` type.');
+  assert.equal(text('noConsoleLog'), '`suspicious/noConsoleLog` is an error — flags `console.log` calls.');
+  assert.match(text('useConst'), /is off — not flagged/);
+});
+
+test('a disabled Biome linter enforces nothing', () => {
+  const blocks = interpret('biome.json', {
+    formatter: { indentStyle: 'space', indentWidth: 4 },
+    linter: { enabled: false, rules: { recommended: true, suspicious: { noExplicitAny: 'error' } } },
+  });
+  assert.deepEqual(blocks.map(b => b.content), ['Code is formatted by Biome: 4-space indentation.']);
+});
+
+test('ESLint flat configs are analyzed without being run', () => {
+  const blocks = interpret('eslint.config.mjs', [
+    "import js from '@eslint/js';",
+    'export default [',
+    '  js.configs.recommended,',
+    "  { rules: { 'no-console': 'warn', eqeqeq: ['error', 'always'], } },",
+    '];',
+  ].join('\n'));
+  const contents = blocks.map(b => b.content);
+
+  assert.match(contents[0], /^ESLint extends `eslint:recommended`\. ESLint's recommended rules/);
+  assert.ok(contents.includes('`no-console` is a warning — flags `console.*` calls.'));
+  assert.ok(contents.includes('`eqeqeq` is an error — flags loose equality (`==` instead of `===`) (options: ["always"]).'));
+});
+
+test('unparseable configs fall back to the raw file', () => {
+  assert.equal(interpret('tsconfig.json', '{ not json'), null);
+});
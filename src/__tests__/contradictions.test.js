@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findContradictions } from '../contradictions.js';
+
+function fragment(id, repo, description, overrides = {}) {
+  return {
+    id,
+    stack: [],
+    category: 'imports',
+    type: 'rule',
+    title: 'Imports',
+    description,
+    source: { repo, file: 'CLAUDE.md', line: 10, url: '' },
+    confidence: 'high',
+    tags: [],
+    ...overrides,
+  };
+}
+
+test('do and do-not about the same subject across repos', () => {
+  const [conflict, ...rest] = findContradictions([
+    fragment('a', 'acme/web', '- Always use barrel files for shared components'),
+    fragment('b', 'acme/api', '- Never use barrel files for shared components', { type: 'anti-pattern' }),
+  ]);
+
+  assert.equal(rest.length, 0);
+  assert.equal(conflict.scope, 'cross-repo');
+  assert.deepEqual(conflict.statements.map(s => [s.fragmentId, s.polarity, s.line]), [['a', 'do', 10], ['b', 'dont', 10]]);
+  assert.ok(conflict.sharedTerms.includes('barrel'));
+});
+
+test('statements weighing two options are not contradictions', () => {
+  const conflicts = findContradictions([
+    fragment('a', 'acme/web', '- Use named exports rather than default exports in modules'),
+    fragment('b', 'acme/web', '- Never use default exports in modules'),
+  ]);
+  assert.deepEqual(conflicts, []);
+});
+
+test('code fences are ignored', () => {
+  const conflicts = findContradictions([
+    fragment('a', 'acme/web', '```\n// never use barrel files for shared components\n```'),
+    fragment('b', 'acme/web', '- Always use barrel files for shared components'),
+  ]);
+  assert.deepEqual(conflicts, []);
+});
+
+test('sibling packages may follow different rules', () => {
+  const conflicts = findContradictions([
+    fragment('a', 'acme/mono', '- Always use barrel files for shared components', { appliesTo: { directory: 'apps/web' } }),
+    fragment('b', 'acme/mono', '- Never use barrel files for shared components', { appliesTo: { directory: 'apps/admin' } }),
+  ]);
+  assert.deepEqual(conflicts, []);
+});
+
+test('unrelated categories without shared topics are not compared', () => {
+  const conflicts = findContradictions([
+    fragment('a', 'acme/web', '- Always use barrel files for shared components', { category: 'deployment' }),
+    fragment('b', 'acme/web', '- Never use barrel files for shared components', { category: 'testing' }),
+  ]);
+  assert.deepEqual(conflicts, []);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeDuplicates } from '../dedupe.js';
+
+function fragment(id, repo, overrides = {}) {
+  return {
+    id,
+    stack: [],
+    category: 'testing',
+    type: 'rule',
+    title: 'Testing',
+    description: 'Always write unit tests with vitest for every new module and run them in CI before merging.',
+    source: { repo, file: 'CLAUDE.md', line: 1, url: '' },
+    confidence: 'medium',
+    tags: [],
+    ...overrides,
+  };
+}
+
+test('near-duplicates across repos merge with consensus', () => {
+  const merged = mergeDuplicates([fragment('a', 'acme/web'), fragment('b', 'acme/api'), fragment('c', 'acme/app')]);
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].consensus, { repos: 3, fragments: 3, score: 0.936 });
+  // Two agreeing repos or more lift medium to high
+  assert.equal(merged[0].confidence, 'high');
+  assert.deepEqual(merged[0].sources.map(s => s.fragmentId), ['a', 'b', 'c']);
+});
+
+test('a single repo gets consensus without a confidence boost', () => {
+  const [only] = mergeDuplicates([fragment('a', 'acme/web')]);
+  assert.equal(only.confidence, 'medium');
+  assert.deepEqual(only.consensus, { repos: 1, fragments: 1, score: 0.6 });
+});
+
+test('the merged fragment keeps its own stack; sources keep theirs', () => {
+  const merged = mergeDuplicates([
+    fragment('a', 'acme/web', { stack: ['next.js@15.0.0'], tags: ['next.js'], confidence: 'high' }),
+    fragment('b', 'acme/ml', { stack: ['fastapi@0.110.0'], tags: ['fastapi'] }),
+  ]);
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].stack, ['next.js@15.0.0']);
+  assert.deepEqual(merged[0].tags, ['next.js']);
+  assert.deepEqual(merged[0].sources.map(s => s.stack), [['next.js@15.0.0'], ['fastapi@0.110.0']]);
+});
+
+test('rules and anti-patterns never merge', () => {
+  const merged = mergeDuplicates([fragment('a', 'acme/web'), fragment('b', 'acme/api', { type: 'anti-pattern' })]);
+  assert.equal(merged.length, 2);
+});
+
+test('fragments with different appliesTo scopes never merge', () => {
+  const merged = mergeDuplicates([
+    fragment('a', 'acme/web', { appliesTo: { directory: 'apps/web' } }),
+    fragment('b', 'acme/web', { appliesTo: { directory: 'apps/admin' } }),
+    fragment('c', 'acme/web'),
+  ]);
+  assert.equal(merged.length, 3);
+  assert.deepEqual(merged.map(f => f.appliesTo?.directory), ['apps/web', 'apps/admin', undefined]);
+});
+
+test('unrelated fragments stay apart', () => {
+  const merged = mergeDuplicates([
+    fragment('a', 'acme/web'),
+    fragment('b', 'acme/api', { title: 'Deploy', description: 'Deploy with Vercel from the main branch only.' }),
+  ], { threshold: 0.8 });
+  assert.equal(merged.length, 2);
+});
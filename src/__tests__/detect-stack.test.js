@@ -0,0 +1,78 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { detectStack } from '../detect-stack.js';
+
+const roots = [];
+
+afterEach(async () => {
+  while (roots.length > 0) await rm(roots.pop(), { recursive: true, force: true });
+});
+
+async function fixture(files) {
+  const root = await mkdtemp(join(tmpdir(), 'cpm-stack-'));
+  roots.push(root);
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(join(root, dirname(relativePath)), { recursive: true });
+    await writeFile(join(root, relativePath), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+const names = items => items.map(({ name, version }) => (version ? `${name}@${version}` : name));
+
+test('versions come from the lockfile; non-registry specifiers give no version', async () => {
+  const root = await fixture({
+    'package.json': {
+      packageManager: 'pnpm@9.1.0+sha256.abc',
+      dependencies: { next: 'latest', react: '^18.2.0', '@acme/ui': 'workspace:*', prisma: 'github:prisma/prisma' },
+    },
+    'pnpm-lock.yaml': "lockfileVersion: '9.0'\n\nimporters:\n\n  .:\n    dependencies:\n      next:\n        specifier: latest\n        version: 15.0.3(react@18.2.0)\n",
+  });
+  const { stack } = await detectStack(root);
+  assert.deepEqual(names(stack), ['next.js@15.0.3', 'react@18.2.0', 'prisma', 'pnpm@9.1.0']);
+});
+
+test('workspace membership follows the declared globs', async () => {
+  const root = await fixture({
+    'package.json': { workspaces: ['apps/*', 'packages/**', '!packages/internal/*'] },
+    'apps/web/package.json': { dependencies: { next: '^14.1.0' } },
+    'apps/web/nested/package.json': { dependencies: { vitest: '^1.0.0' } },
+    'packages/ui/react/package.json': { dependencies: { react: '18.2.0' } },
+    'packages/internal/tools/package.json': { dependencies: { tailwindcss: '^3.4.0' } },
+    'tools/scripts/package.json': { dependencies: { prisma: '^5.0.0' } },
+  });
+  const { stack, packages } = await detectStack(root);
+
+  assert.deepEqual(Object.keys(packages), ['apps/web', 'packages/ui/react']);
+  assert.deepEqual(names(stack), ['monorepo', 'next.js@14.1.0', 'react@18.2.0']);
+});
+
+test('pnpm-workspace.yaml globs', async () => {
+  const root = await fixture({
+    'package.json': { name: 'root' },
+    'pnpm-workspace.yaml': "packages:\n  - 'services/*'\n",
+    'services/api/package.json': { dependencies: { prisma: '^5.9.0' } },
+  });
+  const { stack, packages } = await detectStack(root);
+  assert.deepEqual(Object.keys(packages), ['services/api']);
+  assert.ok(names(stack).includes('prisma@5.9.0'));
+});
+
+test('each package gets its own stack; the root gets the union', async () => {
+  const root = await fixture({
+    'package.json': { workspaces: ['apps/*'], devDependencies: { vitest: '^1.2.0' } },
+    'apps/web/package.json': { dependencies: { next: '^14.1.0', tailwindcss: '^3.4.0' } },
+    'services/ml/pyproject.toml': '[project]\nrequires-python = ">=3.11"\ndependencies = ["fastapi>=0.110"]\n',
+    'examples/demo/package.json': { dependencies: { react: '^18.2.0' } },
+  });
+  const { stack, packages } = await detectStack(root);
+
+  assert.deepEqual(Object.fromEntries(Object.entries(packages).map(([dir, items]) => [dir, names(items)])), {
+    'apps/web': ['next.js@14.1.0', 'tailwind@3.4.0'],
+    'services/ml': ['python@3.11', 'fastapi@0.110'],
+  });
+  assert.deepEqual(names(stack), ['vitest@1.2.0', 'monorepo', 'next.js@14.1.0', 'tailwind@3.4.0', 'python@3.11', 'fastapi@0.110']);
+});
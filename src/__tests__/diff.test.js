@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, diffFragments, formatDiff, mapIds } from '../diff.js';
+
+function fragment(id, title, description, overrides = {}) {
+  return {
+    id,
+    stack: [],
+    category: 'testing',
+    type: 'rule',
+    title,
+    description,
+    source: { repo: 'acme/web', file: 'CLAUDE.md', line: 1, url: '' },
+    confidence: 'high',
+    tags: [],
+    ...overrides,
+  };
+}
+
+const at = (file, line) => ({ source: { repo: 'acme/web', file, line, url: '' } });
+
+const BEFORE = [
+  fragment('t1', 'Testing', '## Testing\nWrite unit tests with vitest.\nRun them in CI before merging.', at('CLAUDE.md', 3)),
+  fragment('d1', 'Deploy', '## Deploy\nDeploy from the main branch with the release workflow.', at('CLAUDE.md', 10)),
+  fragment('s1', 'Styling', '## Styling\nUse Tailwind utility classes for layout and spacing.', at('CLAUDE.md', 20)),
+];
+
+const AFTER = [
+  // Reworded, and shifted down by a line
+  fragment('t2', 'Testing', '## Testing\nWrite unit tests with vitest.\nRun them in CI on every pull request before merging.', at('CLAUDE.md', 4)),
+  // Same text, moved to another file
+  fragment('d1', 'Deploy', '## Deploy\nDeploy from the main branch with the release workflow.', at('docs/DEPLOY.md', 1)),
+  fragment('n1', 'Naming', '## Naming\nComponent files use PascalCase names.', at('CLAUDE.md', 30)),
+];
+
+test('diffLines marks kept, removed and added lines', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), ['  a', '- b', '+ x', '  c', '+ d']);
+  assert.deepEqual(diffLines([], ['a']), ['+ a']);
+  assert.deepEqual(diffLines(['a'], []), ['- a']);
+  assert.deepEqual(diffLines(['a'], ['a']), ['  a']);
+});
+
+test('fragments pair by content, not by ID or line', () => {
+  const diff = diffFragments(BEFORE, AFTER);
+
+  assert.deepEqual(diff.added.map(f => f.id), ['n1']);
+  assert.deepEqual(diff.removed.map(f => f.id), ['s1']);
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(diff.moved.map(m => [m.before.source.file, m.after.source.file]), [['CLAUDE.md', 'docs/DEPLOY.md']]);
+
+  const [modified, ...rest] = diff.modified;
+  assert.equal(rest.length, 0);
+  assert.deepEqual([modified.before.id, modified.after.id], ['t1', 't2']);
+  assert.ok(modified.similarity >= 0.5 && modified.similarity < 1);
+  assert.deepEqual(modified.diff, [
+    '  ## Testing',
+    '  Write unit tests with vitest.',
+    '- Run them in CI before merging.',
+    '+ Run them in CI on every pull request before merging.',
+  ]);
+});
+
+test('field changes are listed without a text diff when the text is the same', () => {
+  const before = [fragment('a', 'Snapshots', 'Snapshot tests for components.', { type: 'rule', confidence: 'medium' })];
+  const after = [fragment('a', 'Snapshots', 'Snapshot tests for components.', { type: 'anti-pattern', confidence: 'high' })];
+  const { modified: [modified], unchanged } = diffFragments(before, after);
+
+  assert.equal(unchanged, 0);
+  assert.deepEqual(modified.changes, ['type: rule → anti-pattern', 'confidence: medium → high']);
+  assert.deepEqual(modified.diff, []);
+});
+
+test('a higher threshold turns a rewording into a removal and an addition', () => {
+  const diff = diffFragments(BEFORE.slice(0, 1), AFTER.slice(0, 1), { threshold: 0.99 });
+  assert.deepEqual([diff.added.length, diff.removed.length, diff.modified.length], [1, 1, 0]);
+});
+
+test('text, markdown and json output', () => {
+  const diff = diffFragments(BEFORE, AFTER);
+  const labels = { from: 'v1', to: 'v2' };
+
+  const text = formatDiff(diff, 'text', labels);
+  assert.match(text, /^Knowledge diff v1 → v2: 1 added, 1 removed, 1 modified, 1 unchanged \(1 moved\)\n/);
+  assert.match(text, /\n {2}\+ \[testing\/rule\] Naming {2}\(acme\/web\/CLAUDE\.md:30\)\n/);
+  assert.match(text, /\n {2}- \[testing\/rule\] Styling {2}\(acme\/web\/CLAUDE\.md:20\)\n/);
+  assert.match(text, /\n {2}~ \[testing\/rule\] Testing {2}\(acme\/web\/CLAUDE\.md:3 → acme\/web\/CLAUDE\.md:4, similarity [\d.]+\)\n/);
+  assert.match(text, /\n {6}\+ Run them in CI on every pull request before merging\./);
+  assert.match(text, /Moved:\n {2}> \[testing\/rule\] Deploy {2}\(acme\/web\/CLAUDE\.md:10 → acme\/web\/docs\/DEPLOY\.md:1\)$/);
+
+  const markdown = formatDiff(diff, 'markdown', labels);
+  assert.match(markdown, /^## Knowledge diff: `v1` → `v2`\n/);
+  assert.match(markdown, /```diff\n ## Testing\n Write unit tests with vitest\.\n-Run them in CI before merging\.\n\+Run them in CI on every pull request before merging\.\n```/);
+
+  const json = JSON.parse(formatDiff(diff, 'json', labels));
+  assert.deepEqual(json.summary, { added: 1, removed: 1, modified: 1, moved: 1, unchanged: 1 });
+  assert.equal(json.from, 'v1');
+
+  assert.throws(() => formatDiff(diff, 'html', labels), /Unknown format "html"/);
+});
+
+test('mapIds pairs changed IDs by content', () => {
+  // d1 kept its ID, s1 has no counterpart, n1 is new
+  assert.deepEqual(mapIds(BEFORE, AFTER), { t1: 't2' });
+  assert.deepEqual(mapIds(BEFORE, BEFORE), {});
+});
+
+test('mapIds never pairs fragments of different repos', () => {
+  const rule = 'Write unit tests with vitest and run them in CI before merging.';
+  const web = { source: { repo: 'acme/web', file: 'CLAUDE.md', line: 1, url: '' } };
+  const api = { source: { repo: 'acme/api', file: 'CLAUDE.md', line: 1, url: '' } };
+  const before = [fragment('web1', 'Testing', rule, web), fragment('api1', 'Testing', rule, api)];
+
+  // acme/web dropped the rule and acme/api edited it: the web copy is gone, not renamed
+  const after = [fragment('api2', 'Testing', `${rule} Keep them fast.`, api)];
+  assert.deepEqual(mapIds(before, after), { api1: 'api2' });
+  assert.deepEqual(mapIds([before[0]], after), {});
+});
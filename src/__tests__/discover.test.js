@@ -0,0 +1,145 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { execFileSync } from 'node:child_process';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { discoverFiles } from '../discover.js';
+
+const roots = [];
+
+afterEach(async () => {
+  while (roots.length > 0) await rm(roots.pop(), { recursive: true, force: true });
+});
+
+/**
+ * Create a repo fixture (not a git checkout) from a map of relative path → content
+ */
+async function fixture(files) {
+  const root = await mkdtemp(join(tmpdir(), 'cpm-discover-'));
+  roots.push(root);
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(join(root, dirname(relativePath)), { recursive: true });
+    await writeFile(join(root, relativePath), content);
+  }
+  return root;
+}
+
+const byPath = found => Object.fromEntries(found.map(f => [f.relativePath, f]));
+
+test('a .cursor/rules directory contributes each .mdc file', async () => {
+  const root = await fixture({
+    '.cursor/rules/components.mdc': '---\nglobs: app/**/*.tsx\n---\nUse server components.',
+    '.cursor/rules/api/routes.mdc': '---\nalwaysApply: true\n---\nValidate input.',
+    '.cursor/rules/notes.json': '{}',
+  });
+  const found = byPath(await discoverFiles(root));
+
+  assert.deepEqual(Object.keys(found).sort(), ['.cursor/rules/api/routes.mdc', '.cursor/rules/components.mdc']);
+  assert.equal(found['.cursor/rules/components.mdc'].category, 'ai-instructions');
+  assert.equal(found['.cursor/rules/components.mdc'].priority, 1);
+});
+
+test('a legacy .cursor/rules file is still picked up', async () => {
+  const root = await fixture({ '.cursor/rules': 'Always use pnpm.' });
+  const found = await discoverFiles(root);
+  assert.deepEqual(found.map(f => f.relativePath), ['.cursor/rules']);
+});
+
+test('nested instruction files are found with their directory scope and package', async () => {
+  const root = await fixture({
+    'CLAUDE.md': '# Root',
+    'apps/web/CLAUDE.md': '# Web',
+    'apps/web/package.json': JSON.stringify({ name: '@acme/web' }),
+    'packages/db/.cursor/rules/queries.mdc': 'Use the query builder.',
+    'services/api/CONTRIBUTING.md': '# API',
+    'services/api/README.md': '# Nested READMEs are noise',
+    'node_modules/lib/CLAUDE.md': '# Vendored',
+  });
+  const found = byPath(await discoverFiles(root));
+
+  assert.deepEqual(Object.keys(found).sort(), [
+    'CLAUDE.md', 'apps/web/CLAUDE.md', 'packages/db/.cursor/rules/queries.mdc', 'services/api/CONTRIBUTING.md',
+  ]);
+  assert.equal(found['CLAUDE.md'].scope, undefined);
+  assert.equal(found['apps/web/CLAUDE.md'].scope, 'apps/web');
+  assert.equal(found['apps/web/CLAUDE.md'].package, '@acme/web');
+  assert.equal(found['packages/db/.cursor/rules/queries.mdc'].scope, 'packages/db');
+  assert.equal(found['packages/db/.cursor/rules/queries.mdc'].package, null);
+  assert.equal(found['services/api/CONTRIBUTING.md'].priority, 3);
+});
+
+test('the walk honors .gitignore, depth and count limits', async (t) => {
+  const root = await fixture({
+    '.gitignore': '# local\nscratch/\n/tmp\n*.local.md\n',
+    'scratch/CLAUDE.md': '# Ignored directory',
+    'tmp/CLAUDE.md': '# Anchored',
+    'a/CLAUDE.md': '# Kept',
+    'a/b/c/d/CLAUDE.md': '# Too deep',
+    'e/f/g/CLAUDE.md': '# Depth 3',
+  });
+  const nested = async () => (await discoverFiles(root)).map(f => f.relativePath).sort();
+
+  t.after(() => {
+    delete process.env.NESTED_MAX_DEPTH;
+    delete process.env.NESTED_MAX_FILES;
+  });
+  process.env.NESTED_MAX_DEPTH = '3';
+  assert.deepEqual(await nested(), ['a/CLAUDE.md', 'e/f/g/CLAUDE.md']);
+
+  process.env.NESTED_MAX_FILES = '1';
+  t.mock.method(console, 'warn', () => {});
+  assert.equal((await nested()).length, 1);
+  assert.match(console.warn.mock.calls[0].arguments[0], /^\[WARN\] Nested instruction file limit \(1\)/);
+});
+
+test('git checkouts use nested .gitignore files too', async () => {
+  const root = await fixture({
+    'apps/web/.gitignore': 'generated/\n',
+    'apps/web/generated/CLAUDE.md': '# Generated',
+    'apps/web/CLAUDE.md': '# Web',
+  });
+  execFileSync('git', ['init', '-q'], { cwd: root });
+  const found = await discoverFiles(root);
+  assert.deepEqual(found.map(f => f.relativePath), ['apps/web/CLAUDE.md']);
+});
+
+test('@imports and relative links from instruction files are followed', async () => {
+  const root = await fixture({
+    'CLAUDE.md': [
+      'See @docs/conventions.md and [API rules](./guides/api.md#routes "API").',
+      'Ignored: [site](https://example.com/x.md), [anchor](#top), `@inline.md`, [image](logo.png)',
+      '```',
+      '@fenced.md',
+      '```',
+    ].join('\n'),
+    'docs/conventions.md': 'Back to [root](../CLAUDE.md); next @../guides/style.md',
+    'guides/api.md': 'Routes',
+    'guides/style.md': 'Style',
+    'inline.md': 'x',
+    'fenced.md': 'x',
+  });
+  const found = byPath(await discoverFiles(root));
+
+  assert.deepEqual(Object.keys(found).sort(), ['CLAUDE.md', 'docs/conventions.md', 'guides/api.md', 'guides/style.md']);
+  // docs/ files the AI is pointed at are upgraded from documentation
+  assert.deepEqual([found['docs/conventions.md'].priority, found['docs/conventions.md'].category], [1, 'ai-instructions']);
+  assert.equal(found['docs/conventions.md'].importedFrom, 'CLAUDE.md');
+  assert.equal(found['guides/api.md'].importedFrom, 'CLAUDE.md');
+  assert.equal(found['guides/style.md'].importedFrom, 'docs/conventions.md');
+});
+
+test('references inherit scope, stop at the depth limit and stay inside the repo', async (t) => {
+  const root = await fixture({
+    'apps/web/CLAUDE.md': '@one.md and [outside](../../../outside.md)',
+    'apps/web/one.md': '@two.md',
+    'apps/web/two.md': '@three.md',
+    'apps/web/three.md': 'end',
+  });
+  t.after(() => delete process.env.IMPORT_MAX_DEPTH);
+  process.env.IMPORT_MAX_DEPTH = '2';
+  const found = byPath(await discoverFiles(root));
+
+  assert.deepEqual(Object.keys(found).sort(), ['apps/web/CLAUDE.md', 'apps/web/one.md', 'apps/web/two.md']);
+  assert.equal(found['apps/web/two.md'].scope, 'apps/web');
+});
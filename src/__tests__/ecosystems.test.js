@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { detectEcosystems } from '../ecosystems.js';
+
+const roots = [];
+
+afterEach(async () => {
+  while (roots.length > 0) await rm(roots.pop(), { recursive: true, force: true });
+});
+
+async function detect(files) {
+  const root = await mkdtemp(join(tmpdir(), 'cpm-ecosystems-'));
+  roots.push(root);
+  for (const [relativePath, content] of Object.entries(files)) {
+    await mkdir(join(root, dirname(relativePath)), { recursive: true });
+    await writeFile(join(root, relativePath), content);
+  }
+  return (await detectEcosystems(root)).map(({ name, version, category }) => `${name}@${version}:${category}`);
+}
+
+test('go.mod: Go version and modules, major version suffixes dropped', async () => {
+  assert.deepEqual(await detect({
+    'go.mod': 'module example.com/svc\n\ngo 1.22\n\nrequire (\n\tgithub.com/gin-gonic/gin v1.9.1\n\tgithub.com/jackc/pgx/v5 v5.5.0\n\tgithub.com/other/lib v0.1.0\n)\n',
+  }), ['go@1.22:language', 'gin@1.9.1:framework', 'pgx@5.5.0:database']);
+});
+
+test('Cargo.toml with exact versions from Cargo.lock', async () => {
+  assert.deepEqual(await detect({
+    'Cargo.toml': '[package]\nname = "svc"\nrust-version = "1.75"\n\n[dependencies]\naxum = "0.7"\ntokio = { version = "1", features = ["full"] }\n',
+    'Cargo.lock': '[[package]]\nname = "axum"\nversion = "0.7.4"\n\n[[package]]\nname = "tokio"\nversion = "1.36.0"\n',
+  }), ['rust@1.75:language', 'axum@0.7.4:framework', 'tokio@1.36.0:runtime']);
+});
+
+test('Gemfile with versions from Gemfile.lock and .ruby-version', async () => {
+  assert.deepEqual(await detect({
+    'Gemfile': "source 'https://rubygems.org'\ngem 'rails', '~> 7.1'\ngem 'pg'\ngem 'sidekiq', '>= 7'\n",
+    'Gemfile.lock': 'GEM\n  specs:\n    rails (7.1.3)\n    pg (1.5.4)\n',
+    '.ruby-version': 'ruby-3.3.0\n',
+  }), ['ruby@3.3.0:language', 'rails@7.1.3:framework', 'postgres@1.5.4:database', 'sidekiq@7:jobs']);
+});
+
+test('composer.json with versions from composer.lock', async () => {
+  assert.deepEqual(await detect({
+    'composer.json': JSON.stringify({ require: { php: '^8.2', 'laravel/framework': '^11.0' }, 'require-dev': { 'pestphp/pest': '^2.0' } }),
+    'composer.lock': JSON.stringify({ packages: [{ name: 'laravel/framework', version: 'v11.5.0' }], 'packages-dev': [] }),
+  }), ['php@8.2:language', 'laravel@11.5.0:framework', 'pest@2.0:testing']);
+});
+
+test('pom.xml: parent version and property placeholders', async () => {
+  assert.deepEqual(await detect({
+    'pom.xml': [
+      '<project>',
+      '  <parent><groupId>org.springframework.boot</groupId><artifactId>spring-boot-starter-parent</artifactId><version>3.2.1</version></parent>',
+      '  <properties><java.version>21</java.version><flyway.version>10.4.0</flyway.version></properties>',
+      '  <dependencies>',
+      '    <dependency><groupId>org.flywaydb</groupId><artifactId>flyway-core</artifactId><version>${flyway.version}</version></dependency>',
+      '  </dependencies>',
+      '</project>',
+    ].join('\n'),
+  }), ['java@21:language', 'spring-boot@3.2.1:framework', 'flyway@10.4.0:database']);
+});
+
+test('build.gradle.kts: toolchain, Kotlin and plugins', async () => {
+  assert.deepEqual(await detect({
+    'build.gradle.kts': [
+      'plugins {',
+      '  kotlin("jvm") version "1.9.22"',
+      '  id("io.ktor.plugin") version "2.3.7"',
+      '}',
+      'java { toolchain { languageVersion.set(JavaLanguageVersion.of(17)) } }',
+      'dependencies { testImplementation("org.junit.jupiter:junit-jupiter:5.10.1") }',
+    ].join('\n'),
+  }), ['java@17:language', 'kotlin@1.9.22:language', 'ktor@2.3.7:framework', 'junit@5.10.1:testing']);
+});
+
+test('*.csproj below the root, with central package versions', async () => {
+  assert.deepEqual(await detect({
+    'src/Api/Api.csproj': '<Project Sdk="Microsoft.NET.Sdk.Web"><PropertyGroup><TargetFramework>net8.0</TargetFramework></PropertyGroup><ItemGroup><PackageReference Include="Microsoft.EntityFrameworkCore.Design" /><PackageReference Include="Serilog" Version="3.1.1" /></ItemGroup></Project>',
+    'Directory.Packages.props': '<Project><ItemGroup><PackageVersion Include="Microsoft.EntityFrameworkCore.Design" Version="8.0.1" /></ItemGroup></Project>',
+  }), ['dotnet@8.0:language', 'aspnetcore@8.0:framework', 'ef-core@8.0.1:orm', 'serilog@3.1.1:logging']);
+});
+
+test('Python: pyproject, Poetry groups and requirements.txt, with lockfile versions', async () => {
+  assert.deepEqual(await detect({
+    'pyproject.toml': [
+      '[project]',
+      'requires-python = ">=3.11"',
+      'dependencies = [',
+      '  "fastapi[all]>=0.110",',
+      '  "SQLAlchemy>=2.0",',
+      ']',
+      '',
+      '[tool.poetry.group.dev.dependencies]',
+      'pytest = "^8.0"',
+    ].join('\n'),
+    'requirements.txt': '# extra\ncelery==5.3.6 ; python_version > "3.8"\n-r base.txt\n',
+    'uv.lock': '[[package]]\nname = "fastapi"\nversion = "0.110.2"\n',
+  }), ['python@3.11:language', 'fastapi@0.110.2:framework', 'sqlalchemy@2.0:orm', 'pytest@8.0:testing', 'celery@5.3.6:jobs']);
+});
+
+test('directories without manifests detect nothing', async () => {
+  assert.deepEqual(await detect({ 'README.md': '# Docs' }), []);
+});
@@ -0,0 +1,62 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { runEval, DEFAULT_CORPUS_DIR } from '../eval.js';
+
+// Rounding in the report is to three decimals
+const TOLERANCE = 0.001;
+
+const roots = [];
+
+after(async () => {
+  for (const root of roots) await rm(root, { recursive: true, force: true });
+});
+
+test('the heuristic classifier does not regress against eval/baseline.json', async () => {
+  const baseline = JSON.parse(await readFile(new URL('../../eval/baseline.json', import.meta.url), 'utf-8'));
+  const report = await runEval({ corpusDir: DEFAULT_CORPUS_DIR });
+
+  assert.deepEqual(report.corpus, baseline.corpus, 'corpus or labels changed — regenerate eval/baseline.json');
+  for (const labels of ['category', 'type']) {
+    for (const metric of ['accuracy', 'macroF1']) {
+      assert.ok(report[labels][metric] >= baseline[labels][metric] - TOLERANCE, `${labels} ${metric}: ${report[labels][metric]} < ${baseline[labels][metric]}`);
+    }
+  }
+  for (const rate of ['falseDropRate', 'falseKeepRate']) {
+    assert.ok(report.signal[rate] <= baseline.signal[rate] + TOLERANCE, `${rate}: ${report.signal[rate]} > ${baseline.signal[rate]}`);
+  }
+});
+
+test('scores, filter mistakes and unlabeled sections on a small corpus', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'cpm-eval-'));
+  roots.push(root);
+  await mkdir(join(root, 'corpus'));
+  await writeFile(join(root, 'corpus', 'CLAUDE.md'), [
+    '# Testing',
+    'Always write unit tests with vitest and run them in CI before merging.',
+    '# Deploy',
+    'Deploy with Vercel from the main branch only; never deploy on Fridays.',
+    '# Changelog',
+    'v1.0.0 released.',
+    '# Extra',
+    'Not labeled.',
+  ].join('\n'));
+  await writeFile(join(root, 'expected.json'), JSON.stringify({
+    'CLAUDE.md': {
+      Testing: { keep: true, category: 'testing', type: 'rule' },
+      Deploy: { keep: true, category: 'testing', type: 'rule' },
+      Changelog: { keep: false },
+    },
+  }));
+  const classifier = { name: 'fixed', classify: () => ({ category: 'testing', type: 'rule' }) };
+
+  const report = await runEval({ corpusDir: join(root, 'corpus'), classifier });
+  assert.equal(report.classifier, 'fixed');
+  assert.deepEqual(report.corpus, { files: 1, sections: 3, keep: 2, drop: 1, unlabeled: ['CLAUDE.md > Extra'] });
+  assert.deepEqual(report.signal.falseKeeps, []);
+  assert.equal(report.category.accuracy, 1);
+  assert.deepEqual(report.category.confusion, { testing: { testing: 2 } });
+  assert.deepEqual(report.mistakes, []);
+});
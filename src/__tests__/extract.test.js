@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { extractKnowledge } from '../extract.js';
+import { classifyFragments } from '../classify.js';
+
+let root;
+
+before(async () => {
+  root = await mkdtemp(join(tmpdir(), 'cpm-extract-'));
+});
+
+after(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+async function extract(content, options) {
+  await writeFile(join(root, 'CLAUDE.md'), content);
+  const file = { path: join(root, 'CLAUDE.md'), relativePath: 'CLAUDE.md', category: 'ai-instructions', priority: 1 };
+  return extractKnowledge([file], root, options);
+}
+
+const RULES = [
+  '# Project',
+  '',
+  '## Testing',
+  '',
+  '- Always write unit tests with vitest for new modules.',
+  '  - Nested: snapshot tests are not allowed.',
+  '- Never mock the database in integration tests.',
+  '',
+  '  ```ts',
+  '  const db = await startContainer();',
+  '  ```',
+  '1. Run the whole suite before pushing to main.',
+  '',
+  '❌ Do not call fetch() directly in components',
+  '✅ Use the api client from lib/api instead',
+].join('\n');
+
+test('sections stay whole without atomic mode', async () => {
+  const blocks = await extract(RULES);
+  assert.equal(blocks.length, 1);
+  assert.equal(blocks[0].section, 'Testing');
+  assert.equal(blocks[0].breadcrumb, 'Project > Testing');
+});
+
+test('atomic mode makes one block per rule with its own line range', async () => {
+  const blocks = await extract(RULES, { atomic: true });
+  assert.deepEqual(blocks.map(b => [b.lineStart, b.lineEnd]), [[5, 6], [7, 11], [12, 12], [14, 15]]);
+  // Nested items and fenced code stay with their item
+  assert.match(blocks[0].content, /Nested: snapshot tests/);
+  assert.match(blocks[1].content, /startContainer/);
+  // A ❌ directly followed by its ✅ is one rule
+  assert.match(blocks[3].content, /^❌.*\n✅/);
+  for (const block of blocks) {
+    assert.equal(block.parentSection, 'Testing');
+    assert.equal(block.breadcrumb, 'Project > Testing');
+  }
+});
+
+test('sections with a single rule are not split', async () => {
+  const blocks = await extract('## Testing\n\n- Always write unit tests with vitest for new modules.\n', { atomic: true });
+  assert.equal(blocks.length, 1);
+  assert.equal(blocks[0].parentSection, undefined);
+});
+
+test('bare link lists are not rules', async () => {
+  const blocks = await extract('## Testing\n\n- [Testing guide](docs/testing.md)\n- [CI setup](docs/ci.md)\n- Always run vitest in CI before merging.\n- Never skip flaky tests without a ticket.\n', { atomic: true });
+  assert.deepEqual(blocks.map(b => b.content), ['- Always run vitest in CI before merging.', '- Never skip flaky tests without a ticket.']);
+});
+
+test('.mdc front matter becomes the applicability scope', async () => {
+  await writeFile(join(root, 'components.mdc'), '---\ndescription: React components\nglobs: app/**/*.tsx, components/**/*.tsx\nalwaysApply: false\n---\nAlways use server components unless the component needs state.\n');
+  const file = { path: join(root, 'components.mdc'), relativePath: '.cursor/rules/components.mdc', category: 'ai-instructions', priority: 1 };
+  const [block] = await extractKnowledge([file], root);
+
+  assert.equal(block.section, 'React components');
+  assert.equal(block.lineStart, 6);
+  assert.deepEqual(block.appliesTo, { globs: ['app/**/*.tsx', 'components/**/*.tsx'], alwaysApply: false });
+});
+
+test('rules after blank lines or front matter keep their own line numbers', async () => {
+  await writeFile(join(root, 'server.mdc'), '---\ndescription: Server components\nalwaysApply: true\n---\n\n\n- Always fetch data in server components.\n- Never import client hooks in server components.\n');
+  const file = { path: join(root, 'server.mdc'), relativePath: '.cursor/rules/server.mdc', category: 'ai-instructions', priority: 1 };
+  const blocks = await extractKnowledge([file], root, { atomic: true });
+  const repoInfo = { owner: 'acme', name: 'web', provider: 'github', url: 'https://github.com/acme/web', host: 'github.com', ref: 'main' };
+  const fragments = await classifyFragments(blocks, { stack: [], packages: {} }, repoInfo);
+
+  assert.deepEqual(fragments.map(f => f.source.line), [7, 8]);
+  assert.equal(fragments[0].source.url, 'https://github.com/acme/web/blob/main/.cursor/rules/server.mdc#L7');
+});
+
+test('nested files record the directory and package they apply to', async () => {
+  const file = { path: join(root, 'CLAUDE.md'), relativePath: 'packages/db/CLAUDE.md', category: 'ai-instructions', priority: 1, scope: 'packages/db', package: '@acme/db' };
+  await writeFile(file.path, '## Queries\n\nAlways use the query builder instead of raw SQL strings.\n');
+  const [block] = await extractKnowledge([file], root);
+  assert.deepEqual(block.appliesTo, { directory: 'packages/db', package: '@acme/db' });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateInstructions, GENERATE_FORMATS } from '../generate.js';
+
+const generatedAt = new Date('2025-03-01T12:00:00Z');
+
+function fragment(id, category, type, title, description, overrides = {}) {
+  return {
+    id,
+    stack: [],
+    category,
+    type,
+    title,
+    description,
+    source: { repo: 'acme/web', file: 'CLAUDE.md', line: 3, url: '' },
+    confidence: 'high',
+    tags: [],
+    ...overrides,
+  };
+}
+
+const FRAGMENTS = [
+  fragment('snap', 'testing', 'anti-pattern', 'Snapshots', '- Never commit snapshot tests for components.'),
+  fragment('conv', 'testing', 'convention', 'Test names', '- Test files end in .test.ts.'),
+  fragment('unit', 'testing', 'rule', 'Component tests', '- Write unit tests for components with testing-library queries.', {
+    source: { repo: 'acme/api', file: 'AGENTS.md', line: 12, url: 'https://github.com/acme/api/blob/main/AGENTS.md#L12' },
+  }),
+  fragment('err', 'error-handling', 'pattern', 'Boundaries', '## Boundaries\n\nWrap handlers in `withErrorBoundary`.\n\n```ts\nexport default withErrorBoundary(Page);\n```'),
+  fragment('log', 'error-handling', 'rule', 'Error Handling', `## Error Handling\n\nLog every caught error with the request ID.\n${'Never swallow an error silently. '.repeat(6)}`),
+];
+
+test('one file grouped by category, rules before anti-patterns and conventions', () => {
+  const [file, ...rest] = generateInstructions(FRAGMENTS, { format: 'claude', generatedAt });
+  assert.equal(rest.length, 0);
+  assert.equal(file.path, 'CLAUDE.md');
+
+  const { content } = file;
+  assert.match(content, /^# CLAUDE\.md\n\n<!-- Generated by cpm-knowledge-extractor on 2025-03-01 from 5 fragments \(acme\/web, acme\/api\) -->/);
+  // Categories follow the classifier's order
+  assert.ok(content.indexOf('## Error Handling') < content.indexOf('## Testing'));
+  const order = ['- Write unit tests', 'Avoid:', '- Never commit snapshot', '- Test files end in .test.ts.'].map(text => content.indexOf(text));
+  assert.deepEqual(order, [...order].sort((a, b) => a - b));
+  assert.ok(!order.includes(-1));
+});
+
+test('anti-patterns are paired with the closest rule', () => {
+  const { content } = generateInstructions(FRAGMENTS, { format: 'agents', generatedAt })[0];
+  assert.match(content, /- Never commit snapshot tests for components\.\n {2}Instead: Component tests\n<!-- source: acme\/web\/CLAUDE\.md:3 · high confidence · snap -->/);
+});
+
+test('provenance comments carry the source URL; long bodies keep their heading and code', () => {
+  const { content } = generateInstructions(FRAGMENTS, { format: 'copilot', generatedAt })[0];
+  assert.match(content, /<!-- source: acme\/api\/AGENTS\.md:12 https:\/\/github\.com\/acme\/api\/blob\/main\/AGENTS\.md#L12 · high confidence · unit -->/);
+  assert.match(content, /### Boundaries\n\nWrap handlers in `withErrorBoundary`\.\n\n```ts\nexport default withErrorBoundary\(Page\);\n```\n/);
+  // A section titled like its category is not repeated as a heading of its own
+  assert.match(content, /## Error Handling\n\nLog every caught error/);
+  assert.ok(!content.includes('### Error Handling'));
+  assert.equal(GENERATE_FORMATS.copilot.path, '.github/copilot-instructions.md');
+});
+
+test('cursor writes one always-applied .mdc file per category', () => {
+  const files = generateInstructions(FRAGMENTS, { format: 'cursor', generatedAt });
+  assert.deepEqual(files.map(f => f.path), ['.cursor/rules/error-handling.mdc', '.cursor/rules/testing.mdc']);
+  assert.match(files[1].content, /^---\ndescription: Testing rules for this project\nglobs:\nalwaysApply: true\n---\n\n<!-- Generated/);
+  assert.match(files[1].content, /\n# Testing\n/);
+});
+
+test('no fragments and unknown formats', () => {
+  assert.match(generateInstructions([], { format: 'claude', generatedAt })[0].content, /_No fragments matched\._\n$/);
+  assert.deepEqual(generateInstructions([], { format: 'cursor', generatedAt }), []);
+  assert.throws(() => generateInstructions(FRAGMENTS, { format: 'windsurf' }), /Unknown format "windsurf" \(expected claude, agents, copilot, cursor\)/);
+});
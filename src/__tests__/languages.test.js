@@ -0,0 +1,65 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { detectLanguage, vocabularyFor, registerLanguagePack, loadLanguagePacks, languagePacksFingerprint } from '../languages.js';
+import { heuristicClassifier } from '../classify.js';
+import { hasKnowledgeSignal } from '../extract.js';
+
+const GERMAN = 'Verwende niemals direkte Datenbankzugriffe in der Komponente, frage die Datenbank über das Repository ab und schreibe immer einen Test für jede neue Funktion.';
+
+let root;
+
+after(async () => {
+  if (root) await rm(root, { recursive: true, force: true });
+});
+
+test('bundled packs: Danish is detected, everything else falls back to English', () => {
+  assert.equal(detectLanguage('Du skal altid bruge den fælles knap, og aldrig skrive din egen.'), 'da');
+  assert.equal(detectLanguage('Always use the shared button component.'), 'en');
+  // A single common word is not enough evidence
+  assert.equal(detectLanguage('Use the og:image tag'), 'en');
+  assert.deepEqual(vocabularyFor('da').languages, ['en', 'da']);
+});
+
+test('Danish vocabulary drives the filter and the classifier', () => {
+  const content = 'Brug aldrig inline styles på en knap — brug altid komponenten fra designsystemet, så alle knapper ser ens ud.';
+  assert.equal(hasKnowledgeSignal(content, 'Knapper'), true);
+  assert.equal(heuristicClassifier.classify({ content, section: 'Knapper' }).category, 'ui-patterns');
+  // Skip patterns from every pack apply, whatever the content's language
+  assert.equal(hasKnowledgeSignal('- Always run the migrations before starting the dev server locally.', 'Seneste session (2024-05-14)'), false);
+});
+
+test('a registered pack is detected and used', () => {
+  const before = languagePacksFingerprint();
+  assert.equal(detectLanguage(GERMAN), 'en');
+
+  registerLanguagePack({
+    code: 'DE',
+    detect: ['der', 'die', 'und', 'in', 'einen', 'für', 'jede'],
+    categoryKeywords: { database: ['datenbank', 'datenbankzugriffe'] },
+    typeSignals: { 'anti-pattern': ['niemals'] },
+    knowledgeSignals: ['niemals', 'immer'],
+  });
+
+  assert.equal(detectLanguage(GERMAN), 'de');
+  assert.notEqual(languagePacksFingerprint(), before);
+  assert.deepEqual(heuristicClassifier.classify({ content: GERMAN, section: 'Regeln' }), { category: 'database', type: 'anti-pattern' });
+});
+
+test('a pack with a known code extends the bundled one', () => {
+  registerLanguagePack({ code: 'da', knowledgeSignals: ['husk'] });
+  assert.match('husk at', vocabularyFor('da').knowledgeSignal);
+  assert.match('aldrig', vocabularyFor('da').knowledgeSignal);
+});
+
+test('invalid packs are rejected with the reason', async () => {
+  assert.throws(() => registerLanguagePack({ name: 'No code' }), /needs a "code"/);
+  assert.throws(() => registerLanguagePack({ code: 'xx', skipSections: ['(unclosed'] }), /^Error: language pack "xx": Invalid regular expression/);
+
+  root = await mkdtemp(join(tmpdir(), 'cpm-languages-'));
+  await writeFile(join(root, 'sv.json'), JSON.stringify({ code: 'sv', detect: ['och', 'inte'] }));
+  assert.deepEqual(loadLanguagePacks([join(root, 'sv.json')]), ['sv']);
+  assert.throws(() => loadLanguagePacks([join(root, 'missing.json')]), /^Error: Cannot read language pack .*missing\.json/);
+});
@@ -0,0 +1,111 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHttpClassifier, validateClassification } from '../llm-classifier.js';
+
+const fallback = { name: 'stub', classify: () => ({ category: 'conventions', type: 'convention' }) };
+const block = { file: 'CLAUDE.md', section: 'Testing', breadcrumb: 'Guide > Testing', content: 'Always write tests with vitest.' };
+
+// What the stub endpoint does with the next requests: 'ok' | 'malformed' | 'hang'
+let mode;
+let requests;
+let server;
+let url;
+
+before(async () => {
+  server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => (body += chunk));
+    request.on('end', () => {
+      requests.push({ headers: request.headers, body: JSON.parse(body) });
+      if (mode === 'hang') return;
+      const content = mode === 'malformed'
+        ? 'Sure! {"category": "testing", "type":'
+        : 'Here you go:\n```json\n{"category": "Testing", "type": "rule", "title": "**Use** vitest", "summary": "Tests use vitest."}\n```';
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({ choices: [{ message: { content } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+test('a valid answer is used, with the fence and Markdown stripped', async () => {
+  mode = 'ok';
+  const classifier = createHttpClassifier({ url, model: 'test-model', apiKey: 'secret' }, fallback);
+
+  assert.deepEqual(await classifier.classify(block), { category: 'testing', type: 'rule', title: 'Use vitest', summary: 'Tests use vitest.' });
+  assert.deepEqual(classifier.stats, { answered: 1, fallbacks: 0 });
+  assert.equal(classifier.name, 'http:test-model');
+  assert.equal(requests[0].headers.authorization, 'Bearer secret');
+  assert.equal(requests[0].body.model, 'test-model');
+  assert.match(requests[0].body.messages[1].content, /^File: CLAUDE\.md\nSection: Guide > Testing\n\nAlways write tests/);
+});
+
+test('a malformed answer falls back for that block only', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const classifier = createHttpClassifier({ url, model: 'test-model' }, fallback);
+
+  mode = 'malformed';
+  assert.deepEqual(await classifier.classify(block), { category: 'conventions', type: 'convention' });
+  mode = 'ok';
+  assert.equal((await classifier.classify(block)).category, 'testing');
+
+  assert.deepEqual(classifier.stats, { answered: 1, fallbacks: 1 });
+  assert.equal(requests.length, 2);
+  assert.match(console.warn.mock.calls[0].arguments[0], /failed \(.*\) — using heuristics for affected blocks$/);
+});
+
+test('after a timeout the rest of the run uses the fallback without asking', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  mode = 'hang';
+  const classifier = createHttpClassifier({ url, model: 'test-model', timeoutMs: 50 }, fallback);
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(await classifier.classify(block), { category: 'conventions', type: 'convention' });
+  }
+  assert.equal(requests.length, 1);
+  assert.deepEqual(classifier.stats, { answered: 0, fallbacks: 3 });
+  assert.equal(console.warn.mock.callCount(), 1);
+  assert.match(console.warn.mock.calls[0].arguments[0], /request timed out — using heuristics for the rest of the run$/);
+});
+
+test('a connection error stops further requests', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const closed = createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const classifier = createHttpClassifier({ url: `http://127.0.0.1:${port}/v1`, model: 'test-model' }, fallback);
+  await classifier.classify(block);
+  await classifier.classify(block);
+  assert.deepEqual(classifier.stats, { answered: 0, fallbacks: 2 });
+  assert.match(console.warn.mock.calls[0].arguments[0], /unreachable \(.*ECONNREFUSED.*\) — using heuristics for the rest of the run$/);
+});
+
+test('the time budget caps the whole run', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  mode = 'ok';
+  const classifier = createHttpClassifier({ url, model: 'test-model', budgetMs: 0 }, fallback);
+
+  await classifier.classify(block);
+  assert.equal(requests.length, 0);
+  assert.match(console.warn.mock.calls[0].arguments[0], /time budget of 0s spent/);
+});
+
+test('validateClassification rejects answers outside the schema', () => {
+  assert.throws(() => validateClassification({ category: 'cooking', type: 'rule', title: 'x' }), /unknown category/);
+  assert.throws(() => validateClassification({ category: 'testing', type: 'advice', title: 'x' }), /unknown type/);
+  assert.throws(() => validateClassification({ category: 'testing', type: 'rule' }), /title missing/);
+  assert.deepEqual(validateClassification({ category: 'testing', type: 'rule', title: 'Use vitest' }), { category: 'testing', type: 'rule', title: 'Use vitest' });
+});
@@ -0,0 +1,138 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { readLockfile } from '../lockfiles.js';
+
+const roots = [];
+
+afterEach(async () => {
+  while (roots.length > 0) await rm(roots.pop(), { recursive: true, force: true });
+});
+
+async function lockfile(name, content) {
+  const root = await mkdtemp(join(tmpdir(), 'cpm-lockfiles-'));
+  roots.push(root);
+  if (name) await writeFile(join(root, name), content);
+  return readLockfile(root);
+}
+
+test('package-lock.json v3 with a workspace-local resolution', async () => {
+  const lock = await lockfile('package-lock.json', JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'root' },
+      'node_modules/next': { version: '14.1.0' },
+      'apps/legacy/node_modules/next': { version: '13.5.6' },
+    },
+  }));
+  assert.equal(lock.type, 'package-lock');
+  assert.equal(lock.versionOf('next'), '14.1.0');
+  assert.equal(lock.versionOf('next', 'apps/legacy'), '13.5.6');
+  assert.equal(lock.versionOf('next', 'apps/web'), '14.1.0');
+  assert.equal(lock.versionOf('react'), null);
+});
+
+test('package-lock.json v1', async () => {
+  const lock = await lockfile('package-lock.json', JSON.stringify({ lockfileVersion: 1, dependencies: { react: { version: '17.0.2' } } }));
+  assert.equal(lock.versionOf('react'), '17.0.2');
+});
+
+test('pnpm-lock.yaml v6+ importers, with peer suffixes stripped', async () => {
+  const lock = await lockfile('pnpm-lock.yaml', [
+    "lockfileVersion: '9.0'",
+    '',
+    'importers:',
+    '',
+    '  .:',
+    '    devDependencies:',
+    '      typescript:',
+    '        specifier: ^5.3.0',
+    '        version: 5.3.3',
+    '',
+    '  apps/web:',
+    '    dependencies:',
+    '      next:',
+    '        specifier: ^14.1.0',
+    '        version: 14.1.0(react-dom@18.2.0(react@18.2.0))(react@18.2.0)',
+    "      '@acme/ui':",
+    '        specifier: workspace:*',
+    '        version: link:../../packages/ui',
+    '',
+    'packages:',
+    '',
+    '  next@14.1.0:',
+    '    resolution: {integrity: sha512-x}',
+  ].join('\n'));
+  assert.equal(lock.type, 'pnpm');
+  assert.equal(lock.versionOf('next', 'apps/web'), '14.1.0');
+  // Falls back to the root importer
+  assert.equal(lock.versionOf('typescript', 'apps/web'), '5.3.3');
+  assert.equal(lock.versionOf('@acme/ui', 'apps/web'), null);
+  assert.equal(lock.versionOf('next'), null);
+});
+
+test('pnpm-lock.yaml v5 single project', async () => {
+  const lock = await lockfile('pnpm-lock.yaml', 'lockfileVersion: 5.4\n\ndependencies:\n  next: 13.4.1_react@18.2.0\n  react: 18.2.0\n');
+  assert.equal(lock.versionOf('next'), '13.4.1');
+  assert.equal(lock.versionOf('react'), '18.2.0');
+});
+
+test('yarn.lock v1 and Berry resolve by descriptor', async () => {
+  const classic = await lockfile('yarn.lock', [
+    '# yarn lockfile v1',
+    '',
+    '"@types/react@^17.0.0", "@types/react@^17.0.2":',
+    '  version "17.0.80"',
+    '',
+    'react@^17.0.0:',
+    '  version "17.0.2"',
+    '',
+    'react@^18.2.0:',
+    '  version "18.2.0"',
+  ].join('\n'));
+  assert.equal(classic.type, 'yarn');
+  assert.equal(classic.versionOf('@types/react', '', '^17.0.2'), '17.0.80');
+  assert.equal(classic.versionOf('react', '', '^18.2.0'), '18.2.0');
+  // Unknown range: first entry for the name
+  assert.equal(classic.versionOf('react', '', 'latest'), '17.0.2');
+
+  const berry = await lockfile('yarn.lock', [
+    '__metadata:',
+    '  version: 8',
+    '',
+    '"next@npm:^14.1.0":',
+    '  version: 14.1.0',
+    '  resolution: "next@npm:14.1.0"',
+  ].join('\n'));
+  assert.equal(berry.versionOf('next', '', '^14.1.0'), '14.1.0');
+});
+
+test('bun.lock with workspace-specific resolutions', async () => {
+  const lock = await lockfile('bun.lock', [
+    '{',
+    '  "lockfileVersion": 1,',
+    '  "workspaces": {',
+    '    "": { "name": "root" },',
+    '    "apps/legacy": { "name": "legacy", },',
+    '  },',
+    '  "packages": {',
+    '    "next": ["next@14.1.0", "", {}, "sha512-x"],',
+    '    "legacy/next": ["next@13.5.6", "", {}, "sha512-y"],',
+    '    "@scope/pkg": ["@scope/pkg@1.0.0"],',
+    '  },',
+    '}',
+  ].join('\n'));
+  assert.equal(lock.type, 'bun');
+  assert.equal(lock.versionOf('next'), '14.1.0');
+  assert.equal(lock.versionOf('next', 'apps/legacy'), '13.5.6');
+  assert.equal(lock.versionOf('@scope/pkg'), '1.0.0');
+});
+
+test('no lockfile, or an unparseable one', async (t) => {
+  assert.equal(await lockfile(null), null);
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(await lockfile('package-lock.json', '{ broken'), null);
+  assert.match(console.warn.mock.calls[0].arguments[0], /^\[WARN\] Could not parse package-lock\.json/);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdown, parseFrontMatter } from '../markdown.js';
+
+const summary = sections => sections.map(s => [s.title, s.level, s.breadcrumb.join(' > '), s.lineStart, s.lineEnd]);
+
+test('ATX headings build a breadcrumb and line ranges', () => {
+  const { frontMatter, sections } = parseMarkdown('Intro\n# Guide\n## Setup\ntext\n### Env ###\n## Testing\nmore');
+  assert.equal(frontMatter, null);
+  assert.deepEqual(summary(sections), [
+    [null, 0, '', 1, 1],
+    ['Guide', 1, 'Guide', 2, 2],
+    ['Setup', 2, 'Guide > Setup', 3, 4],
+    ['Env', 3, 'Guide > Setup > Env', 5, 5],
+    ['Testing', 2, 'Guide > Testing', 6, 7],
+  ]);
+  assert.equal(sections[2].content, '## Setup\ntext');
+});
+
+test('setext headings, but not list items or thematic breaks', () => {
+  const { sections } = parseMarkdown('Guide\n=====\nSetup\n-----\ntext\n\n- item\n---\n');
+  assert.deepEqual(summary(sections), [
+    ['Guide', 1, 'Guide', 1, 2],
+    ['Setup', 2, 'Guide > Setup', 3, 9],
+  ]);
+  assert.match(sections[1].content, /- item\n---/);
+});
+
+test('headings inside code fences and HTML comments are not structure', () => {
+  const { sections } = parseMarkdown([
+    '# Guide',
+    '````md',
+    '# not a heading',
+    '```',
+    '## still code',
+    '````',
+    '<!--',
+    '# hidden',
+    '-->',
+    '~~~',
+    '# tilde fence',
+    '~~~',
+  ].join('\n'));
+  assert.equal(sections.length, 1);
+  assert.equal(sections[0].lineEnd, 12);
+});
+
+test('front matter is parsed and its title roots the breadcrumb', () => {
+  const { frontMatter, sections } = parseMarkdown('---\ntitle: Contributing\n---\n# Contributing\n## Commits\ntext');
+  assert.deepEqual(frontMatter.data, { title: 'Contributing' });
+  assert.equal(frontMatter.lineEnd, 3);
+  // The repeated H1 is not doubled
+  assert.deepEqual(sections.map(s => s.breadcrumb), [['Contributing'], ['Contributing', 'Commits']]);
+  assert.equal(sections[0].lineStart, 4);
+});
+
+test('TOML front matter and unterminated front matter', () => {
+  assert.deepEqual(parseMarkdown('+++\ntitle = "Docs"\n+++\nbody').frontMatter.data, { title: 'Docs' });
+  const { frontMatter, sections } = parseMarkdown('---\nnot closed\n# Heading');
+  assert.equal(frontMatter, null);
+  assert.equal(sections[1].title, 'Heading');
+});
+
+test('MDX import and export lines are dropped', () => {
+  const { sections } = parseMarkdown("import X from './x'\n# Page\nexport const meta = {}\n<X />", { mdx: true });
+  assert.deepEqual(sections.map(s => s.content), ['# Page\n<X />']);
+});
+
+test('parseFrontMatter handles scalars and lists', () => {
+  assert.deepEqual(parseFrontMatter([
+    'description: "Rules for API routes"',
+    'alwaysApply: false',
+    'priority: 2',
+    'globs: [src/**/*.ts, "lib/*.js"]',
+    '# comment',
+    'tags:',
+    '  - api',
+    '  - backend',
+  ].join('\n')), {
+    description: 'Rules for API routes',
+    alwaysApply: false,
+    priority: 2,
+    globs: ['src/**/*.ts', 'lib/*.js'],
+    tags: ['api', 'backend'],
+  });
+});
+
+test('parseFrontMatter keeps nested maps as raw text', () => {
+  assert.deepEqual(parseFrontMatter('meta:\n  owner: web\n  team: ui'), { meta: 'owner: web\nteam: ui' });
+});
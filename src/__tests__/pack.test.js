@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPack, estimateTokens, stackSpecsFromItems } from '../pack.js';
+
+function fragment(id, title, description, overrides = {}) {
+  return {
+    id,
+    stack: [],
+    category: 'testing',
+    type: 'rule',
+    title,
+    description,
+    source: { repo: 'acme/web', file: 'CLAUDE.md', line: 1, url: '' },
+    confidence: 'medium',
+    tags: [],
+    ...overrides,
+  };
+}
+
+const FRAGMENTS = [
+  fragment('tests', 'Unit tests', 'Write unit tests with vitest for every new component.', { stack: ['vitest@1.6.0'], confidence: 'high' }),
+  fragment('repeat', 'Unit tests', 'Write unit tests with vitest for every new component.', { source: { repo: 'acme/api', file: 'CLAUDE.md', line: 9, url: '' } }),
+  fragment('snapshots', 'Snapshots', 'Never commit snapshot tests for components.', { type: 'anti-pattern' }),
+  fragment('deploy', 'Deploys', 'Deploy from the main branch with the release workflow.', { category: 'deployment' }),
+];
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('stackSpecsFromItems accepts the same major version', () => {
+  assert.deepEqual(
+    stackSpecsFromItems([{ name: 'next', version: '15.1.0' }, { name: 'tailwind', version: '' }, { name: 'react', version: 'latest' }]),
+    ['next@15.x', 'tailwind', 'react']
+  );
+});
+
+test('relevant fragments are picked, repeats and unrelated ones dropped', () => {
+  const pack = buildPack(FRAGMENTS, { task: 'add unit tests for a new component' });
+
+  assert.deepEqual(pack.selected.map(f => f.id), ['tests', 'snapshots']);
+  assert.equal(pack.candidates, 3);
+  assert.ok(pack.selected[0].packScore > pack.selected[1].packScore);
+  assert.match(pack.markdown, /^## Project knowledge for: add unit tests for a new component\n\n### Rules\n\n- \*\*Unit tests\*\* \[1\]\n {2}Write unit tests/);
+  assert.match(pack.markdown, /### Avoid\n\n- \*\*Snapshots\*\* \[2\]/);
+  assert.match(pack.markdown, /### Sources\n\n\[1\]: acme\/web\/CLAUDE\.md:1\n\[2\]: acme\/web\/CLAUDE\.md:1\n$/);
+});
+
+test('the stack alone earns a place; another major version counts half', () => {
+  const fragments = [
+    fragment('v15', 'Routing', 'Use the app router.', { stack: ['next@15.1.0'] }),
+    fragment('v14', 'Routing', 'Use the pages router.', { stack: ['next@14.2.0'] }),
+    fragment('other', 'Styling', 'Use CSS modules.', { stack: ['vue@3.4.0'] }),
+  ];
+  const pack = buildPack(fragments, { task: 'something unrelated', stack: ['next@15.x'], dedupeThreshold: 1 });
+
+  assert.deepEqual(pack.selected.map(f => f.id), ['v15', 'v14']);
+  assert.match(pack.markdown, /^## Project knowledge for: something unrelated\n\nTarget stack: next@15\.x\n\n/);
+});
+
+test('the whole block stays within the budget', () => {
+  const fragments = Array.from({ length: 30 }, (_, i) =>
+    fragment(`f${i}`, `Rule ${i}`, `Write unit tests for component number ${i} ${'with plenty of detail '.repeat(5)}`, { type: i % 2 ? 'rule' : 'pattern' })
+  );
+  const budget = 400;
+  const pack = buildPack(fragments, { task: 'unit tests for a component', budget, dedupeThreshold: 1 });
+
+  assert.ok(pack.selected.length > 0 && pack.selected.length < fragments.length);
+  assert.ok(pack.tokens <= budget, `${pack.tokens} > ${budget}`);
+});
+
+test('nothing relevant renders a placeholder', () => {
+  const pack = buildPack(FRAGMENTS, { task: 'kubernetes helm charts' });
+  assert.deepEqual(pack.selected, []);
+  assert.match(pack.markdown, /_No matching knowledge\._\n$/);
+});
+
+test('a dedupe threshold that is not a number from 0 to 1 is rejected', () => {
+  for (const dedupeThreshold of ['abc', '0.5abc', '', NaN, -0.1, 1.5]) {
+    assert.throws(() => buildPack(FRAGMENTS, { task: 'unit tests', dedupeThreshold }), /Invalid dedupe threshold .* \(expected a number from 0 to 1\)/);
+  }
+  assert.doesNotThrow(() => buildPack(FRAGMENTS, { task: 'unit tests', dedupeThreshold: 1 }));
+  assert.doesNotThrow(() => buildPack(FRAGMENTS, { task: 'unit tests', dedupeThreshold: '0.5' }));
+});
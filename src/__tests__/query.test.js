@@ -0,0 +1,100 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { loadFragments, queryFragments, parseStackSpec, matchesStack, formatResults, displayDescription } from '../query.js';
+
+function fragment(id, overrides = {}) {
+  return {
+    id,
+    stack: [],
+    category: 'testing',
+    type: 'rule',
+    title: 'Testing',
+    description: '',
+    source: { repo: 'acme/web', file: 'CLAUDE.md', line: 1, url: '' },
+    confidence: 'medium',
+    tags: [],
+    ...overrides,
+  };
+}
+
+const FRAGMENTS = [
+  fragment('a', { stack: ['next.js@14.2.3'], category: 'routing', title: 'Pages router', description: 'Use the pages router for every route.', confidence: 'low' }),
+  fragment('b', { stack: ['next@15.1.0', 'tailwind'], category: 'routing', title: 'App router', description: 'Use the app router and server components for every route.', confidence: 'high', tags: ['next'] }),
+  fragment('c', { stack: ['vitest@1.6.0'], title: 'Vitest', description: 'Write unit tests with vitest next to the source file.', example: 'foo.test.ts', source: { repo: 'acme/api', file: 'CLAUDE.md', line: 4, url: '' } }),
+];
+
+let root;
+
+after(async () => {
+  if (root) await rm(root, { recursive: true, force: true });
+});
+
+test('stack specs compare names loosely and check the range', () => {
+  assert.deepEqual(parseStackSpec('next.js@>=15'), { name: 'next', range: '>=15' });
+  assert.deepEqual(parseStackSpec('@tanstack/query@^5'), { name: '@tanstack/query', range: '^5' });
+  assert.deepEqual(parseStackSpec('NextJS'), { name: 'next', range: '' });
+  assert.throws(() => parseStackSpec('next@>=banana'), /Invalid version range/);
+  assert.throws(() => parseStackSpec('next@>=15 <banana'), /Invalid version range "<banana"/);
+  assert.deepEqual(parseStackSpec('next@>= 15'), { name: 'next', range: '>= 15' });
+
+  assert.equal(matchesStack(['next@15.1.0'], parseStackSpec('next.js@>=15')), true);
+  assert.equal(matchesStack(['next.js@14.2.3'], parseStackSpec('next.js@>=15')), false);
+  // An unversioned stack item only matches a spec without a range
+  assert.equal(matchesStack(['tailwind'], parseStackSpec('tailwind')), true);
+  assert.equal(matchesStack(['tailwind'], parseStackSpec('tailwind@>=3')), false);
+});
+
+test('filters combine, and results are ordered by confidence', () => {
+  assert.deepEqual(queryFragments(FRAGMENTS).map(f => f.id), ['b', 'c', 'a']);
+  assert.deepEqual(queryFragments(FRAGMENTS, { stack: ['next.js@>=15'] }).map(f => f.id), ['b']);
+  assert.deepEqual(queryFragments(FRAGMENTS, { category: ['routing'], confidence: 'medium' }).map(f => f.id), ['b']);
+  assert.deepEqual(queryFragments(FRAGMENTS, { repo: ['acme/api'] }).map(f => f.id), ['c']);
+  assert.deepEqual(queryFragments(FRAGMENTS, { tag: ['next'], type: ['rule'] }).map(f => f.id), ['b']);
+  assert.throws(() => queryFragments(FRAGMENTS, { confidence: 'certain' }), /Unknown confidence "certain"/);
+});
+
+test('search ranks by BM25 and drops fragments without a match', () => {
+  const results = queryFragments(FRAGMENTS, { search: 'router route' });
+  assert.deepEqual(results.map(r => r.id).sort(), ['a', 'b']);
+  assert.ok(results.every(r => r.score > 0));
+  assert.ok(results[0].score >= results[1].score);
+  // The example is searched too
+  assert.deepEqual(queryFragments(FRAGMENTS, { search: 'foo.test.ts' }).map(r => r.id), ['c']);
+});
+
+test('loadFragments reads output files and explains bad ones', async () => {
+  root = await mkdtemp(join(tmpdir(), 'cpm-query-'));
+  await writeFile(join(root, 'a.json'), JSON.stringify({ fragments: FRAGMENTS.slice(0, 2) }));
+  await writeFile(join(root, 'b.json'), JSON.stringify({ fragments: FRAGMENTS.slice(2) }));
+  await writeFile(join(root, 'bad.json'), JSON.stringify({ repos: [] }));
+
+  assert.deepEqual((await loadFragments([join(root, 'a.json'), join(root, 'b.json')])).map(f => f.id), ['a', 'b', 'c']);
+  await assert.rejects(loadFragments([join(root, 'bad.json')]), /has no "fragments" array/);
+  await assert.rejects(loadFragments([join(root, 'missing.json')]), /Cannot read fragments from .*missing\.json/);
+  await assert.rejects(loadFragments([`sqlite:${join(root, 'missing.db')}`]), /Store not found/);
+});
+
+test('table, markdown and json output', () => {
+  const table = formatResults(queryFragments(FRAGMENTS, { search: 'vitest' }), 'table');
+  assert.match(table, /^score\s+id\s+category/);
+  assert.match(table, /acme\/api\/CLAUDE\.md:4/);
+  assert.match(table, /1 fragment\(s\)$/);
+  assert.equal(formatResults([], 'table'), 'No matching fragments');
+
+  const markdown = formatResults([{ ...FRAGMENTS[1], stale: true }], 'markdown');
+  assert.match(markdown, /^### App router\n\n_routing · rule · high confidence · stale_\nStack: next@15\.1\.0, tailwind/);
+  assert.match(markdown, /Source: acme\/web\/CLAUDE\.md:1\n$/);
+
+  assert.deepEqual(JSON.parse(formatResults(FRAGMENTS, 'json')), FRAGMENTS);
+  assert.throws(() => formatResults(FRAGMENTS, 'csv'), /Unknown format "csv"/);
+});
+
+test('displayDescription drops the heading and closes a cut-off fence', () => {
+  const description = `## Setup\n\n\`\`\`bash\n${'x'.repeat(500)}`.slice(0, 500);
+  const text = displayDescription({ description });
+  assert.ok(!text.startsWith('## Setup'));
+  assert.ok(text.endsWith('…\n```'));
+});
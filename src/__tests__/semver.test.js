@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVersion, parseRange, satisfies } from '../semver.js';
+
+test('parseVersion pads missing parts and ignores a leading v', () => {
+  assert.deepEqual(parseVersion('14.2.3'), [14, 2, 3]);
+  assert.deepEqual(parseVersion('v1.22'), [1, 22, 0]);
+  assert.deepEqual(parseVersion('15.0.0-canary.1'), [15, 0, 0]);
+  assert.equal(parseVersion('latest'), null);
+  assert.equal(parseVersion(''), null);
+});
+
+test('comparators, x-ranges and exact versions', () => {
+  assert.equal(satisfies('15.1.0', '>=15'), true);
+  assert.equal(satisfies('14.2.3', '>=15'), false);
+  assert.equal(satisfies('15.9.9', '<16'), true);
+  assert.equal(satisfies('15.9.9', '<=15'), true);
+  assert.equal(satisfies('16.0.0', '<=15'), false);
+  assert.equal(satisfies('15.9.9', '>15'), false);
+  assert.equal(satisfies('16.0.0', '>15'), true);
+  assert.equal(satisfies('15.2.7', '15'), true);
+  assert.equal(satisfies('15.2.7', '15.x'), true);
+  assert.equal(satisfies('1.2.7', '1.2.*'), true);
+  assert.equal(satisfies('1.3.0', '1.2.*'), false);
+  assert.equal(satisfies('1.2.0', '=1.2'), true);
+  assert.equal(satisfies('1.2.3', '=1.2.4'), false);
+});
+
+test('caret and tilde ranges', () => {
+  assert.equal(satisfies('1.9.0', '^1.2.3'), true);
+  assert.equal(satisfies('2.0.0', '^1.2.3'), false);
+  assert.equal(satisfies('0.2.9', '^0.2.3'), true);
+  assert.equal(satisfies('0.3.0', '^0.2.3'), false);
+  assert.equal(satisfies('0.0.4', '^0.0.3'), false);
+  assert.equal(satisfies('1.2.9', '~1.2.3'), true);
+  assert.equal(satisfies('1.3.0', '~1.2.3'), false);
+  assert.equal(satisfies('1.9.0', '~1'), true);
+});
+
+test('AND, OR, wildcards and unknown versions', () => {
+  assert.equal(satisfies('15.3.0', '>=15 <16'), true);
+  assert.equal(satisfies('16.0.0', '>=15 <16'), false);
+  assert.equal(satisfies('13.5.0', '^13 || ^15'), true);
+  assert.equal(satisfies('14.0.0', '^13 || ^15'), false);
+  assert.equal(satisfies('', '*'), true);
+  assert.equal(satisfies('', ''), true);
+  assert.equal(satisfies('', '>=15'), false);
+  assert.equal(satisfies('15.0.0-rc.1', '>=15'), true);
+});
+
+test('an operator may be followed by a space', () => {
+  assert.equal(satisfies('15.1.0', '>= 15'), true);
+  assert.equal(satisfies('16.0.0', '>= 15 < 16'), false);
+  assert.equal(satisfies('1.2.9', '~ 1.2'), true);
+});
+
+test('hyphen ranges include both ends', () => {
+  assert.equal(satisfies('1.2.0', '1.2 - 16'), true);
+  assert.equal(satisfies('16.9.0', '1.2 - 16'), true);
+  assert.equal(satisfies('17.0.0', '1.2 - 16'), false);
+  assert.equal(satisfies('1.1.9', '1.2 - 16'), false);
+  assert.equal(satisfies('2.0.0', '1.2.3 - 2.0.0 || ^5'), true);
+  assert.deepEqual(parseRange('1.2 - 16').map(c => c.map(({ operator }) => operator)), [['>=', '<=']]);
+});
+
+test('a malformed range throws, wherever the bad comparator is', () => {
+  assert.throws(() => satisfies('1.0.0', '>=banana'), /Invalid version range ">=banana"/);
+  // The first comparator already fails for 0.0.0 — the second is still checked
+  assert.throws(() => parseRange('>=15 <banana'), /Invalid version range "<banana"/);
+  assert.throws(() => parseRange('1 - 2 - 3'), /Invalid version range "-"/);
+  assert.throws(() => parseRange('^15 ||'), /Invalid version range "\^15 \|\|"/);
+  assert.deepEqual(parseRange(''), []);
+  assert.deepEqual(parseRange('*'), []);
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { writeStore, openStore, parseStoreTarget, splitStackItem } from '../store.js';
+
+// node:sqlite ships with Node.js 22.13+
+const sqlite = await import('node:sqlite').catch(() => null);
+const skip = sqlite ? false : `node:sqlite is not available in Node.js ${process.version}`;
+
+let root;
+let dbCount = 0;
+
+before(async () => {
+  root = await mkdtemp(join(tmpdir(), 'cpm-store-'));
+});
+
+after(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+const newDb = () => join(root, `store-${++dbCount}.db`);
+
+function fragment(id, repo, description) {
+  return {
+    id,
+    stack: ['vitest@1.2.0'],
+    category: 'testing',
+    type: 'rule',
+    title: description.slice(0, 30),
+    description,
+    fullContent: description,
+    source: { repo, file: 'CLAUDE.md', line: 1, url: '' },
+    confidence: 'high',
+    tags: ['vitest'],
+  };
+}
+
+function run(key, repo, fragments, status = 'ok') {
+  return { key, repo, input: key, sha: 'abc', status, fragments };
+}
+
+function rows(path, sql, ...params) {
+  const db = new sqlite.DatabaseSync(path);
+  try {
+    return db.prepare(sql).all(...params).map(row => ({ ...row }));
+  } finally {
+    db.close();
+  }
+}
+
+test('the same owner/name on two hosts keeps separate rows', { skip }, async () => {
+  const path = newDb();
+  const startedAt = new Date();
+  await writeStore(path, [
+    run('github.com/acme/app', 'acme/app', [fragment('gh1', 'acme/app', 'Always write unit tests with vitest.')]),
+    run('gitlab.com/acme/app', 'acme/app', [fragment('gl1', 'acme/app', 'Deploy from the main branch only.')]),
+  ], { startedAt });
+
+  // GitLab no longer produces its fragment; GitHub's must not go stale with it
+  const stats = await writeStore(path, [run('gitlab.com/acme/app', 'acme/app', [])], { startedAt });
+  assert.equal(stats.stale, 1);
+  assert.deepEqual(rows(path, 'SELECT id, repo_key, stale FROM fragments ORDER BY id'), [
+    { id: 'gh1', repo_key: 'github.com/acme/app', stale: 0 },
+    { id: 'gl1', repo_key: 'gitlab.com/acme/app', stale: 1 },
+  ]);
+  assert.deepEqual(rows(path, 'SELECT repo_key, repo FROM runs ORDER BY id').map(r => r.repo_key), [
+    'github.com/acme/app', 'gitlab.com/acme/app', 'gitlab.com/acme/app',
+  ]);
+});
+
+test('local repos with the same directory name are told apart by path', { skip }, async () => {
+  const path = newDb();
+  const startedAt = new Date();
+  await writeStore(path, [
+    run('/work/a/app', 'local/app', [fragment('a1', 'local/app', 'Always write unit tests with vitest.')]),
+    run('/work/b/app', 'local/app', [fragment('b1', 'local/app', 'Use pnpm for every install.')]),
+  ], { startedAt });
+  await writeStore(path, [run('/work/b/app', 'local/app', [fragment('b1', 'local/app', 'Use pnpm for every install.')])], { startedAt });
+
+  assert.deepEqual(rows(path, 'SELECT id, stale FROM fragments ORDER BY id'), [{ id: 'a1', stale: 0 }, { id: 'b1', stale: 0 }]);
+});
+
+test('failed runs are recorded and leave fragments alone', { skip }, async () => {
+  const path = newDb();
+  const startedAt = new Date();
+  await writeStore(path, [run('github.com/acme/app', 'acme/app', [fragment('gh1', 'acme/app', 'Always write unit tests with vitest.')])], { startedAt });
+  const stats = await writeStore(path, [{ ...run('github.com/acme/app', undefined, [], 'failed'), repo: 'acme/app', error: 'boom' }], { startedAt });
+
+  assert.equal(stats.stale, 0);
+  assert.deepEqual(rows(path, 'SELECT status, error FROM runs ORDER BY id'), [{ status: 'ok', error: null }, { status: 'failed', error: 'boom' }]);
+});
+
+test('stores from a newer version are refused', { skip }, async () => {
+  const path = newDb();
+  const db = new sqlite.DatabaseSync(path);
+  db.exec('PRAGMA user_version = 99');
+  db.close();
+  await assert.rejects(openStore(path), /written by a newer version \(schema 99/);
+});
+
+test('store targets and stack items', () => {
+  assert.equal(parseStoreTarget('sqlite:knowledge.db').kind, 'sqlite');
+  assert.throws(() => parseStoreTarget('postgres://db'), /Unsupported store/);
+  assert.deepEqual(splitStackItem('@tanstack/query@5.0.0'), { name: '@tanstack/query', version: '5.0.0' });
+  assert.deepEqual(splitStackItem('@tanstack/query'), { name: '@tanstack/query', version: '' });
+});
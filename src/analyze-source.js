@@ -0,0 +1,488 @@
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join, relative, basename } from 'node:path';
+
+/**
+ * Directories that never contain hand-written source worth analyzing
+ */
+const IGNORED_DIRS = new Set([
+  'node_modules', '.git', 'dist', 'build', 'out', 'coverage', 'vendor',
+  '.next', '.nuxt', '.svelte-kit', '.turbo', '.vercel', '.cache', '.output',
+]);
+
+const SOURCE_FILE = /\.(m?[jt]sx?|cjs|cts)$/;
+const TEST_FILE = /\.(test|spec)\.[cm]?[jt]sx?$/;
+const MAX_SOURCE_FILES = 2000;
+const MAX_FILE_SIZE = 200 * 1024;
+
+/**
+ * A pattern only counts as a convention when this share of observations agree
+ */
+const DOMINANCE_THRESHOLD = 0.7;
+
+/**
+ * @typedef {Object} SourceFile
+ * @property {string} relativePath
+ * @property {string} content
+ */
+
+/**
+ * Analyze real source files and describe the patterns they follow.
+ * Only JavaScript and TypeScript are analyzed; other repos get no blocks.
+ * Produces raw knowledge blocks (same shape as extract.js) marked with
+ * `origin: 'code'` so classification can treat them as observed, not stated.
+ *
+ * @param {string} repoPath
+ * @returns {Promise<{ blocks: import('./extract.js').RawKnowledgeBlock[], sourceFiles: number }>}
+ *   sourceFiles is 0 when the repo has no JavaScript or TypeScript to analyze
+ */
+export async function analyzeSourceCode(repoPath) {
+  const files = await collectSourceFiles(repoPath, repoPath);
+  if (files.length === 0) return { blocks: [], sourceFiles: 0 };
+
+  const analyzers = [
+    analyzeErrorHandling,
+    analyzeImports,
+    analyzeLayout,
+    analyzeNaming,
+    analyzeTestPlacement,
+  ];
+
+  const blocks = [];
+  for (const analyze of analyzers) {
+    const block = analyze(files);
+    if (block) {
+      blocks.push({
+        category: 'source-code',
+        priority: 5,
+        origin: 'code',
+        ...block,
+      });
+    }
+  }
+
+  return { blocks, sourceFiles: files.length };
+}
+
+/**
+ * Recursively collect JS/TS source files, skipping build output and dependencies
+ * @param {string} dirPath
+ * @param {string} repoRoot
+ * @param {SourceFile[]} results
+ * @returns {Promise<SourceFile[]>}
+ */
+async function collectSourceFiles(dirPath, repoRoot, results = []) {
+  let entries;
+  try {
+    entries = await readdir(dirPath, { withFileTypes: true });
+  } catch {
+    return results;
+  }
+
+  for (const entry of entries) {
+    if (results.length >= MAX_SOURCE_FILES) break;
+    const fullPath = join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+        await collectSourceFiles(fullPath, repoRoot, results);
+      }
+    } else if (entry.isFile() && SOURCE_FILE.test(entry.name) && !entry.name.endsWith('.d.ts')) {
+      try {
+        const s = await stat(fullPath);
+        if (s.size > MAX_FILE_SIZE) continue;
+        const content = await readFile(fullPath, 'utf-8');
+        // Skip minified/generated bundles
+        if (content.split('\n', 5).some(line => line.length > 1000)) continue;
+        results.push({ relativePath: relative(repoRoot, fullPath), content });
+      } catch {
+        // Unreadable file — skip
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * How errors are raised and caught
+ * @param {SourceFile[]} files
+ */
+function analyzeErrorHandling(files) {
+  let tryCatch = 0;
+  let promiseCatch = 0;
+  let emptyCatch = 0;
+  const errorClasses = new Map(); // name → file
+  const thrown = new Map(); // constructor name → count
+  let example = null;
+
+  for (const file of files) {
+    const { content, relativePath } = file;
+    tryCatch += count(content, /\btry\s*\{/g);
+    promiseCatch += count(content, /\.catch\(/g);
+    emptyCatch += count(content, /catch\s*(\([^)]*\))?\s*\{\s*\}/g);
+
+    for (const match of content.matchAll(/class\s+(\w+)\s+extends\s+(\w*Error)\b/g)) {
+      if (!errorClasses.has(match[1])) errorClasses.set(match[1], relativePath);
+    }
+    for (const match of content.matchAll(/throw\s+new\s+(\w+)/g)) {
+      thrown.set(match[1], (thrown.get(match[1]) || 0) + 1);
+    }
+
+    if (!example) {
+      const index = content.search(/\btry\s*\{/);
+      if (index !== -1) example = snippetAt(file, index);
+    }
+  }
+
+  if (tryCatch + promiseCatch < 3 && errorClasses.size === 0) return null;
+
+  const lines = [];
+  // A repo that only defines error classes has nothing to compare
+  if (tryCatch + promiseCatch > 0) {
+    if (tryCatch >= promiseCatch) {
+      lines.push(`- Errors are handled with try/catch (${tryCatch} blocks) rather than promise .catch() chains (${promiseCatch}).`);
+    } else {
+      lines.push(`- Errors are handled with promise .catch() chains (${promiseCatch}) more often than try/catch (${tryCatch} blocks).`);
+    }
+  }
+
+  if (errorClasses.size > 0) {
+    const listed = [...errorClasses.entries()].slice(0, 5).map(([name, file]) => `\`${name}\` (${file})`);
+    lines.push(`- Custom error classes extend Error: ${listed.join(', ')}.`);
+  }
+
+  const totalThrown = [...thrown.values()].reduce((a, b) => a + b, 0);
+  if (totalThrown > 0) {
+    const custom = [...thrown.entries()]
+      .filter(([name]) => errorClasses.has(name))
+      .reduce((sum, [, n]) => sum + n, 0);
+    const plain = thrown.get('Error') || 0;
+    if (custom / totalThrown >= DOMINANCE_THRESHOLD) {
+      lines.push(`- Thrown errors use the project's own error classes (${custom} of ${totalThrown}).`);
+    } else if (plain / totalThrown >= DOMINANCE_THRESHOLD) {
+      lines.push(`- Thrown errors are plain \`new Error(...)\` (${plain} of ${totalThrown}).`);
+    }
+  }
+
+  if (emptyCatch > 0) {
+    lines.push(`- ${emptyCatch} empty catch block(s) deliberately swallow errors.`);
+  }
+
+  return buildBlock('Error handling (observed in source)', 'error-handling', 'pattern', lines, example);
+}
+
+/**
+ * Module system, import paths and export style
+ * @param {SourceFile[]} files
+ */
+function analyzeImports(files) {
+  let esm = 0;
+  let cjs = 0;
+  let alias = 0;
+  let relativeImports = 0;
+  let deepRelative = 0;
+  let withExtension = 0;
+  let nodePrefixed = 0;
+  let bareBuiltin = 0;
+  let typeOnly = 0;
+  let defaultExports = 0;
+  let namedExports = 0;
+  let example = null;
+
+  const builtins = /^(fs|path|os|crypto|util|url|http|https|stream|child_process|events|assert|zlib)(\/|$)/;
+
+  for (const file of files) {
+    const { content } = file;
+    const specifiers = [];
+
+    for (const match of content.matchAll(/^\s*import\s+(type\s+)?[^'"]*?from\s+['"]([^'"]+)['"]/gm)) {
+      esm++;
+      if (match[1]) typeOnly++;
+      specifiers.push(match[2]);
+      if (!example) example = snippetAt(file, match.index, 6);
+    }
+    for (const match of content.matchAll(/\brequire\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+      cjs++;
+      specifiers.push(match[1]);
+    }
+
+    for (const spec of specifiers) {
+      if (/^[@~]\//.test(spec)) alias++;
+      if (spec.startsWith('.')) {
+        relativeImports++;
+        if (spec.startsWith('../../')) deepRelative++;
+        if (/\.[cm]?[jt]sx?$/.test(spec)) withExtension++;
+      }
+      if (spec.startsWith('node:')) nodePrefixed++;
+      else if (builtins.test(spec)) bareBuiltin++;
+    }
+
+    defaultExports += count(content, /^\s*export\s+default\b/gm);
+    namedExports += count(content, /^\s*export\s+(const|let|function|async\s+function|class|type|interface|enum|\{)/gm);
+  }
+
+  if (esm + cjs < 5) return null;
+
+  const lines = [];
+  if (esm / (esm + cjs) >= DOMINANCE_THRESHOLD) {
+    lines.push(`- ES modules (\`import\`/\`export\`) are used throughout (${esm} imports vs ${cjs} require calls).`);
+  } else if (cjs / (esm + cjs) >= DOMINANCE_THRESHOLD) {
+    lines.push(`- CommonJS \`require\` is the module style (${cjs} require calls vs ${esm} imports).`);
+  }
+
+  const local = alias + relativeImports;
+  if (local > 0) {
+    if (alias / local >= 0.5) {
+      lines.push(`- Internal modules are imported through a path alias like \`@/\` (${alias} of ${local} local imports).`);
+    } else if (deepRelative === 0 && relativeImports >= 5) {
+      lines.push('- Local imports are relative and never climb more than one directory (`../../` is not used).');
+    }
+  }
+
+  if (relativeImports >= 5 && withExtension / relativeImports >= DOMINANCE_THRESHOLD) {
+    lines.push(`- Relative imports include the file extension (${withExtension} of ${relativeImports}).`);
+  }
+
+  if (nodePrefixed + bareBuiltin >= 3) {
+    if (nodePrefixed / (nodePrefixed + bareBuiltin) >= DOMINANCE_THRESHOLD) {
+      lines.push('- Node.js built-ins are imported with the `node:` prefix.');
+    } else if (bareBuiltin / (nodePrefixed + bareBuiltin) >= DOMINANCE_THRESHOLD) {
+      lines.push('- Node.js built-ins are imported without the `node:` prefix.');
+    }
+  }
+
+  if (typeOnly >= 3) {
+    lines.push(`- Type-only imports use \`import type\` (${typeOnly} occurrences).`);
+  }
+
+  const exportsTotal = defaultExports + namedExports;
+  if (exportsTotal >= 5) {
+    if (namedExports / exportsTotal >= DOMINANCE_THRESHOLD) {
+      lines.push(`- Named exports are preferred over default exports (${namedExports} vs ${defaultExports}).`);
+    } else if (defaultExports / exportsTotal >= 0.5) {
+      lines.push(`- Modules commonly use a default export (${defaultExports} default vs ${namedExports} named).`);
+    }
+  }
+
+  return buildBlock('Import style (observed in source)', 'imports', 'convention', lines, example);
+}
+
+/**
+ * Where source code lives in the tree
+ * @param {SourceFile[]} files
+ */
+function analyzeLayout(files) {
+  const nonTest = files.filter(f => !isTestFile(f.relativePath));
+  if (nonTest.length < 5) return null;
+
+  const dirs = new Map();
+  for (const file of nonTest) {
+    const parts = file.relativePath.split(/[\\/]/).slice(0, -1);
+    const key = parts.slice(0, parts[0] === 'src' ? 2 : 1).join('/') || '.';
+    dirs.set(key, (dirs.get(key) || 0) + 1);
+  }
+
+  const lines = [];
+  const topLevel = [...dirs.entries()].sort((a, b) => b[1] - a[1]).slice(0, 6);
+  lines.push(`- Source files are organized under: ${topLevel.map(([dir, n]) => `\`${dir}/\` (${n})`).join(', ')}.`);
+
+  const paths = nonTest.map(f => f.relativePath);
+  const srcShare = paths.filter(p => p.startsWith('src/')).length / paths.length;
+  if (srcShare >= DOMINANCE_THRESHOLD) {
+    lines.push('- Application code lives in a top-level `src/` directory.');
+  }
+
+  const appRouter = paths.filter(p => /(^|\/)app\/(.+\/)?(page|layout|route)\.[jt]sx?$/.test(p));
+  const pagesRouter = paths.filter(p => /(^|\/)pages\/.+\.[jt]sx?$/.test(p));
+  if (appRouter.length > 0) {
+    lines.push(`- Routes use the Next.js App Router convention (\`app/**/page\`, \`layout\`, \`route\` files — ${appRouter.length} found).`);
+  } else if (pagesRouter.length >= 3) {
+    lines.push(`- Routes live in a \`pages/\` directory (${pagesRouter.length} files).`);
+  }
+
+  const barrels = paths.filter(p => /(^|\/)index\.[cm]?[jt]sx?$/.test(p) && p.includes('/'));
+  if (barrels.length >= 3) {
+    lines.push(`- Directories expose their modules through \`index\` barrel files (${barrels.length} found).`);
+  }
+
+  // Provenance points at a file in the largest directory, not the directory itself
+  const largest = topLevel[0][0];
+  const representative = nonTest.find(f => (largest === '.' ? !f.relativePath.includes('/') : f.relativePath.startsWith(`${largest}/`)));
+  return buildBlock('Directory layout (observed in source)', 'file-structure', 'convention', lines, null, representative.relativePath);
+}
+
+/**
+ * File and export naming conventions
+ * @param {SourceFile[]} files
+ */
+function analyzeNaming(files) {
+  const styles = { 'kebab-case': 0, camelCase: 0, PascalCase: 0, snake_case: 0 };
+  const componentStyles = { 'kebab-case': 0, camelCase: 0, PascalCase: 0, snake_case: 0 };
+  let exampleFile = null;
+
+  for (const file of files) {
+    const name = basename(file.relativePath)
+      .replace(/\.(test|spec|stories|d)(?=\.)/, '')
+      .replace(/\.[^.]+$/, '');
+    if (name === 'index') continue;
+    const style = namingStyle(name);
+    if (!style) continue;
+    styles[style]++;
+    if (/\.[jt]sx$/.test(file.relativePath)) componentStyles[style]++;
+    if (!exampleFile) exampleFile = file.relativePath;
+  }
+
+  let exportedFunctions = 0;
+  let camelFunctions = 0;
+  let exportedTypes = 0;
+  let pascalTypes = 0;
+  for (const { content } of files) {
+    for (const match of content.matchAll(/^\s*export\s+(?:async\s+)?(?:function|const)\s+(\w+)/gm)) {
+      exportedFunctions++;
+      if (/^[a-z][a-zA-Z0-9]*$/.test(match[1])) camelFunctions++;
+    }
+    for (const match of content.matchAll(/^\s*export\s+(?:abstract\s+)?(?:class|interface|type|enum)\s+(\w+)/gm)) {
+      exportedTypes++;
+      if (/^[A-Z][a-zA-Z0-9]*$/.test(match[1])) pascalTypes++;
+    }
+  }
+
+  const lines = [];
+  const dominant = dominantKey(styles);
+  if (dominant) {
+    lines.push(`- Files are named in ${dominant.key} (${dominant.count} of ${dominant.total} multi-word file names).`);
+  }
+  const dominantComponent = dominantKey(componentStyles);
+  if (dominantComponent && dominantComponent.key !== dominant?.key && dominantComponent.total >= 3) {
+    lines.push(`- Component files (.jsx/.tsx) are named in ${dominantComponent.key} (${dominantComponent.count} of ${dominantComponent.total}).`);
+  }
+  if (exportedFunctions >= 5 && camelFunctions / exportedFunctions >= DOMINANCE_THRESHOLD) {
+    lines.push(`- Exported functions and constants use camelCase (${camelFunctions} of ${exportedFunctions}).`);
+  }
+  if (exportedTypes >= 3 && pascalTypes / exportedTypes >= DOMINANCE_THRESHOLD) {
+    lines.push(`- Exported classes and types use PascalCase (${pascalTypes} of ${exportedTypes}).`);
+  }
+
+  return buildBlock('Naming conventions (observed in source)', 'naming', 'convention', lines, null, exampleFile);
+}
+
+/**
+ * Where tests live and how they are named
+ * @param {SourceFile[]} files
+ */
+function analyzeTestPlacement(files) {
+  const tests = files.filter(f => isTestFile(f.relativePath));
+  if (tests.length === 0) return null;
+
+  let colocated = 0;
+  let testsDir = 0;
+  let topLevelDir = 0;
+  let dotTest = 0;
+  let dotSpec = 0;
+  const runners = new Map();
+
+  for (const test of tests) {
+    const path = test.relativePath;
+    if (/(^|\/)__tests__\//.test(path)) testsDir++;
+    else if (/^(test|tests|e2e|spec)\//.test(path)) topLevelDir++;
+    else colocated++;
+
+    if (/\.test\./.test(path)) dotTest++;
+    if (/\.spec\./.test(path)) dotSpec++;
+
+    const runner = test.content.match(/from\s+['"](vitest|@jest\/globals|node:test|@playwright\/test|mocha|ava|uvu)['"]/);
+    if (runner) runners.set(runner[1], (runners.get(runner[1]) || 0) + 1);
+  }
+
+  const lines = [];
+  const placement = dominantKey({
+    'next to the code they cover (colocated)': colocated,
+    'in `__tests__/` directories': testsDir,
+    'in a top-level test directory': topLevelDir,
+  }, 0.6);
+  if (placement) {
+    lines.push(`- Tests live ${placement.key} (${placement.count} of ${tests.length} test files).`);
+  }
+
+  if (dotTest + dotSpec > 0) {
+    if (dotTest / (dotTest + dotSpec) >= DOMINANCE_THRESHOLD) lines.push('- Test files use the `.test.` suffix.');
+    else if (dotSpec / (dotTest + dotSpec) >= DOMINANCE_THRESHOLD) lines.push('- Test files use the `.spec.` suffix.');
+  }
+
+  const runner = [...runners.entries()].sort((a, b) => b[1] - a[1])[0];
+  if (runner) {
+    lines.push(`- Tests import from \`${runner[0]}\`.`);
+  }
+
+  return buildBlock('Test placement (observed in source)', 'testing', 'convention', lines, null, tests[0].relativePath);
+}
+
+/**
+ * Assemble a raw block from observation lines. Returns null when nothing
+ * conclusive was observed.
+ * @param {string} section
+ * @param {string} categoryHint
+ * @param {string} typeHint
+ * @param {string[]} lines
+ * @param {{ file: string, lineStart: number, lineEnd: number, code: string } | null} example
+ * @param {string} [fallbackFile]
+ */
+function buildBlock(section, categoryHint, typeHint, lines, example, fallbackFile = '') {
+  if (lines.length === 0) return null;
+
+  let content = lines.join('\n');
+  if (example) {
+    content += `\n\nExample from \`${example.file}\`:\n\n\`\`\`\n${example.code}\n\`\`\``;
+  }
+
+  return {
+    content,
+    file: example?.file || fallbackFile,
+    lineStart: example?.lineStart || 1,
+    lineEnd: example?.lineEnd || 1,
+    section,
+    categoryHint,
+    typeHint,
+  };
+}
+
+/**
+ * Cut a short code excerpt starting at a character offset
+ * @param {SourceFile} file
+ * @param {number} index
+ * @param {number} maxLines
+ */
+function snippetAt(file, index, maxLines = 12) {
+  const lineStart = file.content.slice(0, index).split('\n').length;
+  const lines = file.content.split('\n').slice(lineStart - 1, lineStart - 1 + maxLines);
+  return {
+    file: file.relativePath,
+    lineStart,
+    lineEnd: lineStart + lines.length - 1,
+    code: lines.join('\n').trimEnd(),
+  };
+}
+
+function isTestFile(path) {
+  return TEST_FILE.test(path) || /(^|\/)__tests__\//.test(path);
+}
+
+function namingStyle(name) {
+  if (/^[a-z0-9]+(-[a-z0-9]+)+$/.test(name)) return 'kebab-case';
+  if (/^[a-z0-9]+(_[a-z0-9]+)+$/.test(name)) return 'snake_case';
+  if (/^[a-z][a-z0-9]*([A-Z][a-z0-9]*)+$/.test(name)) return 'camelCase';
+  if (/^([A-Z][a-z0-9]+){2,}$/.test(name)) return 'PascalCase';
+  // Single lowercase words are ambiguous — they fit every style
+  return null;
+}
+
+function dominantKey(counts, threshold = DOMINANCE_THRESHOLD) {
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (total < 3) return null;
+  const [key, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return n / total >= threshold ? { key, count: n, total } : null;
+}
+
+function count(content, regex) {
+  return (content.match(regex) || []).length;
+}
@@ -0,0 +1,98 @@
+/**
+ * @typedef {Object} RepoResult
+ * @property {string} repo - Repo input as given on the command line / batch file
+ * @property {string} key - Host and path of the repo (or its local path) — its identity in the store
+ * @property {string} [name] - owner/name of the repo (absent when it failed before it was resolved)
+ * @property {string|null} [sha] - Commit the fragments were extracted from
+ * @property {'ok'|'cached'|'empty'|'failed'|'timeout'} status
+ * @property {number} durationMs
+ * @property {number} fragments - Number of fragments produced
+ * @property {number} redactions - Secrets and personal data values masked in those fragments
+ * @property {number} attempts - Clone attempts (0 for local or cached repos)
+ * @property {string|null} error
+ */
+
+/**
+ * Run `worker` over `items` with at most `concurrency` in flight.
+ * Results keep the input order regardless of completion order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @param {number} concurrency
+ * @returns {Promise<R[]>}
+ */
+export async function runPool(items, worker, concurrency = 1) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function drain() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, drain);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Run `task` with a deadline. The task receives an AbortSignal that fires on
+ * timeout so child processes (git clone) are killed rather than left running.
+ * The task itself is not stopped: it must check the signal between steps
+ * (`signal.throwIfAborted()`) before writing anything.
+ * @template R
+ * @param {(signal: AbortSignal) => Promise<R>} task
+ * @param {number} timeoutMs - 0 disables the timeout
+ * @returns {Promise<R>}
+ */
+export async function withTimeout(task, timeoutMs) {
+  if (!timeoutMs) return task(new AbortController().signal);
+
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs / 1000}s`);
+      error.code = 'REPO_TIMEOUT';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([task(controller.signal), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Build the structured run report from per-repo results
+ * @param {RepoResult[]} results
+ * @param {{ startedAt: Date, concurrency: number, timeoutMs: number }} run
+ * @returns {Object}
+ */
+export function buildRunReport(results, run) {
+  const finishedAt = new Date();
+  const count = (...statuses) => results.filter(r => statuses.includes(r.status)).length;
+
+  return {
+    startedAt: run.startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - run.startedAt,
+    concurrency: run.concurrency,
+    timeoutMs: run.timeoutMs,
+    totals: {
+      repos: results.length,
+      succeeded: count('ok', 'cached', 'empty'),
+      cached: count('cached'),
+      empty: count('empty'),
+      failed: count('failed', 'timeout'),
+      fragments: results.reduce((sum, r) => sum + r.fragments, 0),
+      redactions: results.reduce((sum, r) => sum + (r.redactions || 0), 0),
+    },
+    repos: results,
+  };
+}
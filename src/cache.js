@@ -0,0 +1,160 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { execFile, execFileSync } from 'node:child_process';
+import { promisify } from 'node:util';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+
+/**
+ * Bump when the cached fragment shape or extraction logic changes,
+ * so stale entries are ignored instead of reused.
+ */
+const CACHE_VERSION = 4;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {number} version - CACHE_VERSION at write time
+ * @property {string} key - Repo identifier the entry belongs to
+ * @property {string} sha - HEAD commit SHA at extraction time
+ * @property {string} mode - Extraction mode (docs, plus +source and/or +atomic)
+ * @property {string} context - Signature of everything besides file content that shapes fragments
+ * @property {Object<string, { hash: string, fragments: Array }>} files - Per discovered file
+ * @property {Array} fragments - All fragments from the last run, in output order
+ * @property {string} updatedAt
+ */
+
+function cacheDir() {
+  return process.env.CACHE_DIR || './.cache';
+}
+
+function cachePath(key) {
+  const digest = createHash('sha256').update(key).digest('hex').substring(0, 16);
+  return join(cacheDir(), `${digest}.json`);
+}
+
+/**
+ * Load the cache entry for a repo
+ * @param {string} key - Stable repo identifier (remote host/owner/name or absolute local path)
+ * @returns {Promise<CacheEntry | null>}
+ */
+export async function loadCache(key) {
+  try {
+    const entry = JSON.parse(await readFile(cachePath(key), 'utf-8'));
+    if (entry.version !== CACHE_VERSION || entry.key !== key) return null;
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist the cache entry for a repo
+ * @param {string} key
+ * @param {Omit<CacheEntry, 'version' | 'key' | 'updatedAt'>} entry
+ * @returns {Promise<void>}
+ */
+export async function saveCache(key, entry) {
+  await mkdir(cacheDir(), { recursive: true });
+  const data = { version: CACHE_VERSION, key, ...entry, updatedAt: new Date().toISOString() };
+  await writeFile(cachePath(key), JSON.stringify(data), 'utf-8');
+}
+
+/**
+ * Content hash used to detect changed files
+ * @param {string} content
+ * @returns {string}
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash every discovered file
+ * @param {Array<{ path: string, relativePath: string }>} files
+ * @returns {Promise<Map<string, string>>} relativePath → hash
+ */
+export async function hashFiles(files) {
+  const hashes = new Map();
+  for (const file of files) {
+    try {
+      hashes.set(file.relativePath, hashContent(await readFile(file.path)));
+    } catch {
+      // Unreadable — leave unhashed so it's always treated as changed
+    }
+  }
+  return hashes;
+}
+
+/**
+ * Split discovered files into those needing extraction and those whose
+ * cached fragments can be reused as-is.
+ * @param {Array<{ relativePath: string }>} files
+ * @param {Map<string, string>} hashes
+ * @param {CacheEntry | null} entry
+ * @param {string} context
+ * @returns {{ changed: Array, reused: Map<string, Array> }}
+ */
+export function partitionFiles(files, hashes, entry, context) {
+  const changed = [];
+  const reused = new Map();
+  const usable = entry && entry.context === context;
+
+  for (const file of files) {
+    const cached = usable ? entry.files[file.relativePath] : null;
+    const hash = hashes.get(file.relativePath);
+    if (cached && hash && cached.hash === hash) {
+      reused.set(file.relativePath, cached.fragments);
+    } else {
+      changed.push(file);
+    }
+  }
+
+  return { changed, reused };
+}
+
+/**
+ * Resolve the remote HEAD SHA without cloning. Returns null when the remote
+ * can't be reached non-interactively (e.g. private repo without credentials).
+ * @param {string} cloneUrl
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string | null>}
+ */
+export async function remoteHeadSha(cloneUrl, signal) {
+  try {
+    const { stdout } = await execFileAsync('git', ['ls-remote', cloneUrl, 'HEAD'], {
+      signal,
+      timeout: 30_000,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    });
+    return stdout.split(/\s/)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * HEAD SHA of a checkout. Returns null for non-git directories.
+ * @param {string} repoPath
+ * @returns {string | null}
+ */
+export function localHeadSha(repoPath) {
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: repoPath, encoding: 'utf-8', stdio: 'pipe' }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a checkout has uncommitted changes (which the SHA alone doesn't capture)
+ * @param {string} repoPath
+ * @returns {boolean}
+ */
+export function isDirty(repoPath) {
+  try {
+    return execFileSync('git', ['status', '--porcelain'], { cwd: repoPath, encoding: 'utf-8', stdio: 'pipe' }).trim() !== '';
+  } catch {
+    return true;
+  }
+}
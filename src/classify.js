@@ -1,81 +1,80 @@
 import { createHash } from 'node:crypto';
+import { buildFileUrl } from './providers.js';
+import { detectLanguage, vocabularyFor } from './languages.js';
 
 /**
- * Categories for Knowledge Fragments
- * Each keyword has an optional weight multiplier (default 1)
+ * Fixed label sets — in priority order for type detection. The words that
+ * point at each label come from the language packs (languages.js).
  */
-const CATEGORY_KEYWORDS = {
-  'error-handling': ['error', 'catch', 'throw', 'exception', 'try', 'failure', 'retry', 'fallback', 'fejlhåndtering'],
-  'auth-pattern': ['auth', 'authentication', 'authorization', 'login', 'session', 'jwt', 'token', 'middleware', 'clerk', 'supabase auth', 'biometric', 'face id'],
-  'testing': ['test', 'spec', 'assert', 'expect', 'mock', 'stub', 'fixture', 'vitest', 'jest', 'playwright', 'coverage', 'e2e'],
-  'file-structure': ['directory', 'folder', 'structure', 'layout', 'organize', 'colocation', 'barrel', 'index', 'monorepo'],
-  'naming': ['naming', 'convention', 'camelcase', 'kebab', 'pascal', 'prefix', 'suffix', 'nomenclature'],
-  'security': ['security', 'xss', 'csrf', 'injection', 'sanitize', 'escape', 'cors', 'csp', 'owasp', 'vulnerability', 'rls', 'row-level'],
-  'performance': ['performance', 'cache', 'lazy', 'optimize', 'bundle', 'chunk', 'prefetch', 'preload', 'memo'],
-  'conventions': ['convention', 'standard', 'rule', 'guideline', 'style', 'format', 'lint', 'prettier', 'regler', 'vigtigt', 'workflow', 'aldrig', 'altid'],
-  'architecture': ['architecture', 'pattern', 'design', 'layer', 'module', 'separation', 'concern', 'dependency', 'arkitektur'],
-  'api-design': ['api', 'endpoint', 'route', 'handler', 'request', 'response', 'rest', 'graphql', 'trpc'],
-  'database': ['database', 'migration', 'schema', 'query', 'index', 'relation', 'foreign key', 'drizzle', 'prisma', 'supabase'],
-  'deployment': ['deploy', 'ci', 'cd', 'docker', 'kubernetes', 'vercel', 'fly', 'github actions', 'pipeline', 'hosting', 'pm2'],
-  'imports': ['import', 'export', 'module', 'require', 'barrel', 'path alias', 'absolute import'],
-  'ui-patterns': ['component', 'button', 'input', 'form', 'modal', 'dialog', 'toast', 'badge', 'ui pattern', 'søgefelt', 'clear'],
-  'git-workflow': ['git', 'commit', 'branch', 'merge', 'pull', 'push', 'rebase', 'workflow'],
-};
+export const CATEGORIES = [
+  'error-handling', 'auth-pattern', 'testing', 'file-structure', 'naming', 'security', 'performance',
+  'conventions', 'architecture', 'api-design', 'database', 'deployment', 'imports', 'ui-patterns', 'git-workflow',
+];
+export const TYPES = ['anti-pattern', 'rule', 'pattern', 'convention'];
 
 /**
- * Section titles that strongly indicate a specific category (overrides keyword scoring)
+ * @typedef {Object} Classification
+ * @property {string} category - One of CATEGORIES
+ * @property {string} type - One of TYPES
+ * @property {string} [title] - Clean title (generated from the block when absent)
+ * @property {string} [summary] - One-sentence summary
+ */
+
+/**
+ * @typedef {Object} Classifier
+ * @property {string} name - Identifies the backend (part of the cache key)
+ * @property {(block: import('./extract.js').RawKnowledgeBlock) => Classification | Promise<Classification>} classify
  */
-const TITLE_CATEGORY_OVERRIDES = {
-  'conventions': [/regler/i, /rules/i, /conventions/i, /standards/i, /vigtigt/i, /important/i, /hård/i, /hard/i],
-  'ui-patterns': [/ui pattern/i, /component/i, /knap/i, /button/i, /søge/i, /search/i],
-  'git-workflow': [/git/i, /commit/i, /workflow/i],
-  'deployment': [/deploy/i, /hosting/i, /env/i, /sync/i],
-  'testing': [/test/i, /e2e/i, /spec/i],
-  'auth-pattern': [/auth/i, /login/i, /role/i, /rbac/i, /rolle/i],
-};
 
 /**
- * Determine if a block describes a rule, pattern, anti-pattern, or convention
- * Supports both English and Danish signal words
+ * Default backend: keyword and signal-word heuristics, using the language
+ * pack of the block's detected language
+ * @type {Classifier}
  */
-const TYPE_SIGNALS = {
-  'anti-pattern': [
-    'never', 'don\'t', 'avoid', 'do not', 'bad', 'wrong', 'anti-pattern', 'deprecated', 'instead of',
-    'aldrig', 'undgå', 'brug ikke', 'forkert', '❌',
-  ],
-  'rule': [
-    'must', 'always', 'required', 'shall', 'enforce', 'mandatory',
-    'skal', 'altid', 'påkrævet', 'obligatorisk', 'vigtigt', 'VIGTIGT', 'non-negotiable', 'hårde regler',
-  ],
-  'pattern': [
-    'pattern', 'approach', 'technique', 'strategy', 'example', 'how to', 'implementation',
-    'mønster', 'tilgang', 'eksempel', 'sådan', '✅',
-  ],
-  'convention': [
-    'convention', 'standard', 'style', 'format', 'naming', 'prefer', 'recommendation',
-    'konvention', 'foretrækker', 'anbefaling',
-  ],
+export const heuristicClassifier = {
+  name: 'heuristic',
+  classify: (block) => {
+    const vocabulary = vocabularyFor(detectLanguage(block.content));
+    return {
+      category: detectCategory(block.content, block.section, vocabulary),
+      type: detectType(block.content, vocabulary),
+    };
+  },
 };
 
 /**
  * Classify raw knowledge blocks into structured Knowledge Fragments
  * @param {Array} rawBlocks - From extract.js
- * @param {Array} stack - Detected stack from detect-stack.js
- * @param {{ owner: string, name: string, url: string }} repoInfo
- * @returns {Array} Classified Knowledge Fragments
+ * @param {import('./detect-stack.js').StackMap} stackMap - Detected stack from detect-stack.js
+ * @param {import('./clone.js').RepoInfo} repoInfo
+ * @param {{ classifier?: Classifier }} [options] - Backend deciding category/type (default: heuristics)
+ * @returns {Promise<Array>} Classified Knowledge Fragments
  */
-export function classifyFragments(rawBlocks, stack, repoInfo) {
+export async function classifyFragments(rawBlocks, stackMap, repoInfo, options = {}) {
+  const classifier = options.classifier || heuristicClassifier;
   const fragments = [];
+  const occurrences = new Map();
 
   for (const block of rawBlocks) {
-    const category = detectCategory(block.content, block.section);
-    const type = detectType(block.content);
+    const stack = stackFor(block.file, stackMap);
+    // Source-code and config analysis already know what they observed — trust their hints
+    const classification = block.categoryHint && block.typeHint
+      ? { category: block.categoryHint, type: block.typeHint }
+      : await classifier.classify(block);
+    const category = block.categoryHint || classification.category;
+    const type = block.typeHint || classification.type;
     const tags = extractTags(block.content, stack);
+    if (block.origin === 'code') tags.push('code-derived');
+    if (block.origin === 'config') tags.push('config-derived');
     const confidence = calculateConfidence(block);
 
-    // Generate deterministic ID from content + source
+    // Content-stable ID: edits elsewhere in the file move the line, not the ID
+    const key = `${repoInfo.url}:${block.file}:${block.breadcrumb || block.section}:${block.content.replace(/\s+/g, ' ').trim()}`;
+    // The same text twice under one heading — the second copy gets its own ID
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
     const id = createHash('sha256')
-      .update(`${repoInfo.url}:${block.file}:${block.lineStart}`)
+      .update(occurrence > 1 ? `${key}:${occurrence}` : key)
       .digest('hex')
       .substring(0, 12);
 
@@ -84,7 +83,7 @@ export function classifyFragments(rawBlocks, stack, repoInfo) {
       stack: stack.map(s => s.version ? `${s.name}@${s.version}` : s.name),
       category,
       type,
-      title: generateTitle(block),
+      title: classification.title || generateTitle(block),
       description: block.content.substring(0, 500),
       fullContent: block.content,
       example: extractCodeExample(block.content),
@@ -92,23 +91,34 @@ export function classifyFragments(rawBlocks, stack, repoInfo) {
         repo: `${repoInfo.owner}/${repoInfo.name}`,
         file: block.file,
         line: block.lineStart,
-        url: repoInfo.url
-          ? `${repoInfo.url}/blob/main/${block.file}#L${block.lineStart}`
-          : '',
+        url: buildFileUrl(repoInfo, block.file, block.lineStart),
+        ...(block.importedFrom && { importedFrom: block.importedFrom }),
       },
       confidence,
       tags,
+      language: detectLanguage(block.content),
+      ...(block.redactions && { redactions: block.redactions }),
+      ...(classification.summary && { summary: classification.summary }),
+      ...(block.breadcrumb && { breadcrumb: block.breadcrumb }),
+      ...(block.parentSection && { parentSection: block.parentSection }),
+      ...(block.appliesTo && { appliesTo: block.appliesTo }),
     });
   }
 
   return fragments;
 }
 
-function detectCategory(content, sectionTitle = '') {
+/**
+ * @param {string} content
+ * @param {string} sectionTitle
+ * @param {import('./languages.js').Vocabulary} vocabulary
+ * @returns {string}
+ */
+function detectCategory(content, sectionTitle, vocabulary) {
   // Check title overrides first — section headings are strongest signal
   if (sectionTitle) {
-    for (const [category, patterns] of Object.entries(TITLE_CATEGORY_OVERRIDES)) {
-      if (patterns.some(p => p.test(sectionTitle))) {
+    for (const [category, patterns] of Object.entries(vocabulary.titleCategoryOverrides)) {
+      if (CATEGORIES.includes(category) && patterns.some(p => p.test(sectionTitle))) {
         return category;
       }
     }
@@ -118,12 +128,9 @@ function detectCategory(content, sectionTitle = '') {
   let bestCategory = 'conventions';
   let bestScore = 0;
 
-  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-    const score = keywords.reduce((sum, kw) => {
-      const regex = new RegExp(kw, 'gi');
-      const matches = lower.match(regex);
-      return sum + (matches ? matches.length : 0);
-    }, 0);
+  for (const category of CATEGORIES) {
+    const keywords = vocabulary.categoryKeywords[category] || [];
+    const score = keywords.reduce((sum, kw) => sum + (lower.match(keywordPattern(kw)) || []).length, 0);
 
     if (score > bestScore) {
       bestScore = score;
@@ -134,11 +141,12 @@ function detectCategory(content, sectionTitle = '') {
   return bestCategory;
 }
 
-function detectType(content) {
+function detectType(content, vocabulary) {
   const lower = content.toLowerCase();
 
-  for (const [type, signals] of Object.entries(TYPE_SIGNALS)) {
-    if (signals.some(signal => lower.includes(signal))) {
+  for (const type of TYPES) {
+    const signals = vocabulary.typeSignals[type] || [];
+    if (signals.some(signal => keywordPattern(signal).test(lower))) {
       return type;
     }
   }
@@ -146,6 +154,44 @@ function detectType(content) {
   return 'convention';
 }
 
+const keywordPatterns = new Map();
+
+/**
+ * Match a keyword as a whole word, so 'ci' doesn't count inside "decide" or
+ * "city" and 'api' not inside "apiary". Plurals still match; other
+ * inflections ("testing", "layered") are listed as keywords of their own.
+ * @param {string} keyword
+ * @returns {RegExp}
+ */
+function keywordPattern(keyword) {
+  if (!keywordPatterns.has(keyword)) {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const start = /^[\p{L}\p{N}]/u.test(keyword) ? '(?<![\\p{L}\\p{N}])' : '';
+    // A plural ("tests", "patches", "queries") is the same keyword
+    const word = !/[\p{L}\p{N}]$/u.test(keyword) ? escaped
+      : /[^aeiou]y$/.test(escaped) ? `${escaped.slice(0, -1)}(?:y|ies)(?![\\p{L}\\p{N}])`
+      : `${escaped}(?:e?s)?(?![\\p{L}\\p{N}])`;
+    keywordPatterns.set(keyword, new RegExp(`${start}${word}`, 'giu'));
+  }
+  const pattern = keywordPatterns.get(keyword);
+  pattern.lastIndex = 0;
+  return pattern;
+}
+
+/**
+ * Stack of the nearest package that contains the file; files outside any
+ * package (root-level docs) get the repo-wide union
+ * @param {string} file
+ * @param {import('./detect-stack.js').StackMap} stackMap
+ * @returns {import('./detect-stack.js').StackItem[]}
+ */
+function stackFor(file, stackMap) {
+  const owner = Object.keys(stackMap.packages)
+    .filter(dir => file.startsWith(`${dir}/`))
+    .sort((a, b) => b.length - a.length)[0];
+  return owner === undefined ? stackMap.stack : stackMap.packages[owner];
+}
+
 function extractTags(content, stack) {
   const tags = new Set();
 
@@ -174,6 +220,12 @@ function extractTags(content, stack) {
 }
 
 function calculateConfidence(block) {
+  // Patterns inferred from source code = lowest (observed, never stated by the authors)
+  if (block.origin === 'code') return 'low';
+  // Interpreted config settings = medium (enforced by tooling, but no stated rationale)
+  if (block.origin === 'config') return 'medium';
+  // Cursor rules the agent only pulls in on request (no alwaysApply, no globs) carry less weight
+  if (block.appliesTo?.globs && !block.appliesTo.alwaysApply && block.appliesTo.globs.length === 0) return 'medium';
   // AI instruction files = highest confidence
   if (block.category === 'ai-instructions') return 'high';
   // Explicit conventions = high
@@ -185,6 +237,12 @@ function calculateConfidence(block) {
 }
 
 function generateTitle(block) {
+  // Atomic rules share their section heading — the rule text itself is the title
+  if (block.parentSection) {
+    const firstLine = block.content.split('\n').find(l => l.trim().length > 0);
+    return firstLine.replace(/^[\s\-*+]*(\d+[.)]\s*)?/, '').replace(/\*\*/g, '').substring(0, 100);
+  }
+
   // Use section heading if available
   if (block.section && block.section !== 'preamble') {
     return block.section.replace(/^#+\s*/, '').substring(0, 100);
@@ -1,120 +1,256 @@
-import { execSync } from 'node:child_process';
-import { existsSync, mkdirSync, statSync } from 'node:fs';
+import { execSync, execFileSync, execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { existsSync, mkdirSync, mkdtempSync, rmSync, statSync } from 'node:fs';
 import { join, basename } from 'node:path';
 import { tmpdir } from 'node:os';
+import { PROVIDERS, parseRemote, isBareRepo, stripCredentials } from './providers.js';
 
 const TMP_BASE = join(tmpdir(), 'cpm-knowledge-extractor');
 
+const execFileAsync = promisify(execFile);
+
+/**
+ * Clone failures worth retrying (network hiccups, overloaded remotes).
+ * Auth and not-found errors are permanent and fail immediately.
+ */
+const TRANSIENT_CLONE_ERRORS = [
+  /could not resolve host/i,
+  /connection (reset|refused|timed out)/i,
+  /operation timed out/i,
+  /early EOF/i,
+  /RPC failed/i,
+  /remote end hung up/i,
+  /returned error: 5\d\d/i,
+  /HTTP 5\d\d/i,
+  /temporary failure/i,
+  /TLS connection was non-properly terminated/i,
+];
+
+/**
+ * @typedef {Object} RepoInfo
+ * @property {string} owner
+ * @property {string} name
+ * @property {string} url - Browsable repo URL ('' when the remote has no web UI)
+ * @property {string} [provider] - github|gitlab|bitbucket|bitbucket-server|generic
+ * @property {string} [host]
+ * @property {string} [ref] - Checked-out branch (or commit SHA when detached)
+ */
+
+let ghAvailable;
+
 /**
- * Check if gh CLI is available and authenticated
+ * Check if gh CLI is available and authenticated (checked once per process)
  * @returns {boolean}
  */
 function hasGhCli() {
-  try {
-    execSync('gh auth status', { encoding: 'utf-8', stdio: 'pipe' });
-    return true;
-  } catch {
-    return false;
+  if (ghAvailable === undefined) {
+    try {
+      execSync('gh auth status', { encoding: 'utf-8', stdio: 'pipe' });
+      ghAvailable = true;
+    } catch {
+      ghAvailable = false;
+    }
   }
+  return ghAvailable;
 }
 
 /**
- * Check if input is a local repo path
+ * Check if input is a local working-tree path (bare repos are cloned instead)
  * @param {string} input
  * @returns {boolean}
  */
 export function isLocalRepo(input) {
   try {
-    return existsSync(input) && statSync(input).isDirectory();
+    return existsSync(input) && statSync(input).isDirectory() && !isBareRepo(input);
   } catch {
     return false;
   }
 }
 
 /**
- * Parse owner/name from a GitHub URL or shorthand (e.g. "owner/repo")
+ * Parse a repo URL or shorthand (e.g. "owner/repo") for any supported provider
  * @param {string} repoUrl
- * @returns {{ owner: string, name: string } | null}
+ * @returns {import('./providers.js').RepoRef | null}
  */
 export function parseRepoIdentifier(repoUrl) {
-  // Full URL: https://github.com/owner/repo or git@github.com:owner/repo
-  const urlMatch = repoUrl.match(/github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?$/);
-  if (urlMatch) {
-    return { owner: urlMatch[1], name: urlMatch[2] };
-  }
-  // Shorthand: owner/repo
-  const shortMatch = repoUrl.match(/^([\w.-]+)\/([\w.-]+)$/);
-  if (shortMatch) {
-    return { owner: shortMatch[1], name: shortMatch[2] };
-  }
-  return null;
+  return parseRemote(repoUrl);
 }
 
 /**
  * Extract repo info from a local or cloned repo
  * @param {string} repoPath
- * @returns {{ owner: string, name: string, url: string }}
+ * @returns {RepoInfo}
  */
 export function getRepoInfo(repoPath) {
+  let remote;
   try {
-    const remote = execSync('git remote get-url origin', { cwd: repoPath, encoding: 'utf-8' }).trim();
-    const parsed = parseRepoIdentifier(remote);
-    if (parsed) {
-      return { ...parsed, url: `https://github.com/${parsed.owner}/${parsed.name}` };
-    }
-    return { owner: 'unknown', name: basename(repoPath), url: remote };
+    remote = git(['remote', 'get-url', 'origin'], repoPath);
   } catch {
     return { owner: 'local', name: basename(repoPath), url: '' };
   }
+
+  const parsed = parseRemote(remote);
+  if (parsed) {
+    return toRepoInfo(parsed, currentRef(repoPath));
+  }
+  return { owner: 'unknown', name: basename(repoPath), url: stripCredentials(remote) };
 }
 
 /**
  * Shallow clone a repo to tmp directory.
- * Uses `gh repo clone` (inherits CLI auth for private repos) with fallback to plain git.
- * Also supports shorthand "owner/repo" format.
+ * GitHub repos use `gh repo clone` (inherits CLI auth for private repos) with fallback
+ * to plain git. GitLab, Bitbucket, ssh and file:// remotes are cloned with plain git,
+ * relying on your ssh keys or git credential helper for auth.
+ * Transient network failures are retried with exponential backoff.
  *
- * @param {string} repoUrl - GitHub URL or "owner/repo" shorthand
- * @returns {Promise<{ path: string, info: { owner: string, name: string, url: string } }>}
+ * @param {string} repoUrl - Repo URL, local bare repo path or "owner/repo" GitHub shorthand
+ * @param {{ retries?: number, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ path: string, info: RepoInfo, attempts: number }>}
  */
-export async function cloneRepo(repoUrl) {
+export async function cloneRepo(repoUrl, options = {}) {
+  const { retries = 2, signal } = options;
+
   if (!existsSync(TMP_BASE)) {
     mkdirSync(TMP_BASE, { recursive: true });
   }
 
-  const parsed = parseRepoIdentifier(repoUrl);
+  const parsed = parseRemote(repoUrl);
   if (!parsed) {
-    throw new Error(`Cannot parse GitHub repo: ${repoUrl}. Use a URL or owner/repo shorthand.`);
+    throw new Error(`Cannot parse repo: ${stripCredentials(repoUrl)}. Use a GitHub/GitLab/Bitbucket URL, an ssh or file:// remote, or owner/repo shorthand.`);
   }
 
-  const { owner, name } = parsed;
-  const targetDir = join(TMP_BASE, `${owner}--${name}`);
-
-  // Remove existing clone if present
-  if (existsSync(targetDir)) {
-    execSync(`rm -rf ${targetDir}`);
-  }
-
-  const useGh = hasGhCli();
+  const targetDir = join(TMP_BASE, cloneDirName(parsed));
+  const useGh = parsed.provider === 'github' && parsed.host === 'github.com' && hasGhCli();
 
   if (useGh) {
     // gh repo clone inherits CLI auth — works for private repos
     console.log(`[INFO] Using gh CLI (authenticated) for clone`);
-    execSync(`gh repo clone ${owner}/${name} ${targetDir} -- --depth 1 --single-branch`, {
-      encoding: 'utf-8',
-      stdio: 'pipe',
-    });
-  } else {
-    // Fallback: plain git clone (public repos only, or if GITHUB_TOKEN is in env)
-    const url = `https://github.com/${owner}/${name}`;
+  } else if (parsed.provider === 'github') {
     console.log(`[INFO] Using git clone (gh CLI not available — private repos may fail)`);
-    execSync(`git clone --depth 1 --single-branch ${url} ${targetDir}`, {
-      encoding: 'utf-8',
-      stdio: 'pipe',
-    });
   }
 
+  for (let attempt = 1; ; attempt++) {
+    // Remove existing (or half-finished) clone if present
+    if (existsSync(targetDir)) {
+      rmSync(targetDir, { recursive: true, force: true });
+    }
+
+    try {
+      if (useGh) {
+        await execFileAsync('gh', ['repo', 'clone', `${parsed.owner}/${parsed.name}`, targetDir, '--', '--depth', '1', '--single-branch'], { signal });
+      } else {
+        await execFileAsync('git', ['clone', '--depth', '1', '--single-branch', parsed.cloneUrl, targetDir], {
+          signal,
+          env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+        });
+      }
+
+      return {
+        path: targetDir,
+        info: toRepoInfo(parsed, currentRef(targetDir)),
+        attempts: attempt,
+      };
+    } catch (error) {
+      const message = `${error.stderr || ''} ${error.message}`;
+      const transient = TRANSIENT_CLONE_ERRORS.some(pattern => pattern.test(message));
+      if (signal?.aborted || !transient || attempt > retries) {
+        const detail = (error.stderr || error.message)
+          .split('\n')
+          .filter(line => line.trim() && !line.startsWith('Cloning into'))
+          .join(' ');
+        error.message = `Clone failed after ${attempt} attempt(s): ${stripCredentials(detail)}`;
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = 1000 * 2 ** (attempt - 1);
+      console.warn(`[WARN] Transient clone failure for ${stripCredentials(repoUrl)}, retrying in ${delay / 1000}s`);
+      await sleep(delay, undefined, { signal });
+    }
+  }
+}
+
+/**
+ * Check out a branch, tag or commit into a temporary worktree, leaving the
+ * repo's own checkout alone. Refs a shallow clone doesn't have are fetched.
+ * @param {string} repoPath
+ * @param {string} ref
+ * @returns {{ path: string, sha: string, remove: () => void }}
+ */
+export function checkoutRef(repoPath, ref) {
+  let sha;
+  try {
+    sha = git(['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`], repoPath);
+  } catch {
+    try {
+      git(['fetch', '--depth', '1', 'origin', '--end-of-options', ref], repoPath);
+      sha = git(['rev-parse', '--verify', 'FETCH_HEAD^{commit}'], repoPath);
+    } catch {
+      throw new Error(`Unknown ref "${ref}" in ${repoPath}`);
+    }
+  }
+
+  mkdirSync(TMP_BASE, { recursive: true });
+  const path = mkdtempSync(join(TMP_BASE, 'worktree-'));
+  git(['worktree', 'add', '--detach', path, sha], repoPath);
+
+  return {
+    path,
+    sha,
+    remove: () => {
+      try {
+        git(['worktree', 'remove', '--force', path], repoPath);
+      } catch {
+        // Locked or half-created — drop the files; git prunes the entry later
+        rmSync(path, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+/**
+ * @param {import('./providers.js').RepoRef} parsed
+ * @param {string} ref
+ * @returns {RepoInfo}
+ */
+function toRepoInfo(parsed, ref) {
   return {
-    path: targetDir,
-    info: { owner, name, url: `https://github.com/${owner}/${name}` },
+    owner: parsed.owner,
+    name: parsed.name,
+    url: PROVIDERS[parsed.provider].webUrl(parsed),
+    provider: parsed.provider,
+    host: parsed.host,
+    ref,
   };
 }
+
+/**
+ * Clone directory name. GitHub keeps the historical "owner--name" layout;
+ * other providers are prefixed with the host to avoid collisions.
+ * @param {import('./providers.js').RepoRef} parsed
+ * @returns {string}
+ */
+function cloneDirName(parsed) {
+  const parts = parsed.provider === 'github' && parsed.host === 'github.com'
+    ? [parsed.owner, parsed.name]
+    : [parsed.host || 'file', parsed.owner, parsed.name];
+  return parts.join('--').replace(/[^\w.-]+/g, '--');
+}
+
+/**
+ * Current branch of a checkout, or the commit SHA when HEAD is detached
+ * @param {string} repoPath
+ * @returns {string}
+ */
+function currentRef(repoPath) {
+  try {
+    const branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], repoPath);
+    return branch === 'HEAD' ? git(['rev-parse', 'HEAD'], repoPath) : branch;
+  } catch {
+    return 'main';
+  }
+}
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim();
+}
@@ -0,0 +1,490 @@
+import { basename } from 'node:path';
+import { parseFrontMatter } from './markdown.js';
+
+/**
+ * Config interpreters: turn linter/compiler/formatter configs into one readable
+ * rule block per meaningful setting, instead of one raw blob per file.
+ * Configs are parsed (JSONC) or statically analyzed (JS) — never executed.
+ */
+
+/**
+ * What well-known presets imply, in plain words
+ */
+const PRESETS = {
+  'eslint:recommended': ['ESLint\'s recommended rules are enforced (no undefined variables, no unreachable code, no duplicate keys).'],
+  'next/core-web-vitals': [
+    'Next.js lint rules with Core Web Vitals checks are errors: use `next/image` instead of `<img>`, `next/link` instead of `<a>` for internal routes, and `next/script` for third-party scripts.',
+    'React Hooks rules are enforced (hooks only at the top level, exhaustive effect dependencies).',
+  ],
+  'next': ['Next.js recommended lint rules are enforced (e.g. no `<img>` without `next/image`, no custom fonts in pages).'],
+  'next/typescript': ['typescript-eslint recommended rules apply to the Next.js app (e.g. no unused variables, no `any` without reason).'],
+  'plugin:@typescript-eslint/recommended': ['typescript-eslint recommended rules are enforced (no unused variables, `any` is discouraged, no non-null assertions misuse).'],
+  'plugin:@typescript-eslint/strict': ['typescript-eslint strict rules are enforced — stricter than recommended (no non-null assertions, no dynamic deletes, no extraneous classes).'],
+  'plugin:@typescript-eslint/recommended-type-checked': ['Type-aware typescript-eslint rules are enforced (no floating promises, no unsafe `any` assignments).'],
+  'typescript-eslint/recommended': ['typescript-eslint recommended rules are enforced (no unused variables, `any` is discouraged).'],
+  'typescript-eslint/strict': ['typescript-eslint strict rules are enforced (no non-null assertions, no dynamic deletes, no extraneous classes).'],
+  'typescript-eslint/strictTypeChecked': ['Type-aware strict typescript-eslint rules are enforced (no floating promises, no unsafe `any`, no unnecessary conditions).'],
+  'plugin:react/recommended': ['eslint-plugin-react recommended rules are enforced (keys in lists, no unknown DOM props).'],
+  'plugin:react-hooks/recommended': ['React Hooks rules are enforced: hooks only at the top level of components/hooks, and effect dependency arrays must be exhaustive.'],
+  'plugin:jsx-a11y/recommended': ['Accessibility lint rules are enforced (alt text on images, labelled form controls, valid ARIA).'],
+  'plugin:import/recommended': ['Import lint rules are enforced (imports must resolve, no duplicate or named-export mismatches).'],
+  'prettier': ['Formatting rules are turned off in ESLint — formatting is Prettier\'s job, not the linter\'s.'],
+  'plugin:prettier/recommended': ['Prettier runs as an ESLint rule: formatting differences are lint errors.'],
+  'airbnb': ['The Airbnb style guide is enforced (strict import, React and ES2015+ conventions).'],
+  'standard': ['JavaScript Standard Style is enforced: no semicolons, single quotes, 2-space indentation.'],
+  '@tsconfig/strictest': ['The strictest TypeScript base config is extended: strict mode plus noUncheckedIndexedAccess, exactOptionalPropertyTypes and no unused code.'],
+  '@tsconfig/recommended': ['The recommended TypeScript base config is extended (strict mode, ES2015+ target).'],
+  '@tsconfig/node20': ['The Node 20 TypeScript base config is extended (ES2022 target, Node16 module resolution).'],
+};
+
+/**
+ * Plain-language meaning of common ESLint rules
+ */
+const RULE_DESCRIPTIONS = {
+  'no-console': '`console.*` calls',
+  'no-debugger': '`debugger` statements',
+  'eqeqeq': 'loose equality (`==` instead of `===`)',
+  'no-var': '`var` declarations',
+  'prefer-const': '`let` bindings that are never reassigned',
+  'no-unused-vars': 'unused variables',
+  '@typescript-eslint/no-unused-vars': 'unused variables',
+  '@typescript-eslint/no-explicit-any': 'the `any` type',
+  '@typescript-eslint/no-non-null-assertion': 'non-null assertions (`value!`)',
+  '@typescript-eslint/consistent-type-imports': 'type imports without `import type`',
+  '@typescript-eslint/no-floating-promises': 'unhandled promises',
+  '@typescript-eslint/ban-ts-comment': '`@ts-ignore` / `@ts-expect-error` comments',
+  'react-hooks/exhaustive-deps': 'incomplete effect dependency arrays',
+  'react-hooks/rules-of-hooks': 'hooks called conditionally or outside components',
+  'react/react-in-jsx-scope': 'JSX without React in scope',
+  'react/prop-types': 'components without prop-types',
+  'import/order': 'unordered imports',
+  'import/no-default-export': 'default exports',
+  'import/prefer-default-export': 'modules with a single named export',
+  'no-restricted-imports': 'restricted import paths',
+  'curly': 'control statements without braces',
+  '@next/next/no-img-element': '`<img>` elements (use `next/image`)',
+  // Biome (matched on the rule name without its group)
+  'noExplicitAny': 'the `any` type',
+  'noConsole': '`console.*` calls',
+  'noConsoleLog': '`console.log` calls',
+  'noDoubleEquals': 'loose equality (`==` instead of `===`)',
+  'noVar': '`var` declarations',
+  'useConst': '`let` bindings that are never reassigned',
+  'noNonNullAssertion': 'non-null assertions (`value!`)',
+  'useImportType': 'type imports without `import type`',
+  'noDefaultExport': 'default exports',
+};
+
+const RULE_CATEGORIES = [
+  [/^import\/|restricted-imports|consistent-type-imports/, 'imports'],
+  [/^(jsx-a11y|react|react-hooks)\//, 'ui-patterns'],
+  [/^security\/|no-eval|no-implied-eval/, 'security'],
+  [/^(jest|vitest|testing-library|playwright)\//, 'testing'],
+  [/^@next\//, 'performance'],
+];
+
+const SEVERITIES = { 0: 'off', 1: 'warn', 2: 'error', off: 'off', warn: 'warn', error: 'error' };
+// Biome's "info" diagnostics never fail a check — closer to a warning than an error
+const BIOME_SEVERITIES = { off: 'off', info: 'warn', warn: 'warn', error: 'error' };
+
+/**
+ * Interpret a config file into rule blocks
+ * @param {{ relativePath: string, category: string, priority: number }} file
+ * @param {string} content
+ * @returns {import('./extract.js').RawKnowledgeBlock[] | null} null when the file can't be interpreted
+ */
+export function interpretConfig(file, content) {
+  const name = basename(file.relativePath);
+  let settings = null;
+
+  try {
+    if (/^tsconfig.*\.json$/.test(name)) settings = interpretTsconfig(parseJsonc(content));
+    else if (/^\.prettierrc(\.(json|ya?ml))?$/.test(name)) settings = interpretPrettier(parsePrettierrc(content));
+    else if (/^biome\.jsonc?$/.test(name)) settings = interpretBiome(parseJsonc(content));
+    else if (/^\.eslintrc(\.json)?$/.test(name)) settings = interpretEslint(parseJsonc(content));
+    else if (/^(\.eslintrc\.c?js|eslint\.config\.[cm]?[jt]s)$/.test(name)) settings = interpretEslint(analyzeEslintScript(content));
+  } catch {
+    return null;
+  }
+
+  if (!settings || settings.length === 0) return null;
+
+  return settings.map(setting => {
+    const line = lineOf(content, setting.anchor || setting.key);
+    return {
+      content: setting.text,
+      file: file.relativePath,
+      category: file.category,
+      priority: file.priority,
+      lineStart: line,
+      lineEnd: line,
+      section: `${name}: ${setting.key}`,
+      origin: 'config',
+      categoryHint: setting.category || 'conventions',
+      typeHint: setting.type || 'convention',
+    };
+  });
+}
+
+/**
+ * @typedef {Object} Setting
+ * @property {string} key - Config key (used for the title and to find the line)
+ * @property {string} text - Readable statement
+ * @property {string} [category]
+ * @property {string} [type]
+ * @property {string} [anchor] - Source text to locate the line by, when it differs from the key
+ */
+
+/**
+ * @param {Object} config
+ * @returns {Setting[]}
+ */
+function interpretTsconfig(config) {
+  const settings = [];
+  const options = config.compilerOptions || {};
+
+  for (const base of [].concat(config.extends || [])) {
+    const implied = PRESETS[base.replace(/\/tsconfig(\.json)?$/, '')];
+    settings.push({
+      key: 'extends',
+      text: implied ? `\`extends: "${base}"\`. ${implied.join(' ')}` : `\`extends: "${base}"\` — compiler options are inherited from this base config.`,
+      type: 'rule',
+    });
+  }
+
+  const flags = {
+    strict: 'TypeScript strict mode is required (strictNullChecks, noImplicitAny and the other strict checks are on).',
+    noUncheckedIndexedAccess: 'indexed access (`arr[i]`, `record[key]`) is typed as possibly `undefined` and must be checked.',
+    exactOptionalPropertyTypes: 'optional properties cannot be explicitly set to `undefined`.',
+    noImplicitAny: 'values without an inferable type must be annotated — implicit `any` is an error.',
+    strictNullChecks: '`null` and `undefined` must be handled explicitly.',
+    noUnusedLocals: 'unused local variables are compile errors.',
+    noUnusedParameters: 'unused function parameters are compile errors (prefix with `_` to opt out).',
+    noImplicitReturns: 'every code path in a function must return a value.',
+    noFallthroughCasesInSwitch: '`switch` cases must not fall through.',
+    noImplicitOverride: 'overriding class members must use the `override` keyword.',
+    verbatimModuleSyntax: 'type-only imports must use `import type` (imports are emitted exactly as written).',
+    isolatedModules: 'every file must be transpilable on its own (use `export type` for re-exported types).',
+    checkJs: 'JavaScript files are type-checked too.',
+    noEmit: 'tsc only type-checks; a bundler/runtime does the compiling.',
+  };
+
+  for (const [flag, meaning] of Object.entries(flags)) {
+    if (options[flag] === true) {
+      settings.push({ key: flag, text: `\`${flag}: true\` — ${meaning}`, type: 'rule' });
+    }
+  }
+  if (options.strict === false) {
+    settings.push({ key: 'strict', text: '`strict: false` — TypeScript strict mode is off; null checks and implicit `any` are not enforced.' });
+  }
+
+  if (options.paths) {
+    const aliases = Object.entries(options.paths).map(([alias, targets]) => `\`${alias}\` → \`${[].concat(targets)[0]}\``);
+    settings.push({
+      key: 'paths',
+      text: `\`paths\` — import through path aliases instead of long relative paths: ${aliases.join(', ')}.`,
+      category: 'imports',
+    });
+  }
+
+  if (options.moduleResolution || options.module) {
+    const resolution = options.moduleResolution || options.module;
+    settings.push({
+      key: options.moduleResolution ? 'moduleResolution' : 'module',
+      text: `\`${options.moduleResolution ? 'moduleResolution' : 'module'}: "${resolution}"\` — ${/node16|nodenext/i.test(resolution) ? 'relative imports need explicit file extensions (`./util.js`).' : /bundler/i.test(resolution) ? 'imports are resolved the way a bundler does (extensionless relative imports are fine).' : 'module resolution follows this mode.'}`,
+      category: 'imports',
+    });
+  }
+
+  if (options.target) {
+    settings.push({ key: 'target', text: `\`target: "${options.target}"\` — code compiles to ${options.target}; newer syntax is down-levelled.` });
+  }
+  if (options.jsx) {
+    settings.push({ key: 'jsx', text: `\`jsx: "${options.jsx}"\` — ${/react-jsx/.test(options.jsx) ? 'the automatic JSX runtime is used; don\'t import React just for JSX.' : `JSX is compiled in "${options.jsx}" mode.`}`, category: 'ui-patterns' });
+  }
+
+  return settings;
+}
+
+/**
+ * @param {Object} config
+ * @returns {Setting[]}
+ */
+function interpretPrettier(config) {
+  const style = [];
+  if (config.semi === false) style.push('no semicolons');
+  if (config.semi === true) style.push('semicolons');
+  if (config.singleQuote === true) style.push('single quotes');
+  if (config.singleQuote === false) style.push('double quotes');
+  if (config.useTabs === true) style.push('tabs for indentation');
+  else if (config.tabWidth) style.push(`${config.tabWidth}-space indentation`);
+  if (config.printWidth) style.push(`${config.printWidth}-character lines`);
+  if (config.trailingComma) style.push(config.trailingComma === 'none' ? 'no trailing commas' : `trailing commas (${config.trailingComma})`);
+  if (config.arrowParens === 'avoid') style.push('no parentheses around single arrow-function parameters');
+  if (config.bracketSpacing === false) style.push('no spaces inside object braces');
+  if (config.jsxSingleQuote === true) style.push('single quotes in JSX');
+  if (config.endOfLine) style.push(`${config.endOfLine.toUpperCase()} line endings`);
+
+  const settings = [];
+  if (style.length > 0) {
+    const keys = Object.keys(config).filter(key => key !== 'plugins' && key !== 'overrides');
+    settings.push({
+      key: keys[0] || 'prettier',
+      text: `Code is formatted by Prettier: ${style.join(', ')}. Don't hand-format against it.`,
+      category: 'conventions',
+    });
+  }
+
+  for (const plugin of [].concat(config.plugins || [])) {
+    if (/tailwind/.test(plugin)) {
+      settings.push({ key: 'plugins', text: `\`${plugin}\` — Tailwind class names are sorted automatically in the canonical order.`, category: 'ui-patterns' });
+    } else if (/organize-imports|sort-imports/.test(plugin)) {
+      settings.push({ key: 'plugins', text: `\`${plugin}\` — imports are sorted automatically on format.`, category: 'imports' });
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * @param {Object} config
+ * @returns {Setting[]}
+ */
+function interpretBiome(config) {
+  const settings = [];
+  const formatter = { ...config.formatter, ...config.javascript?.formatter };
+
+  const style = [];
+  if (formatter.quoteStyle) style.push(`${formatter.quoteStyle} quotes`);
+  if (formatter.semicolons === 'asNeeded') style.push('no semicolons (only where required)');
+  if (formatter.semicolons === 'always') style.push('semicolons');
+  if (formatter.indentStyle) style.push(formatter.indentStyle === 'tab' ? 'tabs for indentation' : `${formatter.indentWidth || 2}-space indentation`);
+  if (formatter.lineWidth) style.push(`${formatter.lineWidth}-character lines`);
+  if (formatter.trailingCommas) style.push(`trailing commas (${formatter.trailingCommas})`);
+  if (style.length > 0 && config.formatter?.enabled !== false) {
+    settings.push({ key: 'formatter', text: `Code is formatted by Biome: ${style.join(', ')}.` });
+  }
+
+  // A disabled linter enforces nothing, whatever its rules say
+  const linterEnabled = config.linter?.enabled !== false;
+  const rules = linterEnabled ? config.linter?.rules || {} : {};
+  if (linterEnabled && rules.recommended !== false) {
+    settings.push({ key: 'linter', text: 'Biome\'s recommended lint rules are enforced.', type: 'rule' });
+  }
+  for (const [group, groupRules] of Object.entries(rules)) {
+    if (typeof groupRules !== 'object') continue;
+    for (const [rule, value] of Object.entries(groupRules)) {
+      const level = typeof value === 'object' ? value.level : value;
+      if (!level) continue;
+      settings.push(ruleSetting(`${group}/${rule}`, BIOME_SEVERITIES[level] || 'error', typeof value === 'object' ? value.options : undefined, rule));
+    }
+  }
+
+  if (config.organizeImports?.enabled || config.assist?.actions?.source?.organizeImports) {
+    settings.push({ key: 'organizeImports', text: 'Imports are organized (sorted) automatically by Biome.', category: 'imports' });
+  }
+
+  return settings;
+}
+
+/**
+ * @param {{ extends?: string|string[], rules?: Object, anchors?: Object<string, string> }} config
+ * @returns {Setting[]}
+ */
+function interpretEslint(config) {
+  const settings = [];
+
+  for (const preset of [].concat(config.extends || [])) {
+    const implied = PRESETS[preset] || PRESETS[preset.replace(/^plugin:/, '')];
+    settings.push({
+      key: preset,
+      text: implied
+        ? `ESLint extends \`${preset}\`. ${implied.join(' ')}`
+        : `ESLint extends \`${preset}\` — its rules apply to this repo.`,
+      type: 'rule',
+      anchor: config.anchors?.[preset],
+    });
+  }
+
+  for (const [rule, value] of Object.entries(config.rules || {})) {
+    const [severityValue, ...options] = [].concat(value);
+    const severity = SEVERITIES[severityValue];
+    if (!severity) continue;
+    settings.push(ruleSetting(rule, severity, options.length > 0 ? options : undefined, rule));
+  }
+
+  return settings;
+}
+
+/**
+ * Readable statement for one lint rule at a severity
+ */
+function ruleSetting(rule, severity, options, key) {
+  const subject = RULE_DESCRIPTIONS[rule] || RULE_DESCRIPTIONS[rule.split('/').pop()];
+  const optionText = options !== undefined ? ` (options: ${JSON.stringify(options)})` : '';
+  const category = RULE_CATEGORIES.find(([pattern]) => pattern.test(rule))?.[1] || 'conventions';
+
+  const level = { error: 'an error', warn: 'a warning', off: 'off' }[severity];
+  const meaning = subject ? (severity === 'off' ? ` — not flagged: ${subject}` : ` — flags ${subject}`) : '';
+  const text = `\`${rule}\` is ${level}${meaning}${optionText}.`;
+
+  return { key, text, category, type: severity === 'error' ? 'rule' : 'convention' };
+}
+
+/**
+ * Static analysis of a JS ESLint config (legacy .eslintrc.js or flat config):
+ * string presets from `extends`/`compat.extends(...)`, `configs.x` member
+ * references, and literal `rules: { ... }` objects. Non-literal values are skipped.
+ * @param {string} source
+ * @returns {{ extends: string[], rules: Object, anchors: Object<string, string> }}
+ */
+function analyzeEslintScript(source) {
+  const code = stripComments(source);
+  const presets = new Set();
+  const rules = {};
+  // Preset name → the expression it was read from, to find its line
+  const anchors = {};
+  const addPreset = (name, expression) => {
+    presets.add(name);
+    anchors[name] ??= expression;
+  };
+
+  // extends: ['a', 'b'] / extends: 'a' / compat.extends('a', 'b')
+  for (const match of code.matchAll(/extends\s*(?::|\()\s*(\[[^\]]*\]|['"][^'"]+['"](?:\s*,\s*['"][^'"]+['"])*)/g)) {
+    for (const str of match[1].matchAll(/['"]([^'"]+)['"]/g)) addPreset(str[1], str[0]);
+  }
+
+  // Flat config presets: js.configs.recommended, tseslint.configs.strict, next.configs['core-web-vitals']
+  for (const match of code.matchAll(/(\w+)\.configs(?:\.(\w+)|\[\s*['"]([^'"]+)['"]\s*\])/g)) {
+    const [expression, owner, dotted, bracketed] = match;
+    const variant = dotted || bracketed;
+    if (owner === 'js' || owner === 'eslint') addPreset(`eslint:${variant}`, expression);
+    else if (/ts|typescript/i.test(owner)) addPreset(`typescript-eslint/${variant}`, expression);
+    else if (/next/i.test(owner)) addPreset(variant === 'core-web-vitals' ? 'next/core-web-vitals' : 'next', expression);
+    else if (/hooks/i.test(owner)) addPreset('plugin:react-hooks/recommended', expression);
+    else if (/a11y/i.test(owner)) addPreset('plugin:jsx-a11y/recommended', expression);
+    else addPreset(`${owner}/${variant}`, expression);
+  }
+  if (/(from\s+|require\(\s*)['"]eslint-config-prettier/.test(code)) {
+    addPreset('prettier', 'eslint-config-prettier');
+  }
+
+  for (const match of code.matchAll(/\brules\s*:\s*\{/g)) {
+    const literal = balancedObject(code, match.index + match[0].length - 1);
+    const parsed = literal && parseJsObject(literal);
+    if (parsed) Object.assign(rules, parsed);
+  }
+
+  return { extends: [...presets], rules, anchors };
+}
+
+/**
+ * Parse JSON with comments and trailing commas
+ * @param {string} text
+ * @returns {any}
+ */
+export function parseJsonc(text) {
+  return JSON.parse(stripComments(text, { trailingCommas: true }));
+}
+
+/**
+ * .prettierrc may be JSON or YAML
+ */
+function parsePrettierrc(text) {
+  try {
+    return parseJsonc(text);
+  } catch {
+    return parseFrontMatter(text);
+  }
+}
+
+/**
+ * Convert a JS object literal (unquoted keys, single quotes, trailing commas) to a value.
+ * Returns null if it contains anything that isn't a plain literal.
+ */
+function parseJsObject(literal) {
+  const json = literal
+    .replace(/'((?:[^'\\]|\\.)*)'/g, (_, body) => JSON.stringify(body.replace(/\\'/g, '\'')))
+    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+    .replace(/,(\s*[}\]])/g, '$1');
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Text of the balanced {...} starting at `start`
+ */
+function balancedObject(code, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < code.length; i++) {
+    const ch = code[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === '\'' || ch === '`') quote = ch;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) return code.slice(start, i + 1);
+  }
+  return null;
+}
+
+/**
+ * Remove // and /* *\/ comments outside of strings — and, with `trailingCommas`,
+ * commas right before a closing } or ]
+ */
+function stripComments(text, options = {}) {
+  let result = '';
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      result += ch;
+      if (ch === '\\') result += text[++i] ?? '';
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === '\'' || ch === '`') {
+      quote = ch;
+      result += ch;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const skipped = text.slice(i, end === -1 ? text.length : end + 2);
+      result += skipped.replace(/[^\n]/g, '');
+      i = end === -1 ? text.length : end + 1;
+    } else if (ch === ',' && options.trailingCommas && closesNext(text, i + 1)) {
+      // Trailing comma — dropped
+    } else {
+      result += ch;
+    }
+  }
+  return result;
+}
+
+const CLOSING = /(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*[}\]]/y;
+
+/**
+ * Whether only whitespace and comments stand between `start` and a closing } or ]
+ */
+function closesNext(text, start) {
+  CLOSING.lastIndex = start;
+  return CLOSING.test(text);
+}
+
+/**
+ * 1-based line where a key first appears, or 1
+ */
+function lineOf(content, key) {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const asKey = content.search(new RegExp(`["']?${escaped}["']?\\s*[:=,\\]]|["']${escaped}["']`));
+  const index = asKey === -1 ? content.indexOf(key) : asKey;
+  return index === -1 ? 1 : content.slice(0, index).split('\n').length;
+}
@@ -0,0 +1,169 @@
+import { createHash } from 'node:crypto';
+import { tokenize } from './text.js';
+
+/**
+ * Directive polarity signals (English + Danish). Negative wins when both match,
+ * since "must not" contains "must".
+ */
+const NEGATIVE = /(?<!\p{L})(never|don'?t|do not|avoid|must not|mustn'?t|should not|shouldn'?t|no longer|aldrig|undgå|brug ikke|må ikke|skal ikke)(?!\p{L})|❌/iu;
+const POSITIVE = /(?<!\p{L})(always|must|should|use|prefer|required?|altid|skal|brug|foretræk)(?!\p{L})|✅/iu;
+
+/**
+ * Statements that weigh two options against each other aren't a single polarity
+ */
+const COMPARATIVE = /\binstead\b|\brather than\b|\bi stedet\b|\bfremfor\b|\bover\b.*\bunless\b/i;
+
+/**
+ * Words that only express polarity or filler — not what the statement is about
+ */
+const NON_SUBJECT = new Set([
+  'never', 'don', 'not', 'avoid', 'must', 'mustn', 'should', 'shouldn', 'longer', 'always', 'use',
+  'using', 'used', 'prefer', 'require', 'required', 'make', 'sure', 'please', 'ever', 'aldrig',
+  'undgå', 'brug', 'ikke', 'må', 'skal', 'altid', 'foretræk', 'no',
+]);
+
+/**
+ * Categories close enough that the keyword classifier often splits one topic
+ * across them. 'conventions' is the catch-all fallback and overlaps everything.
+ */
+const RELATED_CATEGORIES = [
+  ['file-structure', 'imports', 'architecture', 'naming'],
+  ['auth-pattern', 'security'],
+  ['api-design', 'error-handling'],
+  ['database', 'performance'],
+  ['deployment', 'git-workflow'],
+];
+
+const MIN_SHARED_TERMS = 2;
+const MIN_SIMILARITY = 0.5;
+
+/**
+ * @typedef {Object} Contradiction
+ * @property {string} id
+ * @property {string} category
+ * @property {'same-repo'|'cross-repo'} scope
+ * @property {string[]} sharedTerms - Subject terms both statements are about
+ * @property {number} similarity - Jaccard overlap of the statements' subject terms
+ * @property {Array<{ fragmentId: string, type: string, polarity: 'do'|'dont', text: string, repo: string, file: string, line: number, url: string }>} statements
+ */
+
+/**
+ * Find likely contradictions between classified fragments: a directive to do
+ * something in one fragment and a directive not to do it in another, where the
+ * fragments share a category or topic tags.
+ *
+ * @param {Array} fragments
+ * @returns {Contradiction[]}
+ */
+export function findContradictions(fragments) {
+  const directives = fragments.map(f => ({
+    fragment: f,
+    statements: extractStatements(f),
+    topics: new Set(f.tags.filter(tag => !f.stack.some(s => s.split('@')[0] === tag))),
+  }));
+
+  const conflicts = [];
+  const seen = new Set();
+
+  for (let i = 0; i < directives.length; i++) {
+    for (let j = i + 1; j < directives.length; j++) {
+      const a = directives[i];
+      const b = directives[j];
+      if (!isDirective(a.fragment) && !isDirective(b.fragment)) continue;
+      if (!sharesTopic(a, b)) continue;
+      // Sibling packages may legitimately follow different rules
+      if (!sameScope(a.fragment, b.fragment)) continue;
+
+      for (const sa of a.statements) {
+        for (const sb of b.statements) {
+          if (sa.polarity === sb.polarity) continue;
+          const shared = [...sa.subject].filter(term => sb.subject.has(term));
+          if (shared.length < MIN_SHARED_TERMS) continue;
+          const similarity = shared.length / new Set([...sa.subject, ...sb.subject]).size;
+          if (similarity < MIN_SIMILARITY) continue;
+
+          const id = createHash('sha256')
+            .update([a.fragment.id, sa.line, b.fragment.id, sb.line].join(':'))
+            .digest('hex')
+            .substring(0, 12);
+          if (seen.has(id)) continue;
+          seen.add(id);
+
+          conflicts.push({
+            id,
+            category: a.fragment.category,
+            scope: a.fragment.source.repo === b.fragment.source.repo ? 'same-repo' : 'cross-repo',
+            sharedTerms: shared,
+            similarity: Math.round(similarity * 100) / 100,
+            statements: [toRecord(a.fragment, sa), toRecord(b.fragment, sb)],
+          });
+        }
+      }
+    }
+  }
+
+  return conflicts.sort((x, y) => y.similarity - x.similarity);
+}
+
+function isDirective(fragment) {
+  return fragment.type === 'rule' || fragment.type === 'anti-pattern';
+}
+
+function sameScope(a, b) {
+  const da = a.appliesTo?.directory;
+  const db = b.appliesTo?.directory;
+  return !da || !db || da === db || da.startsWith(`${db}/`) || db.startsWith(`${da}/`);
+}
+
+function sharesTopic(a, b) {
+  const ca = a.fragment.category;
+  const cb = b.fragment.category;
+  if (ca === cb || ca === 'conventions' || cb === 'conventions') return true;
+  if (RELATED_CATEGORIES.some(group => group.includes(ca) && group.includes(cb))) return true;
+  for (const topic of a.topics) {
+    if (b.topics.has(topic)) return true;
+  }
+  return false;
+}
+
+/**
+ * Split a fragment into single-polarity directive statements (one per line/bullet)
+ * @param {Object} fragment
+ * @returns {Array<{ text: string, line: number, polarity: 'do'|'dont', subject: Set<string> }>}
+ */
+function extractStatements(fragment) {
+  const content = fragment.fullContent || fragment.description || '';
+  const statements = [];
+  let inFence = false;
+
+  content.split('\n').forEach((raw, offset) => {
+    if (/^\s*(```|~~~)/.test(raw)) inFence = !inFence;
+    if (inFence) return;
+
+    const text = raw.replace(/^\s*([-*+]|\d+[.)])\s+/, '').replace(/^#+\s*/, '').trim();
+    if (text.length < 10 || COMPARATIVE.test(text)) return;
+
+    const polarity = NEGATIVE.test(text) ? 'dont' : POSITIVE.test(text) ? 'do' : null;
+    if (!polarity) return;
+
+    const subject = new Set(tokenize(text).filter(token => !NON_SUBJECT.has(token)));
+    if (subject.size < MIN_SHARED_TERMS) return;
+
+    statements.push({ text, line: fragment.source.line + offset, polarity, subject });
+  });
+
+  return statements;
+}
+
+function toRecord(fragment, statement) {
+  return {
+    fragmentId: fragment.id,
+    type: fragment.type,
+    polarity: statement.polarity,
+    text: statement.text,
+    repo: fragment.source.repo,
+    file: fragment.source.file,
+    line: statement.line,
+    url: fragment.source.url,
+  };
+}
@@ -0,0 +1,124 @@
+import { tfidfVectors, cosine } from './text.js';
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * How much a single fragment at each confidence level is worth when combining
+ * agreement across repos (noisy-OR, see consensusScore)
+ */
+const CONFIDENCE_WEIGHTS = { low: 0.4, medium: 0.6, high: 0.8 };
+
+/**
+ * Cluster near-duplicate fragments (across and within repos) and merge each
+ * cluster into one canonical fragment that lists every source.
+ * Confidence rises with the number of independent repos that agree.
+ *
+ * @param {Array} fragments - Classified fragments from classify.js
+ * @param {{ threshold?: number }} [options] - Cosine similarity (0..1) needed to merge
+ * @returns {Array} Merged fragments, in order of first appearance
+ */
+export function mergeDuplicates(fragments, options = {}) {
+  const threshold = options.threshold ?? 0.8;
+  if (fragments.length < 2) return fragments.map(f => withConsensus(f, [f]));
+
+  const vectors = tfidfVectors(fragments.map(f => `${f.title}\n${f.fullContent || f.description}`));
+
+  // Union-find over all pairs above the threshold
+  const parent = fragments.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < fragments.length; i++) {
+    for (let j = i + 1; j < fragments.length; j++) {
+      if (!samePolarity(fragments[i], fragments[j]) || !sameScope(fragments[i], fragments[j])) continue;
+      if (cosine(vectors[i], vectors[j]) >= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  fragments.forEach((fragment, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(fragment);
+  });
+
+  return [...clusters.values()].map(members => withConsensus(pickCanonical(members), members));
+}
+
+/**
+ * Never merge a prohibition with a prescription, however similar the wording
+ * ("always use barrel files" vs "never use barrel files").
+ */
+function samePolarity(a, b) {
+  return (a.type === 'anti-pattern') === (b.type === 'anti-pattern');
+}
+
+/**
+ * A rule scoped to apps/web/**.tsx is not the same rule repo-wide, and
+ * merging would drop one of the scopes
+ */
+function sameScope(a, b) {
+  return JSON.stringify(a.appliesTo || null) === JSON.stringify(b.appliesTo || null);
+}
+
+/**
+ * Highest confidence wins; ties go to the most detailed content
+ */
+function pickCanonical(members) {
+  return [...members].sort((a, b) =>
+    CONFIDENCE_LEVELS.indexOf(b.confidence) - CONFIDENCE_LEVELS.indexOf(a.confidence) ||
+    (b.fullContent || b.description).length - (a.fullContent || a.description).length
+  )[0];
+}
+
+/**
+ * Build the merged fragment: canonical content, all sources, boosted confidence.
+ * Stack and tags stay the canonical fragment's own — a union would let a
+ * Python repo's rule match a Next.js stack filter. Each source keeps its stack.
+ * @param {Object} canonical
+ * @param {Array} members
+ * @returns {Object}
+ */
+function withConsensus(canonical, members) {
+  // Best confidence each independent repo contributes
+  const byRepo = new Map();
+  for (const member of members) {
+    const repo = member.source.repo;
+    const level = CONFIDENCE_LEVELS.indexOf(member.confidence);
+    byRepo.set(repo, Math.max(byRepo.get(repo) ?? -1, level));
+  }
+
+  const repoCount = byRepo.size;
+  const baseLevel = Math.max(...byRepo.values());
+  // Each doubling of agreeing repos lifts confidence one level
+  const boosted = Math.min(CONFIDENCE_LEVELS.length - 1, baseLevel + Math.floor(Math.log2(repoCount)));
+
+  return {
+    ...canonical,
+    confidence: CONFIDENCE_LEVELS[boosted],
+    sources: members.map(m => ({ ...m.source, fragmentId: m.id, stack: m.stack })),
+    consensus: {
+      repos: repoCount,
+      fragments: members.length,
+      score: consensusScore([...byRepo.values()].map(level => CONFIDENCE_WEIGHTS[CONFIDENCE_LEVELS[level]])),
+    },
+  };
+}
+
+/**
+ * Noisy-OR: the chance that at least one independent source is right.
+ * One high-confidence repo → 0.8, five agreeing medium repos → 0.99.
+ * @param {number[]} weights
+ * @returns {number}
+ */
+function consensusScore(weights) {
+  const score = 1 - weights.reduce((product, w) => product * (1 - w), 1);
+  return Math.round(score * 1000) / 1000;
+}
@@ -1,11 +1,14 @@
-import { readFile, readdir, stat } from 'node:fs/promises';
-import { join } from 'node:path';
+import { readFile, readdir } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+import { detectEcosystems } from './ecosystems.js';
+import { readLockfile } from './lockfiles.js';
+import { parseFrontMatter } from './markdown.js';
 
 /**
  * @typedef {Object} StackItem
  * @property {string} name - Package/tool name
  * @property {string} version - Detected version
- * @property {string} category - framework|ui|orm|database|auth|testing|build
+ * @property {string} category - language|framework|ui|orm|database|auth|testing|build|...
  */
 
 /**
@@ -112,43 +115,40 @@ const STACK_RULES = {
 };
 
 /**
- * Detect tech stack from package.json and other config files
+ * @typedef {Object} StackMap
+ * @property {StackItem[]} stack - Repo-wide union (what root-level docs get)
+ * @property {Object<string, StackItem[]>} packages - Own stack of each package directory below the root
+ */
+
+/**
+ * Detect tech stack from package.json, other ecosystems' manifests and config
+ * files — for the repo as a whole and for each package in it
  * @param {string} repoPath
- * @returns {Promise<StackItem[]>}
+ * @returns {Promise<StackMap>}
  */
 export async function detectStack(repoPath) {
   const stack = new Map(); // Use Map to deduplicate by name
+  const lockfile = await readLockfile(repoPath);
+  let workspaceGlobs = [];
 
   // Parse package.json
   try {
     const pkgJson = JSON.parse(
       await readFile(join(repoPath, 'package.json'), 'utf-8')
     );
-    const allDeps = {
-      ...pkgJson.dependencies,
-      ...pkgJson.devDependencies,
-    };
-
-    for (const [dep, version] of Object.entries(allDeps)) {
-      const rule = STACK_RULES[dep];
-      if (rule && !stack.has(rule.name)) {
-        stack.set(rule.name, {
-          name: rule.name,
-          version: cleanVersion(version),
-          category: rule.category,
-        });
-      }
-    }
+    addNodeDependencies(stack, pkgJson, '', lockfile);
 
     // Detect monorepo
-    if (pkgJson.workspaces || await fileExists(join(repoPath, 'pnpm-workspace.yaml'))) {
+    workspaceGlobs = await workspacePatterns(repoPath, pkgJson);
+    if (pkgJson.workspaces || workspaceGlobs.length > 0) {
       stack.set('monorepo', { name: 'monorepo', version: '', category: 'build' });
     }
 
     // Detect package manager
     if (pkgJson.packageManager) {
-      const pm = pkgJson.packageManager.split('@')[0];
-      stack.set(pm, { name: pm, version: pkgJson.packageManager.split('@')[1] || '', category: 'build' });
+      const [pm, pmVersion = ''] = pkgJson.packageManager.split('@');
+      // Corepack may append a hash: pnpm@9.1.0+sha256.abc…
+      stack.set(pm, { name: pm, version: pmVersion.split('+')[0], category: 'build' });
     }
   } catch {
     // No package.json — might be Python, Go, etc.
@@ -164,87 +164,205 @@ export async function detectStack(repoPath) {
     // No components.json
   }
 
-  // Check for Python projects
-  try {
-    const pyproject = await readFile(join(repoPath, 'pyproject.toml'), 'utf-8');
-    stack.set('python', { name: 'python', version: '', category: 'framework' });
-    // Basic dependency detection from pyproject.toml
-    if (pyproject.includes('fastapi')) stack.set('fastapi', { name: 'fastapi', version: '', category: 'framework' });
-    if (pyproject.includes('django')) stack.set('django', { name: 'django', version: '', category: 'framework' });
-    if (pyproject.includes('flask')) stack.set('flask', { name: 'flask', version: '', category: 'framework' });
-  } catch {
-    // No pyproject.toml
+  // Go, Rust, Ruby, PHP, JVM, .NET and Python manifests
+  for (const item of await detectEcosystems(repoPath)) {
+    mergeItem(stack, item);
   }
 
-  // Scan workspace packages for deeper stack detection (monorepos)
-  if (stack.has('monorepo')) {
-    const workspacePackages = await findWorkspacePackages(repoPath);
-    for (const pkgPath of workspacePackages) {
+  // Packages below the root: workspace members, and any directory with its own manifest
+  const workspaceDirs = stack.has('monorepo') ? new Set(await findWorkspacePackages(repoPath, workspaceGlobs)) : null;
+  const packages = {};
+  for (const packageDir of await findManifestDirs(repoPath)) {
+    const own = new Map();
+    let isNodePackage = false;
+    // In a monorepo only declared workspace members count as Node packages
+    if (!workspaceDirs || workspaceDirs.has(packageDir)) {
       try {
-        const pkgJson = JSON.parse(await readFile(pkgPath, 'utf-8'));
-        const allDeps = { ...pkgJson.dependencies, ...pkgJson.devDependencies };
-        for (const [dep, version] of Object.entries(allDeps)) {
-          const rule = STACK_RULES[dep];
-          if (rule && !stack.has(rule.name)) {
-            stack.set(rule.name, {
-              name: rule.name,
-              version: cleanVersion(version),
-              category: rule.category,
-            });
-          }
-        }
+        const pkgJson = JSON.parse(await readFile(join(repoPath, packageDir, 'package.json'), 'utf-8'));
+        addNodeDependencies(own, pkgJson, packageDir, lockfile);
+        isNodePackage = true;
       } catch {
-        // Skip unreadable package.json
+        // No (readable) package.json here
       }
     }
+    for (const item of await detectEcosystems(join(repoPath, packageDir))) {
+      mergeItem(own, item);
+    }
+    if (!isNodePackage && own.size === 0) continue;
+
+    packages[packageDir] = Array.from(own.values());
+    for (const item of own.values()) mergeItem(stack, item);
   }
 
-  return Array.from(stack.values());
+  return { stack: Array.from(stack.values()), packages };
+}
+
+/**
+ * Add an item unless it's already known; a later manifest may know the version an earlier one left open
+ * @param {Map<string, StackItem>} stack
+ * @param {StackItem} item
+ */
+function mergeItem(stack, item) {
+  const existing = stack.get(item.name);
+  if (!existing || (!existing.version && item.version)) stack.set(item.name, item);
+}
+
+/**
+ * Add the stack entries a package.json declares, at the version the lockfile
+ * installed (falling back to the declared range)
+ * @param {Map<string, StackItem>} stack
+ * @param {Object} pkgJson
+ * @param {string} packageDir - Relative to the repo root ('' = root)
+ * @param {import('./lockfiles.js').Lockfile|null} lockfile
+ */
+function addNodeDependencies(stack, pkgJson, packageDir, lockfile) {
+  const allDeps = { ...pkgJson.dependencies, ...pkgJson.devDependencies };
+  for (const [dep, spec] of Object.entries(allDeps)) {
+    const rule = STACK_RULES[dep];
+    if (rule && !stack.has(rule.name)) {
+      stack.set(rule.name, {
+        name: rule.name,
+        version: lockfile?.versionOf(dep, packageDir, spec) || cleanVersion(spec),
+        category: rule.category,
+      });
+    }
+  }
 }
 
 /**
- * Find all package.json files in workspace packages
+ * Workspace globs from package.json `workspaces` (array or { packages }) and pnpm-workspace.yaml
  * @param {string} repoPath
+ * @param {Object} pkgJson
  * @returns {Promise<string[]>}
  */
-async function findWorkspacePackages(repoPath) {
-  const results = [];
-
-  // Common monorepo patterns
-  const searchDirs = ['apps', 'packages', 'libs', 'services', 'tools'];
+async function workspacePatterns(repoPath, pkgJson) {
+  const declared = Array.isArray(pkgJson.workspaces) ? pkgJson.workspaces : pkgJson.workspaces?.packages || [];
+  try {
+    const pnpmWorkspace = parseFrontMatter(await readFile(join(repoPath, 'pnpm-workspace.yaml'), 'utf-8'));
+    if (Array.isArray(pnpmWorkspace.packages)) declared.push(...pnpmWorkspace.packages);
+  } catch {
+    // No pnpm-workspace.yaml
+  }
+  return declared.filter(pattern => typeof pattern === 'string');
+}
 
-  for (const dir of searchDirs) {
-    const dirPath = join(repoPath, dir);
+/**
+ * Directories (relative to the repo root) holding a package.json that match
+ * the workspace globs. Supports `*`, `**` and `!negated` patterns.
+ * @param {string} repoPath
+ * @param {string[]} patterns
+ * @returns {Promise<string[]>}
+ */
+async function findWorkspacePackages(repoPath, patterns) {
+  const include = patterns.filter(p => !p.startsWith('!')).map(globToRegex);
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => globToRegex(p.slice(1)));
+  const results = new Set();
+
+  async function walk(dirPath, depth) {
+    if (depth > WORKSPACE_MAX_DEPTH) return;
+    let entries;
     try {
-      const entries = await readdir(dirPath, { withFileTypes: true });
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const pkgPath = join(dirPath, entry.name, 'package.json');
-          try {
-            await stat(pkgPath);
-            results.push(pkgPath);
-          } catch {
-            // No package.json in this dir
-          }
-        }
+      entries = await readdir(dirPath, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    const dir = relative(repoPath, dirPath).split('\\').join('/');
+    if (dir && entries.some(e => e.isFile() && e.name === 'package.json')
+      && include.some(regex => regex.test(`${dir}/`)) && !exclude.some(regex => regex.test(`${dir}/`))) {
+      results.add(dir);
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        await walk(join(dirPath, entry.name), depth + 1);
       }
+    }
+  }
+
+  // Only walk below each pattern's literal prefix (apps/* → apps)
+  const roots = new Set(patterns.filter(p => !p.startsWith('!')).map(pattern => {
+    const segments = pattern.replace(/^\.\//, '').split('/');
+    const wildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    return (wildcard === -1 ? segments : segments.slice(0, wildcard)).filter(Boolean).join('/');
+  }));
+  for (const root of roots) {
+    await walk(join(repoPath, root), root ? root.split('/').length : 0);
+  }
+
+  return [...results].sort();
+}
+
+const WORKSPACE_MAX_DEPTH = 5;
+
+/**
+ * Files that make a directory a package of its own
+ */
+const MANIFESTS = new Set([
+  'package.json', 'go.mod', 'Cargo.toml', 'Gemfile', 'composer.json', 'pom.xml',
+  'build.gradle', 'build.gradle.kts', 'pyproject.toml', 'requirements.txt',
+]);
+
+/**
+ * Directories that hold copies, samples or build output rather than packages of this repo
+ */
+const NON_PACKAGE_DIRS = new Set([
+  'node_modules', 'vendor', 'target', 'dist', 'build', 'out', 'bin', 'obj',
+  'examples', 'fixtures', '__fixtures__', 'testdata',
+]);
+
+/**
+ * Directories below the root (relative paths) that contain a package manifest
+ * @param {string} repoPath
+ * @returns {Promise<string[]>}
+ */
+async function findManifestDirs(repoPath) {
+  const results = [];
+
+  async function walk(dirPath, depth) {
+    if (depth > WORKSPACE_MAX_DEPTH) return;
+    let entries;
+    try {
+      entries = await readdir(dirPath, { withFileTypes: true });
     } catch {
-      // Directory doesn't exist
+      return;
+    }
+    if (depth > 0 && entries.some(e => e.isFile() && (MANIFESTS.has(e.name) || /\.csproj$/i.test(e.name)))) {
+      results.push(relative(repoPath, dirPath).split('\\').join('/'));
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !NON_PACKAGE_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+        await walk(join(dirPath, entry.name), depth + 1);
+      }
     }
   }
 
-  return results;
+  await walk(repoPath, 0);
+  return results.sort();
 }
 
-function cleanVersion(version) {
-  return version.replace(/^[^~\d]*/, '');
+/**
+ * Workspace glob → regex over a relative directory path with a trailing slash
+ */
+function globToRegex(pattern) {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .split('/')
+    .filter(Boolean)
+    .map(segment => segment === '**'
+      ? '(?:[^/]+/)*'
+      : `${segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')}/`)
+    .join('');
+  return new RegExp(`^${source}$`);
 }
 
-async function fileExists(path) {
-  try {
-    await readFile(path);
-    return true;
-  } catch {
-    return false;
-  }
+/**
+ * Version from a package.json specifier when there is no lockfile: "^14.1.0" → "14.1.0".
+ * Specifiers that don't name a registry version (latest, workspace:*, git URLs) give ''.
+ * @param {string} spec
+ * @returns {string}
+ */
+function cleanVersion(spec) {
+  // npm aliases: npm:next@14.1.0
+  const version = String(spec).replace(/^npm:.*@/, '');
+  if (/^(workspace|catalog|file|link|portal|git|git\+\w+|github|https?):|\//.test(version)) return '';
+  return version.match(/\d+(?:\.\d+)*(?:-[\w.]+)?/)?.[0] || '';
 }
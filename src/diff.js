@@ -0,0 +1,266 @@
+import { tfidfVectors, cosine } from './text.js';
+
+/**
+ * What changed in a repo's knowledge between two extractions — two output
+ * files, or two refs of one repo. Fragments are paired by content similarity
+ * rather than ID: IDs follow the text, so a reworded rule would otherwise
+ * show up as removed and added again.
+ */
+
+// Minimum similarity for two fragments to count as versions of the same rule
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * @typedef {Object} ModifiedFragment
+ * @property {Object} before
+ * @property {Object} after
+ * @property {number} similarity - 0-1
+ * @property {string[]} changes - Field changes, e.g. "type: rule → anti-pattern"
+ * @property {string[]} diff - Description lines prefixed with "  ", "- " or "+ "
+ */
+
+/**
+ * @typedef {Object} KnowledgeDiff
+ * @property {Object[]} added
+ * @property {Object[]} removed
+ * @property {ModifiedFragment[]} modified
+ * @property {Array<{ before: Object, after: Object }>} moved - Same content, different file
+ * @property {number} unchanged - Including moved fragments
+ */
+
+/**
+ * Compare two extractions
+ * @param {Object[]} before - Output-shaped fragments (output.js toOutputFragment)
+ * @param {Object[]} after
+ * @param {{ threshold?: number }} [options]
+ * @returns {KnowledgeDiff}
+ */
+export function diffFragments(before, after, options = {}) {
+  const paired = new Set();
+  const result = { added: [], removed: [], modified: [], moved: [], unchanged: 0 };
+  for (const { before: a, after: b, similarity } of matchFragments(before, after, options)) {
+    paired.add(a);
+    paired.add(b);
+
+    const changes = ['category', 'type', 'confidence']
+      .filter(field => a[field] !== b[field])
+      .map(field => `${field}: ${a[field]} → ${b[field]}`);
+    if (sameText(a, b) && changes.length === 0) {
+      result.unchanged++;
+      if (a.source.file !== b.source.file) result.moved.push({ before: a, after: b });
+      continue;
+    }
+    // Titles taken from the first line already show in the text diff
+    if (a.title !== b.title && !b.description.includes(b.title)) changes.unshift(`title: ${a.title} → ${b.title}`);
+    result.modified.push({
+      before: a,
+      after: b,
+      similarity,
+      changes,
+      diff: a.description === b.description ? [] : diffLines(a.description.split('\n'), b.description.split('\n')),
+    });
+  }
+
+  // Report in document order rather than by similarity
+  const order = new Map(after.map((f, i) => [f, i]));
+  result.modified.sort((x, y) => order.get(x.after) - order.get(y.after));
+  result.moved.sort((x, y) => order.get(x.after) - order.get(y.after));
+  result.added = after.filter(f => !paired.has(f));
+  result.removed = before.filter(f => !paired.has(f));
+  return result;
+}
+
+/**
+ * Which fragment became which: old ID → new ID for every fragment whose ID
+ * changed between two extractions (edited text, renamed heading, or an ID
+ * from an older extractor version). Only fragments of the same repo pair —
+ * a rule shared by two repos is not one rule renamed.
+ * @param {Object[]} before
+ * @param {Object[]} after
+ * @returns {Object<string, string>}
+ */
+export function mapIds(before, after) {
+  const afterIds = new Set(after.map(f => f.id));
+  const beforeIds = new Set(before.map(f => f.id));
+  const changedBefore = before.filter(f => !afterIds.has(f.id));
+  const changedAfter = after.filter(f => !beforeIds.has(f.id));
+
+  const repos = new Set(changedBefore.map(f => f.source.repo));
+  const pairs = [...repos].flatMap(repo => matchFragments(
+    changedBefore.filter(f => f.source.repo === repo),
+    changedAfter.filter(f => f.source.repo === repo)
+  ));
+  return Object.fromEntries(pairs.map(pair => [pair.before.id, pair.after.id]));
+}
+
+/**
+ * Pair fragments across two extractions, most similar pairs first; each
+ * fragment pairs at most once
+ * @param {Object[]} before
+ * @param {Object[]} after
+ * @param {{ threshold?: number }} [options]
+ * @returns {Array<{ before: Object, after: Object, similarity: number }>}
+ */
+export function matchFragments(before, after, { threshold = MATCH_THRESHOLD } = {}) {
+  const vectors = tfidfVectors([...before, ...after].map(f => `${f.title}\n${f.description}`));
+  const candidates = [];
+  for (const [i, a] of before.entries()) {
+    for (const [j, b] of after.entries()) {
+      const similarity = sameText(a, b) ? 1 : cosine(vectors[i], vectors[before.length + j]);
+      if (similarity >= threshold) candidates.push({ a, b, similarity });
+    }
+  }
+
+  // A rule repeated in several files pairs with the copy in the same place
+  candidates.sort((x, y) =>
+    y.similarity - x.similarity ||
+    proximity(x.a, x.b) - proximity(y.a, y.b)
+  );
+
+  const paired = new Set();
+  const pairs = [];
+  for (const { a, b, similarity } of candidates) {
+    if (paired.has(a) || paired.has(b)) continue;
+    paired.add(a);
+    paired.add(b);
+    pairs.push({ before: a, after: b, similarity: Math.round(similarity * 1000) / 1000 });
+  }
+  return pairs;
+}
+
+function sameText(a, b) {
+  const normalize = f => `${f.title}\n${f.description}`.replace(/\s+/g, ' ').trim();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Sort key for equally similar pairs: same repo, then same file, then nearest line
+ */
+function proximity(a, b) {
+  if (a.source.repo !== b.source.repo) return 2e9;
+  if (a.source.file !== b.source.file) return 1e9;
+  return Math.abs((a.source.line || 0) - (b.source.line || 0));
+}
+
+/**
+ * Line diff by longest common subsequence — descriptions are capped at 500
+ * characters, so the quadratic table stays small
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {string[]} Lines prefixed with "  " (kept), "- " (removed) or "+ " (added)
+ */
+export function diffLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`- ${a[i++]}`);
+  while (j < b.length) lines.push(`+ ${b[j++]}`);
+  return lines;
+}
+
+/**
+ * Render a diff
+ * @param {KnowledgeDiff} diff
+ * @param {'text'|'json'|'markdown'} format
+ * @param {{ from: string, to: string }} labels - What was compared, e.g. file names or refs
+ * @returns {string}
+ */
+export function formatDiff(diff, format, labels) {
+  if (format === 'json') {
+    return JSON.stringify({ from: labels.from, to: labels.to, summary: summarize(diff), ...diff }, null, 2);
+  }
+  if (format === 'markdown') return toMarkdown(diff, labels);
+  if (format === 'text') return toText(diff, labels);
+  throw new Error(`Unknown format "${format}" (expected text, json or markdown)`);
+}
+
+function summarize(diff) {
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    modified: diff.modified.length,
+    moved: diff.moved.length,
+    unchanged: diff.unchanged,
+  };
+}
+
+const location = f => `${f.source.repo}/${f.source.file}:${f.source.line}`;
+const label = f => `[${f.category}/${f.type}] ${f.title}`;
+
+function summaryLine(diff) {
+  const { added, removed, modified, moved, unchanged } = summarize(diff);
+  return `${added} added, ${removed} removed, ${modified} modified, ${unchanged} unchanged${moved ? ` (${moved} moved)` : ''}`;
+}
+
+function toText(diff, { from, to }) {
+  const lines = [`Knowledge diff ${from} → ${to}: ${summaryLine(diff)}`];
+
+  if (diff.added.length > 0) {
+    lines.push('', 'Added:');
+    for (const f of diff.added) lines.push(`  + ${label(f)}  (${location(f)})`);
+  }
+  if (diff.removed.length > 0) {
+    lines.push('', 'Removed:');
+    for (const f of diff.removed) lines.push(`  - ${label(f)}  (${location(f)})`);
+  }
+  if (diff.modified.length > 0) {
+    lines.push('', 'Modified:');
+    for (const m of diff.modified) {
+      lines.push(`  ~ ${label(m.after)}  (${location(m.before)} → ${location(m.after)}, similarity ${m.similarity})`);
+      for (const change of m.changes) lines.push(`      ${change}`);
+      for (const line of m.diff) lines.push(`      ${line}`.trimEnd());
+      lines.push('');
+    }
+    lines.pop();
+  }
+  if (diff.moved.length > 0) {
+    lines.push('', 'Moved:');
+    for (const { before, after } of diff.moved) lines.push(`  > ${label(after)}  (${location(before)} → ${location(after)})`);
+  }
+
+  return lines.join('\n');
+}
+
+function toMarkdown(diff, { from, to }) {
+  const sections = [`## Knowledge diff: \`${from}\` → \`${to}\`\n\n${summaryLine(diff)}\n`];
+
+  if (diff.added.length > 0) {
+    sections.push(`### Added\n\n${diff.added.map(f => `- **${f.title}** _${f.category} · ${f.type}_ — ${location(f)}`).join('\n')}\n`);
+  }
+  if (diff.removed.length > 0) {
+    sections.push(`### Removed\n\n${diff.removed.map(f => `- **${f.title}** _${f.category} · ${f.type}_ — ${location(f)}`).join('\n')}\n`);
+  }
+  if (diff.modified.length > 0) {
+    sections.push(`### Modified\n\n${diff.modified.map(m => [
+      `#### ${m.after.title}`,
+      '',
+      `${location(m.before)} → ${location(m.after)} · similarity ${m.similarity}`,
+      ...m.changes.map(change => `- ${change}`),
+      ...(m.diff.length > 0 ? ['', '```diff'] : []),
+      ...m.diff.map(line => (line.startsWith('  ') ? ` ${line.slice(2)}` : `${line[0]}${line.slice(2)}`)),
+      ...(m.diff.length > 0 ? ['```'] : []),
+    ].join('\n')).join('\n\n')}\n`);
+  }
+  if (diff.moved.length > 0) {
+    sections.push(`### Moved\n\n${diff.moved.map(({ before, after }) => `- **${after.title}** — ${location(before)} → ${location(after)}`).join('\n')}\n`);
+  }
+
+  return sections.join('\n');
+}
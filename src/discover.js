@@ -1,16 +1,22 @@
-import { readdir, stat } from 'node:fs/promises';
-import { join, relative, basename } from 'node:path';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { join, relative, basename, dirname, resolve, sep } from 'node:path';
+
+const execFileAsync = promisify(execFile);
 
 /**
  * Priority-ordered list of knowledge-bearing files to look for.
  * Higher priority = more signal for AI best practices.
+ * `directoryFiles`: the path may also be a directory of rule files matching this pattern
+ * (e.g. `.cursor/rules/*.mdc`).
  */
 const KNOWLEDGE_FILES = [
   // Priority 1: AI-specific instruction files (★★★★★)
   { pattern: 'CLAUDE.md', priority: 1, category: 'ai-instructions' },
   { pattern: '.cursorrules', priority: 1, category: 'ai-instructions' },
-  { pattern: '.cursor/rules', priority: 1, category: 'ai-instructions' },
-  { pattern: '.clinerules', priority: 1, category: 'ai-instructions' },
+  { pattern: '.cursor/rules', priority: 1, category: 'ai-instructions', directoryFiles: /\.mdc?$/i },
+  { pattern: '.clinerules', priority: 1, category: 'ai-instructions', directoryFiles: /\.(md|txt)$/i },
   { pattern: 'AGENTS.md', priority: 1, category: 'ai-instructions' },
   { pattern: 'copilot-instructions.md', priority: 1, category: 'ai-instructions' },
   { pattern: '.github/copilot-instructions.md', priority: 1, category: 'ai-instructions' },
@@ -33,16 +39,41 @@ const KNOWLEDGE_FILES = [
   { pattern: '.eslintrc.cjs', priority: 4, category: 'linting' },
   { pattern: 'eslint.config.js', priority: 4, category: 'linting' },
   { pattern: 'eslint.config.mjs', priority: 4, category: 'linting' },
+  { pattern: 'eslint.config.cjs', priority: 4, category: 'linting' },
+  { pattern: 'eslint.config.ts', priority: 4, category: 'linting' },
   { pattern: 'tsconfig.json', priority: 4, category: 'typescript' },
   { pattern: '.prettierrc', priority: 4, category: 'formatting' },
   { pattern: '.prettierrc.json', priority: 4, category: 'formatting' },
+  { pattern: '.prettierrc.yaml', priority: 4, category: 'formatting' },
+  { pattern: '.prettierrc.yml', priority: 4, category: 'formatting' },
   { pattern: 'biome.json', priority: 4, category: 'linting' },
+  { pattern: 'biome.jsonc', priority: 4, category: 'linting' },
+];
+
+/**
+ * Instruction files that also count below the repo root — monorepo packages often
+ * carry their own scoped rules (apps/web/CLAUDE.md, packages/db/AGENTS.md).
+ * READMEs and config files are root-only: nested ones are mostly noise.
+ */
+const NESTED_FILENAMES = new Set([
+  'CLAUDE.md', 'AGENTS.md', '.cursorrules', '.clinerules', 'copilot-instructions.md',
+  'CONVENTIONS.md', 'CODING_STANDARDS.md', 'STYLE_GUIDE.md', 'ARCHITECTURE.md', 'DESIGN.md',
+  'CONTRIBUTING.md', 'SECURITY.md',
+]);
+const NESTED_RULE_DIRS = [
+  { pattern: /(^|\/)\.cursor\/rules\/.+\.mdc?$/i, knownFile: '.cursor/rules' },
+  { pattern: /(^|\/)\.clinerules\/.+\.(md|txt)$/i, knownFile: '.clinerules' },
 ];
 
+/**
+ * Directories never worth scanning, even when untracked but not gitignored
+ */
+const SKIP_DIRS = new Set(['.git', 'node_modules', 'dist', 'build', 'out', 'coverage', 'vendor', '.next', '.turbo', '.cache']);
+
 /**
  * Discover knowledge-bearing files in a repo
  * @param {string} repoPath - Root path of the repo
- * @returns {Promise<Array<{ path: string, relativePath: string, priority: number, category: string }>>}
+ * @returns {Promise<Array<{ path: string, relativePath: string, priority: number, category: string, scope?: string, package?: string|null }>>}
  */
 export async function discoverFiles(repoPath) {
   const found = [];
@@ -59,6 +90,9 @@ export async function discoverFiles(repoPath) {
           priority: knownFile.priority,
           category: knownFile.category,
         });
+      } else if (s.isDirectory() && knownFile.directoryFiles) {
+        const ruleFiles = await scanRulesDir(fullPath, repoPath, knownFile);
+        found.push(...ruleFiles);
       }
     } catch {
       // File doesn't exist — skip
@@ -77,12 +111,332 @@ export async function discoverFiles(repoPath) {
     // No docs/ directory
   }
 
+  // Instruction files in subdirectories (monorepo packages, services, apps)
+  const known = new Set(found.map(f => f.relativePath));
+  const nested = await scanNestedInstructions(repoPath);
+  found.push(...nested.filter(f => !known.has(f.relativePath)));
+
+  // Files that AI instructions explicitly point at (@imports, relative links)
+  await followReferences(found, repoPath);
+
   // Sort by priority (lowest number = highest priority)
   found.sort((a, b) => a.priority - b.priority);
 
   return found;
 }
 
+/**
+ * Follow `@path/to/file.md` imports and relative Markdown links from AI-instruction
+ * files. Referenced files inherit priority, category and scope from the file that
+ * points at them — the author explicitly aimed the AI at them. Files already found
+ * elsewhere (e.g. under docs/) are upgraded in place. Cycles are skipped; depth is
+ * limited by IMPORT_MAX_DEPTH (default 3).
+ * @param {Array} found - Discovered files, extended in place
+ * @param {string} repoPath
+ * @returns {Promise<void>}
+ */
+async function followReferences(found, repoPath) {
+  const maxDepth = parseInt(process.env.IMPORT_MAX_DEPTH || '3', 10);
+  const byPath = new Map(found.map(f => [f.relativePath, f]));
+  const visited = new Set();
+  let queue = found.filter(f => f.category === 'ai-instructions').map(f => ({ file: f, depth: 0 }));
+
+  while (queue.length > 0) {
+    const next = [];
+    for (const { file, depth } of queue) {
+      if (visited.has(file.relativePath) || depth >= maxDepth) continue;
+      visited.add(file.relativePath);
+
+      let content;
+      try {
+        content = await readFile(file.path, 'utf-8');
+      } catch {
+        continue;
+      }
+
+      for (const reference of findReferences(content)) {
+        const target = resolveReference(reference, file.relativePath, repoPath);
+        if (!target || target === file.relativePath || visited.has(target)) continue;
+
+        const fullPath = join(repoPath, target);
+        try {
+          if (!(await stat(fullPath)).isFile()) continue;
+        } catch {
+          continue;
+        }
+
+        let linked = byPath.get(target);
+        if (!linked) {
+          linked = { path: fullPath, relativePath: target };
+          found.push(linked);
+          byPath.set(target, linked);
+        } else if (linked.priority <= file.priority) {
+          continue;
+        }
+
+        Object.assign(linked, {
+          priority: file.priority,
+          category: file.category,
+          importedFrom: file.relativePath,
+          ...(file.scope && { scope: file.scope }),
+          ...(file.package && { package: file.package }),
+        });
+        next.push({ file: linked, depth: depth + 1 });
+      }
+    }
+    queue = next;
+  }
+}
+
+/**
+ * Import (`@docs/x.md`) and relative link (`[x](./docs/x.md)`) targets in a document,
+ * ignoring anything inside code fences or inline code
+ * @param {string} content
+ * @returns {string[]}
+ */
+function findReferences(content) {
+  const prose = content
+    .replace(/^ {0,3}(`{3,}|~{3,})[\s\S]*?^ {0,3}\1/gm, '')
+    .replace(/`[^`\n]*`/g, '');
+  const references = [];
+
+  for (const match of prose.matchAll(/(?:^|[\s(])@((?:\.{1,2}\/)?[\w@./-]+\.(?:md|mdx|mdc|txt))\b/gm)) {
+    references.push(match[1]);
+  }
+  for (const match of prose.matchAll(/\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) {
+    const href = match[1];
+    if (/^([a-z]+:|#|\/)/i.test(href)) continue;
+    references.push(href.replace(/[#?].*$/, ''));
+  }
+
+  return references;
+}
+
+/**
+ * Resolve a reference relative to the referencing file. Returns a repo-relative
+ * path, or null for targets outside the repo or non-text files.
+ * @param {string} reference
+ * @param {string} fromRelativePath
+ * @param {string} repoPath
+ * @returns {string | null}
+ */
+function resolveReference(reference, fromRelativePath, repoPath) {
+  let decoded;
+  try {
+    decoded = decodeURI(reference);
+  } catch {
+    return null;
+  }
+  if (!/\.(md|mdx|mdc|txt)$/i.test(decoded)) return null;
+
+  const root = resolve(repoPath);
+  const absolute = resolve(root, dirname(fromRelativePath), decoded);
+  if (!absolute.startsWith(root + sep)) return null;
+  return relative(root, absolute).split(sep).join('/');
+}
+
+/**
+ * Find known instruction files at any depth below the root, honoring .gitignore.
+ * Each file is tagged with the directory scope it applies to.
+ * Limited by NESTED_MAX_DEPTH (default 6) and NESTED_MAX_FILES (default 200).
+ * @param {string} repoPath
+ * @returns {Promise<Array>}
+ */
+async function scanNestedInstructions(repoPath) {
+  const maxDepth = parseInt(process.env.NESTED_MAX_DEPTH || '6', 10);
+  const maxFiles = parseInt(process.env.NESTED_MAX_FILES || '200', 10);
+  const results = [];
+  const packageNames = new Map();
+
+  for (const relativePath of await listRepoFiles(repoPath, maxDepth)) {
+    const segments = relativePath.split('/');
+    if (segments.length < 2 || segments.length - 1 > maxDepth) continue;
+
+    const match = matchInstructionFile(relativePath);
+    if (!match) continue;
+
+    const scope = scopeOf(relativePath);
+    // Root-level rule directories and .github/ files are repo-wide, and already handled above
+    if (!scope) continue;
+
+    results.push({
+      path: join(repoPath, relativePath),
+      relativePath,
+      priority: match.priority,
+      category: match.category,
+      scope,
+      package: await packageName(repoPath, scope, packageNames),
+    });
+
+    if (results.length >= maxFiles) {
+      console.warn(`[WARN] Nested instruction file limit (${maxFiles}) reached — remaining files skipped`);
+      break;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Name from the scope directory's package.json, if it is a package (memoized per directory)
+ * @param {string} repoPath
+ * @param {string} scope
+ * @param {Map<string, string|null>} cache
+ * @returns {Promise<string|null>}
+ */
+async function packageName(repoPath, scope, cache) {
+  if (!cache.has(scope)) {
+    try {
+      const pkgJson = JSON.parse(await readFile(join(repoPath, scope, 'package.json'), 'utf-8'));
+      cache.set(scope, pkgJson.name || null);
+    } catch {
+      cache.set(scope, null);
+    }
+  }
+  return cache.get(scope);
+}
+
+/**
+ * @param {string} relativePath
+ * @returns {{ priority: number, category: string } | null}
+ */
+function matchInstructionFile(relativePath) {
+  for (const ruleDir of NESTED_RULE_DIRS) {
+    if (ruleDir.pattern.test(relativePath)) {
+      return KNOWLEDGE_FILES.find(f => f.pattern === ruleDir.knownFile);
+    }
+  }
+  const name = basename(relativePath);
+  if (!NESTED_FILENAMES.has(name)) return null;
+  return KNOWLEDGE_FILES.find(f => basename(f.pattern) === name);
+}
+
+/**
+ * Directory a nested instruction file governs: its own directory, or the
+ * directory holding `.cursor/`, `.clinerules/` or `.github/`. '' means repo-wide.
+ * @param {string} relativePath
+ * @returns {string}
+ */
+function scopeOf(relativePath) {
+  const dir = dirname(relativePath);
+  const container = dir.match(/^(.*?)(?:^|\/)(?:\.cursor\/rules|\.clinerules|\.github)(?:\/|$)/);
+  const scope = container ? container[1] : dir;
+  return scope === '.' ? '' : scope;
+}
+
+/**
+ * List files in the repo, relative to its root, with .gitignore honored.
+ * Uses git when available (handles nested .gitignore files and untracked files),
+ * otherwise walks the tree with the root .gitignore applied.
+ * @param {string} repoPath
+ * @param {number} maxDepth
+ * @returns {Promise<string[]>}
+ */
+async function listRepoFiles(repoPath, maxDepth) {
+  try {
+    const { stdout } = await execFileAsync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], {
+      cwd: repoPath,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout
+      .split('\0')
+      .filter(path => path && !path.split('/').some(segment => SKIP_DIRS.has(segment)));
+  } catch {
+    // Not a git checkout — fall back to walking
+  }
+
+  const ignored = await readGitignore(repoPath);
+  const results = [];
+
+  async function walk(dirPath, depth) {
+    if (depth > maxDepth) return;
+    let entries;
+    try {
+      entries = await readdir(dirPath, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const relativePath = relative(repoPath, join(dirPath, entry.name)).split('\\').join('/');
+      if (ignored(relativePath, entry.isDirectory())) continue;
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) await walk(join(dirPath, entry.name), depth + 1);
+      } else if (entry.isFile()) {
+        results.push(relativePath);
+      }
+    }
+  }
+
+  await walk(repoPath, 0);
+  return results;
+}
+
+/**
+ * Build a matcher from the root .gitignore (globs, anchored and directory-only
+ * patterns; negations are not supported)
+ * @param {string} repoPath
+ * @returns {Promise<(path: string, isDirectory: boolean) => boolean>}
+ */
+async function readGitignore(repoPath) {
+  let content = '';
+  try {
+    content = await readFile(join(repoPath, '.gitignore'), 'utf-8');
+  } catch {
+    return () => false;
+  }
+
+  const rules = content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('!'))
+    .map(line => {
+      const directoryOnly = line.endsWith('/');
+      let pattern = line.replace(/\/$/, '');
+      const anchored = pattern.startsWith('/') || pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+      const source = pattern
+        .split('**/').map(part => part.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]'))
+        .join('(?:.*/)?');
+      return { regex: new RegExp(`${anchored ? '^' : '(^|/)'}${source}$`), directoryOnly };
+    });
+
+  return (path, isDirectory) => rules.some(rule => (!rule.directoryOnly || isDirectory) && rule.regex.test(path));
+}
+
+/**
+ * Recursively scan a rules directory (e.g. .cursor/rules/) for rule files
+ * @param {string} dirPath
+ * @param {string} repoRoot
+ * @param {{ priority: number, category: string, directoryFiles: RegExp }} knownFile
+ * @param {number} depth
+ * @returns {Promise<Array>}
+ */
+async function scanRulesDir(dirPath, repoRoot, knownFile, depth = 0) {
+  const maxDepth = parseInt(process.env.MAX_DOCS_DEPTH || '3', 10);
+  if (depth > maxDepth) return [];
+
+  const results = [];
+  const entries = await readdir(dirPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      const nested = await scanRulesDir(fullPath, repoRoot, knownFile, depth + 1);
+      results.push(...nested);
+    } else if (entry.isFile() && knownFile.directoryFiles.test(entry.name)) {
+      results.push({
+        path: fullPath,
+        relativePath: relative(repoRoot, fullPath),
+        priority: knownFile.priority,
+        category: knownFile.category,
+      });
+    }
+  }
+
+  return results;
+}
+
 /**
  * Recursively scan docs/ directory for markdown files
  * @param {string} dirPath
@@ -0,0 +1,475 @@
+import { readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Stack detectors for non-Node ecosystems. Each reads the manifest (and the
+ * lockfile, when there is one, for exact versions) in a single directory and
+ * returns StackItems in the same shape as the package.json detector.
+ */
+
+/**
+ * Dependency name → stack metadata, per ecosystem
+ */
+const GO_RULES = {
+  'github.com/gin-gonic/gin': { name: 'gin', category: 'framework' },
+  'github.com/labstack/echo': { name: 'echo', category: 'framework' },
+  'github.com/gofiber/fiber': { name: 'fiber', category: 'framework' },
+  'github.com/go-chi/chi': { name: 'chi', category: 'framework' },
+  'github.com/gorilla/mux': { name: 'gorilla-mux', category: 'framework' },
+  'google.golang.org/grpc': { name: 'grpc', category: 'framework' },
+  'gorm.io/gorm': { name: 'gorm', category: 'orm' },
+  'entgo.io/ent': { name: 'ent', category: 'orm' },
+  'github.com/jmoiron/sqlx': { name: 'sqlx', category: 'database' },
+  'github.com/jackc/pgx': { name: 'pgx', category: 'database' },
+  'github.com/redis/go-redis': { name: 'go-redis', category: 'database' },
+  'github.com/spf13/cobra': { name: 'cobra', category: 'cli' },
+  'github.com/stretchr/testify': { name: 'testify', category: 'testing' },
+};
+
+const RUST_RULES = {
+  'axum': { name: 'axum', category: 'framework' },
+  'actix-web': { name: 'actix-web', category: 'framework' },
+  'rocket': { name: 'rocket', category: 'framework' },
+  'leptos': { name: 'leptos', category: 'framework' },
+  'tauri': { name: 'tauri', category: 'mobile' },
+  'tokio': { name: 'tokio', category: 'runtime' },
+  'serde': { name: 'serde', category: 'validation' },
+  'diesel': { name: 'diesel', category: 'orm' },
+  'sea-orm': { name: 'sea-orm', category: 'orm' },
+  'sqlx': { name: 'sqlx', category: 'database' },
+  'clap': { name: 'clap', category: 'cli' },
+};
+
+const RUBY_RULES = {
+  'rails': { name: 'rails', category: 'framework' },
+  'sinatra': { name: 'sinatra', category: 'framework' },
+  'hanami': { name: 'hanami', category: 'framework' },
+  'turbo-rails': { name: 'hotwire', category: 'ui' },
+  'tailwindcss-rails': { name: 'tailwind', category: 'ui' },
+  'devise': { name: 'devise', category: 'auth' },
+  'pg': { name: 'postgres', category: 'database' },
+  'sidekiq': { name: 'sidekiq', category: 'jobs' },
+  'rspec-rails': { name: 'rspec', category: 'testing' },
+  'rspec': { name: 'rspec', category: 'testing' },
+  'minitest': { name: 'minitest', category: 'testing' },
+};
+
+const PHP_RULES = {
+  'laravel/framework': { name: 'laravel', category: 'framework' },
+  'symfony/framework-bundle': { name: 'symfony', category: 'framework' },
+  'symfony/symfony': { name: 'symfony', category: 'framework' },
+  'slim/slim': { name: 'slim', category: 'framework' },
+  'livewire/livewire': { name: 'livewire', category: 'ui' },
+  'inertiajs/inertia-laravel': { name: 'inertia', category: 'ui' },
+  'laravel/sanctum': { name: 'sanctum', category: 'auth' },
+  'doctrine/orm': { name: 'doctrine', category: 'orm' },
+  'phpunit/phpunit': { name: 'phpunit', category: 'testing' },
+  'pestphp/pest': { name: 'pest', category: 'testing' },
+};
+
+/**
+ * Matched on "groupId:artifactId" prefixes
+ */
+const JVM_RULES = {
+  'org.springframework.boot': { name: 'spring-boot', category: 'framework' },
+  'io.quarkus': { name: 'quarkus', category: 'framework' },
+  'io.micronaut': { name: 'micronaut', category: 'framework' },
+  'io.ktor': { name: 'ktor', category: 'framework' },
+  'org.hibernate': { name: 'hibernate', category: 'orm' },
+  'org.jooq': { name: 'jooq', category: 'orm' },
+  'org.flywaydb': { name: 'flyway', category: 'database' },
+  'org.junit.jupiter': { name: 'junit', category: 'testing' },
+  'junit:junit': { name: 'junit', category: 'testing' },
+  'org.mockito': { name: 'mockito', category: 'testing' },
+  'org.projectlombok': { name: 'lombok', category: 'build' },
+};
+
+const DOTNET_RULES = {
+  'Microsoft.AspNetCore': { name: 'aspnetcore', category: 'framework' },
+  'Microsoft.EntityFrameworkCore': { name: 'ef-core', category: 'orm' },
+  'Dapper': { name: 'dapper', category: 'orm' },
+  'MediatR': { name: 'mediatr', category: 'architecture' },
+  'FluentValidation': { name: 'fluentvalidation', category: 'validation' },
+  'Serilog': { name: 'serilog', category: 'logging' },
+  'xunit': { name: 'xunit', category: 'testing' },
+  'NUnit': { name: 'nunit', category: 'testing' },
+  'MSTest.TestFramework': { name: 'mstest', category: 'testing' },
+};
+
+const PYTHON_RULES = {
+  'fastapi': { name: 'fastapi', category: 'framework' },
+  'django': { name: 'django', category: 'framework' },
+  'flask': { name: 'flask', category: 'framework' },
+  'starlette': { name: 'starlette', category: 'framework' },
+  'pydantic': { name: 'pydantic', category: 'validation' },
+  'sqlalchemy': { name: 'sqlalchemy', category: 'orm' },
+  'alembic': { name: 'alembic', category: 'database' },
+  'celery': { name: 'celery', category: 'jobs' },
+  'pytest': { name: 'pytest', category: 'testing' },
+  'pandas': { name: 'pandas', category: 'data' },
+  'torch': { name: 'pytorch', category: 'ml' },
+  'langchain': { name: 'langchain', category: 'ai' },
+};
+
+/**
+ * Run every ecosystem detector against one directory
+ * @param {string} dir
+ * @returns {Promise<import('./detect-stack.js').StackItem[]>}
+ */
+export async function detectEcosystems(dir) {
+  const detectors = [detectGo, detectRust, detectRuby, detectPhp, detectJvm, detectDotnet, detectPython];
+  const results = await Promise.all(detectors.map(detect => detect(dir).catch(() => [])));
+  return results.flat();
+}
+
+/**
+ * go.mod: Go version plus required modules (versions there are exact)
+ */
+async function detectGo(dir) {
+  const goMod = await readText(join(dir, 'go.mod'));
+  if (goMod === null) return [];
+
+  const items = [language('go', goMod.match(/^go\s+(\S+)/m)?.[1])];
+  const requires = goMod.matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w.-]+\/\S+)\s+v(\S+)/gm);
+  for (const [, module, version] of requires) {
+    // Major version suffixes (/v2, /v5) are part of the module path
+    const rule = GO_RULES[module.replace(/\/v\d+$/, '')];
+    if (rule) items.push(item(rule, version.replace(/\+incompatible$/, '')));
+  }
+  return items;
+}
+
+/**
+ * Cargo.toml dependencies, with exact versions from Cargo.lock
+ */
+async function detectRust(dir) {
+  const cargo = await readText(join(dir, 'Cargo.toml'));
+  if (cargo === null) return [];
+
+  const locked = lockedPackages(await readText(join(dir, 'Cargo.lock')));
+  const rustVersion = tomlTable(cargo, 'package')['rust-version'];
+  const items = [language('rust', typeof rustVersion === 'string' ? rustVersion : '')];
+
+  for (const table of ['dependencies', 'dev-dependencies', 'workspace.dependencies']) {
+    for (const [dep, spec] of Object.entries(tomlTable(cargo, table))) {
+      const rule = RUST_RULES[dep];
+      if (!rule) continue;
+      const declared = typeof spec === 'string' ? spec : spec.version || '';
+      items.push(item(rule, locked.get(dep) || versionFrom(declared)));
+    }
+  }
+  return items;
+}
+
+/**
+ * Gemfile gems, with exact versions from Gemfile.lock
+ */
+async function detectRuby(dir) {
+  const gemfile = await readText(join(dir, 'Gemfile'));
+  if (gemfile === null) return [];
+
+  const lock = await readText(join(dir, 'Gemfile.lock')) || '';
+  const locked = new Map([...lock.matchAll(/^ {4}([\w.-]+) \(([^)]+)\)/gm)].map(([, name, version]) => [name, version]));
+
+  const rubyVersion = gemfile.match(/^\s*ruby\s+['"]([^'"]+)['"]/m)?.[1]
+    || (await readText(join(dir, '.ruby-version')))?.trim().replace(/^ruby-/, '');
+  const items = [language('ruby', versionFrom(rubyVersion || ''))];
+
+  for (const [, gem, spec] of gemfile.matchAll(/^\s*gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/gm)) {
+    const rule = RUBY_RULES[gem];
+    if (rule) items.push(item(rule, locked.get(gem) || versionFrom(spec || '')));
+  }
+  return items;
+}
+
+/**
+ * composer.json requirements, with exact versions from composer.lock
+ */
+async function detectPhp(dir) {
+  const composerText = await readText(join(dir, 'composer.json'));
+  if (composerText === null) return [];
+
+  const composer = JSON.parse(composerText);
+  const locked = new Map();
+  try {
+    const lock = JSON.parse(await readText(join(dir, 'composer.lock')));
+    for (const pkg of [...lock.packages || [], ...lock['packages-dev'] || []]) {
+      locked.set(pkg.name, pkg.version.replace(/^v/, ''));
+    }
+  } catch {
+    // No composer.lock
+  }
+
+  const requires = { ...composer.require, ...composer['require-dev'] };
+  const items = [language('php', versionFrom(requires.php || ''))];
+  for (const [pkg, spec] of Object.entries(requires)) {
+    const rule = PHP_RULES[pkg];
+    if (rule) items.push(item(rule, locked.get(pkg) || versionFrom(spec)));
+  }
+  return items;
+}
+
+/**
+ * Maven pom.xml or Gradle build scripts
+ */
+async function detectJvm(dir) {
+  const pom = await readText(join(dir, 'pom.xml'));
+  if (pom !== null) return detectMaven(pom);
+
+  const gradle = await readText(join(dir, 'build.gradle.kts')) ?? await readText(join(dir, 'build.gradle'));
+  if (gradle !== null) return detectGradle(gradle);
+
+  return [];
+}
+
+function detectMaven(pom) {
+  const properties = {};
+  const propertiesBlock = pom.match(/<properties>([\s\S]*?)<\/properties>/)?.[1] || '';
+  for (const [, key, value] of propertiesBlock.matchAll(/<([\w.-]+)>([^<]*)<\/\1>/g)) {
+    properties[key] = value.trim();
+  }
+  const resolve = (value) => (value || '').replace(/\$\{([^}]+)\}/g, (_, key) => properties[key] || '');
+
+  const javaVersion = properties['java.version'] || properties['maven.compiler.release'] || properties['maven.compiler.source'];
+  const items = [language('java', javaVersion || '')];
+  if (properties['kotlin.version']) items.push(language('kotlin', properties['kotlin.version']));
+
+  // The parent (e.g. spring-boot-starter-parent) pins the framework version
+  const coordinates = [...pom.matchAll(/<(parent|dependency|plugin)>([\s\S]*?)<\/\1>/g)].map(([, , body]) => ({
+    group: body.match(/<groupId>([^<]+)<\/groupId>/)?.[1]?.trim() || '',
+    artifact: body.match(/<artifactId>([^<]+)<\/artifactId>/)?.[1]?.trim() || '',
+    version: resolve(body.match(/<version>([^<]+)<\/version>/)?.[1]?.trim()),
+  }));
+  return [...items, ...jvmItems(coordinates)];
+}
+
+function detectGradle(gradle) {
+  const toolchain = gradle.match(/languageVersion(?:\.set\()?\s*(?:=\s*)?JavaLanguageVersion\.of\((\d+)\)/)?.[1];
+  const compatibility = gradle.match(/sourceCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?['"]?([\d_.]+)/)?.[1]?.replace(/_/g, '.');
+  const items = [language('java', toolchain || compatibility || '')];
+
+  const kotlin = gradle.match(/(?:kotlin\(\s*["']jvm["']\s*\)|id\s*\(?\s*["']org\.jetbrains\.kotlin\.jvm["']\s*\)?)\s*version\s*["']([^"']+)["']/);
+  if (kotlin) items.push(language('kotlin', kotlin[1]));
+
+  const coordinates = [];
+  // Plugins: id 'org.springframework.boot' version '3.2.0'
+  for (const [, id, version] of gradle.matchAll(/id\s*\(?\s*["']([\w.-]+)["']\s*\)?\s*version\s*["']([^"']+)["']/g)) {
+    coordinates.push({ group: id, artifact: '', version });
+  }
+  // Dependencies: implementation 'group:artifact:version'
+  for (const [, group, artifact, version] of gradle.matchAll(/\b\w+\s*\(?\s*["']([\w.-]+):([\w.-]+)(?::([^"'@]+))?["']/g)) {
+    coordinates.push({ group, artifact, version: version || '' });
+  }
+  return [...items, ...jvmItems(coordinates)];
+}
+
+function jvmItems(coordinates) {
+  const items = [];
+  for (const { group, artifact, version } of coordinates) {
+    const key = Object.keys(JVM_RULES).find(prefix => `${group}:${artifact}`.startsWith(prefix));
+    if (key) items.push(item(JVM_RULES[key], versionFrom(version)));
+  }
+  // Prefer entries that carry a version (BOM-managed dependencies often don't)
+  return items.sort((a, b) => (b.version ? 1 : 0) - (a.version ? 1 : 0));
+}
+
+/**
+ * *.csproj files in the directory and up to two levels below (src/App/App.csproj)
+ */
+async function detectDotnet(dir) {
+  const projects = await findFiles(dir, /\.csproj$/i, 2);
+  if (projects.length === 0) return [];
+
+  // Central package management keeps versions out of the project files
+  const central = await readText(join(dir, 'Directory.Packages.props')) || '';
+  const centralVersions = new Map([...central.matchAll(/<PackageVersion\s+Include="([^"]+)"\s+Version="([^"]+)"/g)].map(([, name, version]) => [name, version]));
+
+  const items = [];
+  for (const project of projects) {
+    const xml = await readText(project);
+    const framework = xml.match(/<TargetFrameworks?>\s*net(?:coreapp)?(\d+\.\d+)/)?.[1];
+    items.push(language('dotnet', framework || ''));
+    if (/Sdk="Microsoft\.NET\.Sdk\.Web"/.test(xml)) items.push(item(DOTNET_RULES['Microsoft.AspNetCore'], framework || ''));
+
+    for (const [, pkg, version] of xml.matchAll(/<PackageReference\s+Include="([^"]+)"(?:\s+Version="([^"]+)")?/g)) {
+      const key = Object.keys(DOTNET_RULES).find(prefix => pkg === prefix || pkg.startsWith(`${prefix}.`));
+      if (key) items.push(item(DOTNET_RULES[key], versionFrom(version || centralVersions.get(pkg) || '')));
+    }
+  }
+  return items;
+}
+
+/**
+ * pyproject.toml (PEP 621 or Poetry) and requirements.txt, with exact
+ * versions from poetry.lock or uv.lock
+ */
+async function detectPython(dir) {
+  const pyproject = await readText(join(dir, 'pyproject.toml'));
+  const requirements = await readText(join(dir, 'requirements.txt'));
+  if (pyproject === null && requirements === null) return [];
+
+  const locked = lockedPackages(await readText(join(dir, 'poetry.lock')) ?? await readText(join(dir, 'uv.lock')));
+  const declared = new Map();
+  let pythonVersion = '';
+
+  if (pyproject !== null) {
+    const project = tomlTable(pyproject, 'project');
+    pythonVersion = versionFrom(project['requires-python'] || '');
+    const groups = [project.dependencies, ...Object.values(tomlTable(pyproject, 'project.optional-dependencies')), ...Object.values(tomlTable(pyproject, 'dependency-groups'))];
+    for (const requirement of groups.flat().filter(r => typeof r === 'string')) {
+      const [name, spec] = splitRequirement(requirement);
+      declared.set(name, spec);
+    }
+
+    for (const table of tomlTableNames(pyproject).filter(name => /^tool\.poetry(\.group\.[\w-]+)?\.(dev-)?dependencies$/.test(name))) {
+      for (const [dep, spec] of Object.entries(tomlTable(pyproject, table))) {
+        const version = typeof spec === 'string' ? spec : spec.version || '';
+        if (dep === 'python') pythonVersion = versionFrom(version);
+        else declared.set(normalizePythonName(dep), version);
+      }
+    }
+  }
+
+  for (const line of (requirements || '').split('\n')) {
+    const requirement = line.replace(/#.*/, '').trim();
+    if (!requirement || requirement.startsWith('-')) continue;
+    const [name, spec] = splitRequirement(requirement);
+    declared.set(name, spec);
+  }
+
+  const items = [language('python', pythonVersion)];
+  for (const [dep, spec] of declared) {
+    const rule = PYTHON_RULES[dep];
+    if (rule) items.push(item(rule, locked.get(dep) || versionFrom(spec)));
+  }
+  return items;
+}
+
+/**
+ * "fastapi[all]>=0.110,<1; python_version>'3.8'" → ['fastapi', '>=0.110,<1']
+ */
+function splitRequirement(requirement) {
+  const match = requirement.match(/^\s*([A-Za-z0-9][\w.-]*)\s*(?:\[[^\]]*\])?\s*([^;]*)/);
+  return match ? [normalizePythonName(match[1]), match[2].trim()] : ['', ''];
+}
+
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[_.]+/g, '-');
+}
+
+/**
+ * name → version from the [[package]] entries of Cargo.lock, poetry.lock or uv.lock
+ * @param {string|null} lock
+ * @returns {Map<string, string>}
+ */
+function lockedPackages(lock) {
+  const versions = new Map();
+  for (const entry of (lock || '').split(/^\[\[package\]\]\s*$/m).slice(1)) {
+    const name = entry.match(/^name\s*=\s*"([^"]+)"/m)?.[1];
+    const version = entry.match(/^version\s*=\s*"([^"]+)"/m)?.[1];
+    if (!name || !version) continue;
+    // Lock names are normalized like PyPI names; harmless for crates, which already use dashes
+    const key = normalizePythonName(name);
+    if (!versions.has(key)) versions.set(key, version);
+  }
+  return versions;
+}
+
+/**
+ * Read one [table] of a TOML document: strings, string arrays (also multi-line)
+ * and inline tables of strings. Enough for dependency declarations.
+ * @param {string} toml
+ * @param {string} table - e.g. 'dependencies' or 'tool.poetry.dependencies'
+ * @returns {Object<string, any>}
+ */
+function tomlTable(toml, table) {
+  const result = {};
+  const lines = toml.split('\n');
+  let inside = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\s+#.*$/, '').trim();
+    const header = line.match(/^\[([^[\]]+)\]$/);
+    if (header || line.startsWith('[[')) {
+      inside = header?.[1].trim().replace(/["']/g, '') === table;
+      continue;
+    }
+    if (!inside) continue;
+
+    const pair = line.match(/^["']?([\w.-]+)["']?\s*=\s*(.*)$/);
+    if (!pair) continue;
+    let value = pair[2];
+    // Multi-line arrays
+    if (value.startsWith('[')) {
+      while (!balancedArray(value) && i + 1 < lines.length) value += ` ${lines[++i].replace(/\s+#.*$/, '').trim()}`;
+    }
+    result[pair[1]] = tomlValue(value);
+  }
+  return result;
+}
+
+function tomlTableNames(toml) {
+  return [...toml.matchAll(/^\s*\[([^[\]]+)\]\s*$/gm)].map(([, name]) => name.trim().replace(/["']/g, ''));
+}
+
+function balancedArray(text) {
+  return (text.match(/\[/g) || []).length === (text.match(/\]/g) || []).length;
+}
+
+function tomlValue(value) {
+  const v = value.trim();
+  if (v.startsWith('[')) return [...v.matchAll(/"([^"]*)"|'([^']*)'/g)].map(([, double, single]) => double ?? single);
+  if (v.startsWith('{')) {
+    const table = {};
+    for (const [, key, double, single, bare] of v.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^,}\s]+))/g)) {
+      table[key] = double ?? single ?? bare;
+    }
+    return table;
+  }
+  return v.replace(/^["']|["']$/g, '');
+}
+
+/**
+ * First version number in a specifier: "^1.2.3" → "1.2.3", "~> 7.1" → "7.1", "latest" → ""
+ * @param {string} spec
+ * @returns {string}
+ */
+function versionFrom(spec) {
+  return String(spec).match(/\d+(?:\.\d+)*(?:[-+][\w.]+)?/)?.[0] || '';
+}
+
+function item(rule, version) {
+  return { name: rule.name, version: version || '', category: rule.category };
+}
+
+function language(name, version) {
+  return { name, version: versionFrom(version || ''), category: 'language' };
+}
+
+async function readText(path) {
+  try {
+    return await readFile(path, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files matching a pattern, up to `depth` directory levels below `dir`
+ */
+async function findFiles(dir, pattern, depth) {
+  const found = [];
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const entry of entries) {
+    if (entry.isFile() && pattern.test(entry.name)) found.push(join(dir, entry.name));
+    else if (entry.isDirectory() && depth > 0 && !/^(\.|node_modules$|bin$|obj$)/.test(entry.name)) {
+      found.push(...await findFiles(join(dir, entry.name), pattern, depth - 1));
+    }
+  }
+  return found;
+}
@@ -0,0 +1,220 @@
+import { readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseMarkdown } from './markdown.js';
+import { hasKnowledgeSignal } from './extract.js';
+import { heuristicClassifier } from './classify.js';
+
+/**
+ * Accuracy benchmark: run the keep/drop filter (hasKnowledgeSignal) and a
+ * classifier over the labeled corpus in eval/corpus and compare against
+ * eval/expected.json. Every section is evaluated, including the ones the
+ * filter drops, so filter mistakes and classifier mistakes are measured apart.
+ */
+
+export const DEFAULT_CORPUS_DIR = fileURLToPath(new URL('../eval/corpus/', import.meta.url));
+
+/**
+ * @typedef {Object} Expectation
+ * @property {boolean} keep - Section carries reusable knowledge
+ * @property {string} [category] - Expected category when kept
+ * @property {string} [type] - Expected type when kept
+ */
+
+/**
+ * @typedef {Object} LabelScores
+ * @property {number} accuracy
+ * @property {number} macroF1
+ * @property {Object<string, { precision: number, recall: number, f1: number, support: number }>} perLabel
+ * @property {Object<string, Object<string, number>>} confusion - expected → predicted → count
+ */
+
+/**
+ * @typedef {Object} EvalReport
+ * @property {string} classifier
+ * @property {{ files: number, sections: number, keep: number, drop: number, unlabeled: string[] }} corpus
+ * @property {{ falseDropRate: number, falseKeepRate: number, falseDrops: string[], falseKeeps: string[] }} signal
+ * @property {LabelScores} category
+ * @property {LabelScores} type
+ * @property {Array<{ section: string, expected: Object, predicted: Object }>} mistakes
+ */
+
+/**
+ * @param {{ corpusDir?: string, expectedPath?: string, classifier?: import('./classify.js').Classifier }} [options] -
+ *   expectedPath defaults to expected.json next to the corpus directory
+ * @returns {Promise<EvalReport>}
+ */
+export async function runEval(options = {}) {
+  const corpusDir = options.corpusDir || DEFAULT_CORPUS_DIR;
+  const classifier = options.classifier || heuristicClassifier;
+  const expected = JSON.parse(await readFile(options.expectedPath || join(corpusDir, '..', 'expected.json'), 'utf-8'));
+
+  const files = (await readdir(corpusDir)).filter(name => /\.(md|mdx|mdc|txt)$/i.test(name)).sort();
+  const categoryPairs = [];
+  const typePairs = [];
+  const falseDrops = [];
+  const falseKeeps = [];
+  const unlabeled = [];
+  const mistakes = [];
+  let keep = 0;
+  let drop = 0;
+
+  for (const file of files) {
+    const content = await readFile(join(corpusDir, file), 'utf-8');
+    const labels = expected[file] || {};
+
+    for (const section of parseMarkdown(content, { mdx: /\.mdx$/i.test(file) }).sections) {
+      const sectionName = section.title || 'preamble';
+      const id = `${file} > ${sectionName}`;
+      const label = labels[sectionName];
+      if (!label) {
+        unlabeled.push(id);
+        continue;
+      }
+
+      const sectionContent = section.content.trim();
+      const kept = Boolean(sectionContent) && hasKnowledgeSignal(sectionContent, sectionName);
+      if (label.keep) keep++;
+      else drop++;
+      if (label.keep && !kept) falseDrops.push(id);
+      if (!label.keep && kept) falseKeeps.push(id);
+      if (!label.keep) continue;
+
+      // Classify every section that should be kept, even if the filter dropped it
+      const predicted = await classifier.classify({
+        content: sectionContent,
+        file,
+        category: 'ai-instructions',
+        priority: 1,
+        lineStart: section.lineStart,
+        lineEnd: section.lineEnd,
+        section: sectionName,
+        breadcrumb: section.breadcrumb.join(' > ') || sectionName,
+      });
+      categoryPairs.push([label.category, predicted.category]);
+      typePairs.push([label.type, predicted.type]);
+      if (predicted.category !== label.category || predicted.type !== label.type) {
+        mistakes.push({
+          section: id,
+          expected: { category: label.category, type: label.type },
+          predicted: { category: predicted.category, type: predicted.type },
+        });
+      }
+    }
+  }
+
+  return {
+    classifier: classifier.name,
+    corpus: { files: files.length, sections: keep + drop, keep, drop, unlabeled },
+    signal: {
+      falseDropRate: ratio(falseDrops.length, keep),
+      falseKeepRate: ratio(falseKeeps.length, drop),
+      falseDrops,
+      falseKeeps,
+    },
+    category: scoreLabels(categoryPairs),
+    type: scoreLabels(typePairs),
+    mistakes,
+  };
+}
+
+/**
+ * Per-label precision/recall/F1, accuracy and confusion matrix
+ * @param {Array<[string, string]>} pairs - [expected, predicted]
+ * @returns {LabelScores}
+ */
+function scoreLabels(pairs) {
+  const confusion = {};
+  const labels = new Set();
+  for (const [expected, predicted] of pairs) {
+    labels.add(expected);
+    labels.add(predicted);
+    confusion[expected] ??= {};
+    confusion[expected][predicted] = (confusion[expected][predicted] || 0) + 1;
+  }
+
+  const perLabel = {};
+  for (const label of [...labels].sort()) {
+    const truePositives = confusion[label]?.[label] || 0;
+    const support = pairs.filter(([expected]) => expected === label).length;
+    const predictedCount = pairs.filter(([, predicted]) => predicted === label).length;
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+    perLabel[label] = { precision, recall, f1: round(precision + recall ? (2 * precision * recall) / (precision + recall) : 0), support };
+  }
+
+  // Macro average over labels that actually occur in the corpus
+  const present = Object.values(perLabel).filter(score => score.support > 0);
+  return {
+    accuracy: ratio(pairs.filter(([expected, predicted]) => expected === predicted).length, pairs.length),
+    macroF1: round(present.reduce((sum, score) => sum + score.f1, 0) / (present.length || 1)),
+    perLabel,
+    confusion,
+  };
+}
+
+/**
+ * Print the report, with deltas against a baseline report when given
+ * @param {EvalReport} report
+ * @param {EvalReport} [baseline]
+ */
+export function printEvalReport(report, baseline) {
+  const delta = (value, before, lowerIsBetter = false) => {
+    if (before === undefined) return '';
+    const diff = round(value - before);
+    if (diff === 0) return '  (±0)';
+    const better = lowerIsBetter ? diff < 0 : diff > 0;
+    return `  (${diff > 0 ? '+' : ''}${diff} ${better ? 'better' : 'worse'})`;
+  };
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`  CLASSIFICATION EVAL — ${report.classifier}`);
+  console.log('═'.repeat(60));
+  console.log(`  Corpus:            ${report.corpus.files} files, ${report.corpus.sections} labeled sections (${report.corpus.keep} keep / ${report.corpus.drop} drop)`);
+  console.log(`  Category accuracy: ${report.category.accuracy}${delta(report.category.accuracy, baseline?.category.accuracy)}`);
+  console.log(`  Category macro-F1: ${report.category.macroF1}${delta(report.category.macroF1, baseline?.category.macroF1)}`);
+  console.log(`  Type accuracy:     ${report.type.accuracy}${delta(report.type.accuracy, baseline?.type.accuracy)}`);
+  console.log(`  Type macro-F1:     ${report.type.macroF1}${delta(report.type.macroF1, baseline?.type.macroF1)}`);
+  console.log(`  False-drop rate:   ${report.signal.falseDropRate}${delta(report.signal.falseDropRate, baseline?.signal.falseDropRate, true)}`);
+  console.log(`  False-keep rate:   ${report.signal.falseKeepRate}${delta(report.signal.falseKeepRate, baseline?.signal.falseKeepRate, true)}`);
+
+  for (const [title, scores] of [['Category', report.category], ['Type', report.type]]) {
+    console.log(`\n  ${title}              precision  recall  f1     support`);
+    for (const [label, score] of Object.entries(scores.perLabel)) {
+      console.log(`    ${label.padEnd(18)} ${String(score.precision).padEnd(10)} ${String(score.recall).padEnd(7)} ${String(score.f1).padEnd(6)} ${score.support}`);
+    }
+    printConfusion(scores.confusion);
+  }
+
+  if (report.signal.falseDrops.length > 0) {
+    console.log('\n  Dropped but labeled keep:');
+    for (const id of report.signal.falseDrops) console.log(`    ${id}`);
+  }
+  if (report.signal.falseKeeps.length > 0) {
+    console.log('\n  Kept but labeled drop:');
+    for (const id of report.signal.falseKeeps) console.log(`    ${id}`);
+  }
+  if (report.corpus.unlabeled.length > 0) {
+    console.log(`\n  Unlabeled sections (not scored): ${report.corpus.unlabeled.length}`);
+  }
+  console.log('═'.repeat(60) + '\n');
+}
+
+function printConfusion(confusion) {
+  const labels = [...new Set(Object.entries(confusion).flatMap(([expected, row]) => [expected, ...Object.keys(row)]))].sort();
+  const short = labels.map(label => label.substring(0, 5));
+  console.log(`\n    expected \\ predicted ${short.map(s => s.padStart(6)).join('')}`);
+  for (const expected of labels) {
+    if (!confusion[expected]) continue;
+    const cells = labels.map(predicted => String(confusion[expected][predicted] || '.').padStart(6));
+    console.log(`    ${expected.padEnd(20)} ${cells.join('')}`);
+  }
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? round(numerator / denominator) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
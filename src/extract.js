@@ -1,4 +1,7 @@
 import { readFile } from 'node:fs/promises';
+import { parseMarkdown } from './markdown.js';
+import { interpretConfig } from './config-rules.js';
+import { detectLanguage, vocabularyFor } from './languages.js';
 
 /**
  * @typedef {Object} RawKnowledgeBlock
@@ -9,15 +12,25 @@ import { readFile } from 'node:fs/promises';
  * @property {number} lineStart - Starting line number
  * @property {number} lineEnd - Ending line number
  * @property {string} section - Section heading if applicable
+ * @property {string} [breadcrumb] - Full heading path, e.g. "Conventions > API > Errors"
+ * @property {string} [origin] - 'code' when inferred by source analysis, 'config' when interpreted from a tool config
+ * @property {string} [categoryHint] - Category decided by the producer (skips keyword detection)
+ * @property {string} [typeHint] - Type decided by the producer (skips signal detection)
+ * @property {string} [importedFrom] - Instruction file that pulled this file in via @import or link
+ * @property {string} [parentSection] - Heading of the section an atomic rule was split from
+ * @property {{ globs?: string[], alwaysApply?: boolean, directory?: string, package?: string }} [appliesTo] - Where the rule applies:
+ *   Cursor .mdc front matter and/or the package directory of a nested instruction file
+ * @property {number} [redactions] - Secrets and personal data values masked by redact.js
  */
 
 /**
  * Extract knowledge blocks from discovered files
  * @param {Array} files - Discovered files from discover.js
  * @param {string} repoPath
+ * @param {{ atomic?: boolean }} [options] - atomic: split list items and ✅/❌ pairs into one block per rule
  * @returns {Promise<RawKnowledgeBlock[]>}
  */
-export async function extractKnowledge(files, repoPath) {
+export async function extractKnowledge(files, repoPath, options = {}) {
   const blocks = [];
 
   for (const file of files) {
@@ -25,7 +38,12 @@ export async function extractKnowledge(files, repoPath) {
       const content = await readFile(file.path, 'utf-8');
 
       if (file.category === 'linting' || file.category === 'typescript' || file.category === 'formatting') {
-        // Config files: extract as a single block
+        // Config files: one block per interpreted setting, or the whole file if it can't be parsed
+        const settingBlocks = interpretConfig(file, content);
+        if (settingBlocks) {
+          blocks.push(...settingBlocks);
+          continue;
+        }
         blocks.push({
           content,
           file: file.relativePath,
@@ -38,7 +56,7 @@ export async function extractKnowledge(files, repoPath) {
       } else {
         // Markdown/text files: split by sections
         const sectionBlocks = splitBySections(content, file);
-        blocks.push(...sectionBlocks);
+        blocks.push(...(options.atomic ? sectionBlocks.flatMap(splitIntoRules) : sectionBlocks));
       }
     } catch (error) {
       console.warn(`[WARN] Could not read ${file.relativePath}: ${error.message}`);
@@ -49,59 +67,169 @@ export async function extractKnowledge(files, repoPath) {
 }
 
 /**
- * Split markdown content into section-based blocks
+ * Split markdown content into section-based blocks.
+ * Every heading level starts a section; headings inside code fences, HTML
+ * comments and front matter are not structure.
  * @param {string} content
  * @param {Object} file
  * @returns {RawKnowledgeBlock[]}
  */
 function splitBySections(content, file) {
-  const lines = content.split('\n');
+  const { frontMatter, sections } = parseMarkdown(content, { mdx: /\.mdx$/i.test(file.relativePath) });
   const blocks = [];
-  let currentSection = 'preamble';
-  let currentLines = [];
-  let sectionStart = 1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const headingMatch = line.match(/^(#{1,3})\s+(.+)/);
-
-    if (headingMatch && currentLines.length > 0) {
-      // Save previous section
-      const sectionContent = currentLines.join('\n').trim();
-      if (sectionContent && hasKnowledgeSignal(sectionContent, currentSection)) {
-        blocks.push({
-          content: sectionContent,
-          file: file.relativePath,
-          category: file.category,
-          priority: file.priority,
-          lineStart: sectionStart,
-          lineEnd: i,
-          section: currentSection,
-        });
+  const rule = /\.mdc$/i.test(file.relativePath) ? cursorRuleMetadata(frontMatter) : null;
+  const appliesTo = rule || file.scope
+    ? { ...rule?.appliesTo, ...(file.scope && { directory: file.scope }), ...(file.package && { package: file.package }) }
+    : null;
+
+  for (const section of sections) {
+    // Cursor rules rarely have headings — their front matter description names the rule
+    const sectionName = section.title || rule?.description || 'preamble';
+    const sectionContent = section.content.trim();
+    if (sectionContent && hasKnowledgeSignal(sectionContent, sectionName)) {
+      // Blank lines trimmed from the top (e.g. after front matter) still count
+      const leadingLines = section.content.slice(0, section.content.indexOf(sectionContent)).split('\n').length - 1;
+      blocks.push({
+        content: sectionContent,
+        file: file.relativePath,
+        category: file.category,
+        priority: file.priority,
+        lineStart: section.lineStart + leadingLines,
+        lineEnd: section.lineEnd,
+        section: sectionName,
+        breadcrumb: section.breadcrumb.join(' > ') || sectionName,
+        ...(appliesTo && { appliesTo }),
+        ...(file.importedFrom && { importedFrom: file.importedFrom }),
+      });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Read Cursor rule front matter: `description`, `globs` (list or comma-separated
+ * string) and `alwaysApply`
+ * @param {import('./markdown.js').FrontMatter | null} frontMatter
+ * @returns {{ description: string | null, appliesTo: { globs: string[], alwaysApply: boolean } }}
+ */
+function cursorRuleMetadata(frontMatter) {
+  const data = frontMatter?.data || {};
+  const globs = (Array.isArray(data.globs) ? data.globs : String(data.globs || '').split(','))
+    .map(glob => String(glob).trim())
+    .filter(Boolean);
+
+  return {
+    description: typeof data.description === 'string' && data.description.trim() ? data.description.trim() : null,
+    appliesTo: { globs, alwaysApply: data.alwaysApply === true },
+  };
+}
+
+/**
+ * Split a section block into one block per rule: top-level bullet and numbered
+ * list items, plus ❌/✅ lines (a ❌ directly followed by its ✅ stays together).
+ * Nested items, continuation lines and code fences stay with their item.
+ * Sections with fewer than two rules are returned unchanged.
+ * @param {RawKnowledgeBlock} block
+ * @returns {RawKnowledgeBlock[]}
+ */
+function splitIntoRules(block) {
+  const lines = block.content.split('\n');
+  const items = [];
+  const prose = [];
+  let current = null;
+  let listIndent = null;
+  let inFence = false;
+  let blankRun = 0;
+
+  const close = () => {
+    if (current) items.push(current);
+    current = null;
+  };
+
+  lines.forEach((line, index) => {
+    const lineNumber = block.lineStart + index;
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    if (inFence || /^\s*(```|~~~)/.test(line)) {
+      // Fenced code belongs to the item it follows
+      if (current) {
+        current.lines.push(line);
+        current.lineEnd = lineNumber;
+      } else {
+        prose.push(line);
       }
-      currentSection = headingMatch[2].trim();
-      currentLines = [line];
-      sectionStart = i + 1;
+      return;
+    }
+
+    if (line.trim() === '') {
+      blankRun++;
+      if (current) current.lines.push(line);
+      return;
+    }
+
+    const marker = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+    const emoji = line.match(/^(\s*)(?:[-*+]\s+)?([\u274c\u2705])/);
+    const indent = (marker || emoji)?.[1].length ?? line.match(/^\s*/)[0].length;
+
+    if (emoji && (listIndent === null || indent <= listIndent)) {
+      // ❌ immediately followed by ✅ (or the reverse) is one rule with its alternative
+      const pairs = current && blankRun === 0 && current.emoji && current.emoji !== emoji[2] && !current.paired;
+      if (pairs) {
+        current.lines.push(line);
+        current.lineEnd = lineNumber;
+        current.paired = true;
+      } else {
+        close();
+        current = { lines: [line], lineStart: lineNumber, lineEnd: lineNumber, emoji: emoji[2] };
+      }
+      listIndent = listIndent ?? indent;
+    } else if (marker && (listIndent === null || indent <= listIndent)) {
+      close();
+      current = { lines: [line], lineStart: lineNumber, lineEnd: lineNumber };
+      listIndent = indent;
+    } else if (current && (indent > listIndent || blankRun === 0) && !/^#{1,6}\s/.test(line)) {
+      // Nested item or continuation of the current item
+      current.lines.push(line);
+      current.lineEnd = lineNumber;
     } else {
-      currentLines.push(line);
+      close();
+      listIndent = null;
+      prose.push(line);
     }
-  }
+    blankRun = 0;
+  });
+  close();
+
+  const rules = items
+    .map(item => ({ ...item, content: item.lines.join('\n').trim() }))
+    .filter(item => item.content.length >= 15 && !/^[-*+\d.)\s]*\[[^\]]+\]\([^)]*\)\s*$/.test(item.content));
 
-  // Don't forget the last section
-  const lastContent = currentLines.join('\n').trim();
-  if (lastContent && hasKnowledgeSignal(lastContent, currentSection)) {
-    blocks.push({
-      content: lastContent,
-      file: file.relativePath,
-      category: file.category,
-      priority: file.priority,
-      lineStart: sectionStart,
-      lineEnd: lines.length,
-      section: currentSection,
-    });
+  if (rules.length < 2) return [block];
+
+  const ruleBlocks = rules.map(rule => ({
+    content: rule.content,
+    file: block.file,
+    category: block.category,
+    priority: block.priority,
+    lineStart: rule.lineStart,
+    lineEnd: rule.lineEnd,
+    section: block.section,
+    breadcrumb: block.breadcrumb,
+    parentSection: block.section,
+    ...(block.appliesTo && { appliesTo: block.appliesTo }),
+    ...(block.importedFrom && { importedFrom: block.importedFrom }),
+  }));
+
+  // Keep remaining prose (intro paragraphs etc.) when it carries knowledge on its own
+  const remainder = prose.join('\n').trim();
+  if (remainder && hasKnowledgeSignal(remainder, block.section)) {
+    ruleBlocks.unshift({ ...block, content: remainder });
   }
 
-  return blocks;
+  return ruleBlocks;
 }
 
 /**
@@ -111,7 +239,7 @@ function splitBySections(content, file) {
  * @param {string} section - Section heading
  * @returns {boolean}
  */
-function hasKnowledgeSignal(content, section = 'preamble') {
+export function hasKnowledgeSignal(content, section = 'preamble') {
   // Too short to be useful
   if (content.length < 50) return false;
 
@@ -122,29 +250,25 @@ function hasKnowledgeSignal(content, section = 'preamble') {
     if (lines.length < 3) return false;
   }
 
+  const vocabulary = vocabularyFor(detectLanguage(content));
+
   // Skip license/legal boilerplate
   const lowerContent = content.toLowerCase();
-  if (lowerContent.includes('mit license') || lowerContent.includes('apache license')) return false;
-  if (lowerContent.startsWith('copyright')) return false;
+  if (vocabulary.boilerplate.some(pattern => pattern.test(lowerContent))) return false;
 
   // Skip session logs / changelogs (high noise, low reusable knowledge)
   // Matches: "Session (date)", "Seneste Session (date)", "Tidligere Sessions", "Changelog", etc.
-  if (section && /^(seneste\s+)?session|^tidligere\s+session|^changelog|^version\s+histor|^v\d+\.\d+/i.test(section)) return false;
+  if (section && vocabulary.skipSections.some(pattern => pattern.test(section))) return false;
 
-  // Look for positive signals (English + Danish)
+  // Look for positive signals: the language's signal words, then language-neutral markup
   const signals = [
-    /must|should|always|never|don't|avoid|prefer|require/i,
-    /skal|altid|aldrig|undg\u00e5|brug ikke|foretr\u00e6kker|p\u00e5kr\u00e6vet|obligatorisk/i,
-    /pattern|convention|rule|standard|best practice/i,
-    /m\u00f8nster|konvention|regel|vigtigt/i,
-    /import|export|async|await|function|class|const|let/i,
-    /error|test|lint|format|style|security|auth/i,
+    vocabulary.knowledgeSignal,
     /```/,  // Code blocks are almost always useful
     /\*\*.*\*\*/, // Bold text often marks important rules
     /- \[[ x]\]/, // Checklists
     /^\s*[-*]\s/m, // Bullet lists
     /[\u274c\u2705\u26a0\ufe0f]/,  // Emoji signals used in rule docs
-  ];
+  ].filter(Boolean);
 
   return signals.some(signal => signal.test(content));
 }
@@ -0,0 +1,159 @@
+import { CATEGORIES } from './classify.js';
+import { tfidfVectors, cosine } from './text.js';
+import { displayDescription } from './query.js';
+
+/**
+ * The extraction pipeline in reverse: render fragments as an instruction
+ * file for a new repo — CLAUDE.md, AGENTS.md, Cursor rules or Copilot
+ * instructions — grouped by category, rules first, anti-patterns paired with
+ * what to do instead, and every item's source kept as an HTML comment.
+ */
+
+export const GENERATE_FORMATS = {
+  claude: { path: 'CLAUDE.md', title: 'CLAUDE.md' },
+  agents: { path: 'AGENTS.md', title: 'AGENTS.md' },
+  copilot: { path: '.github/copilot-instructions.md', title: 'Copilot Instructions' },
+  cursor: { path: '.cursor/rules', title: null },
+};
+
+const CATEGORY_TITLES = {
+  'error-handling': 'Error Handling',
+  'auth-pattern': 'Authentication & Authorization',
+  'testing': 'Testing',
+  'file-structure': 'File Structure',
+  'naming': 'Naming',
+  'security': 'Security',
+  'performance': 'Performance',
+  'conventions': 'Conventions',
+  'architecture': 'Architecture',
+  'api-design': 'API Design',
+  'database': 'Database',
+  'deployment': 'Deployment',
+  'imports': 'Imports',
+  'ui-patterns': 'UI Patterns',
+  'git-workflow': 'Git Workflow',
+};
+
+// Rules first, then what to avoid, then how things are usually done
+const TYPE_ORDER = ['rule', 'anti-pattern', 'pattern', 'convention'];
+
+// Minimum similarity for a rule or pattern to count as the alternative to an anti-pattern
+const ALTERNATIVE_THRESHOLD = 0.15;
+
+// Bodies up to this length on a single line render as a plain bullet
+const INLINE_LIMIT = 200;
+
+/**
+ * @typedef {Object} GeneratedFile
+ * @property {string} path - Relative to the target repo root
+ * @property {string} content
+ */
+
+/**
+ * @param {Object[]} fragments - Already filtered (query.js queryFragments)
+ * @param {{ format: string, generatedAt?: Date }} options
+ * @returns {GeneratedFile[]}
+ */
+export function generateInstructions(fragments, { format, generatedAt = new Date() }) {
+  const target = GENERATE_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unknown format "${format}" (expected ${Object.keys(GENERATE_FORMATS).join(', ')})`);
+  }
+
+  const groups = CATEGORIES
+    .map(category => ({ category, fragments: fragments.filter(f => f.category === category) }))
+    .filter(group => group.fragments.length > 0);
+  const provenance = `<!-- Generated by cpm-knowledge-extractor on ${generatedAt.toISOString().substring(0, 10)} from ${fragments.length} fragments (${[...new Set(fragments.map(f => f.source.repo))].join(', ')}) -->`;
+
+  if (format === 'cursor') {
+    return groups.map(group => ({
+      path: `${target.path}/${group.category}.mdc`,
+      content: [
+        '---',
+        `description: ${CATEGORY_TITLES[group.category]} rules for this project`,
+        'globs:',
+        'alwaysApply: true',
+        '---',
+        '',
+        provenance,
+        '',
+        renderCategory(group, '#'),
+      ].join('\n'),
+    }));
+  }
+
+  const body = groups.length > 0
+    ? groups.map(group => renderCategory(group, '##')).join('\n')
+    : '_No fragments matched._\n';
+  return [{
+    path: target.path,
+    content: `# ${target.title}\n\n${provenance}\n\nRules and conventions for this project, bootstrapped from the repos listed above. Edit freely — this file is yours now.\n\n${body}`,
+  }];
+}
+
+/**
+ * One category: rules, anti-patterns (each with its alternative), patterns, conventions
+ */
+function renderCategory(group, heading) {
+  const ordered = TYPE_ORDER.flatMap(type => group.fragments.filter(f => f.type === type));
+  const alternatives = pairAlternatives(ordered);
+  const lines = [`${heading} ${CATEGORY_TITLES[group.category]}`, ''];
+
+  for (const type of TYPE_ORDER) {
+    const items = ordered.filter(f => f.type === type);
+    if (items.length === 0) continue;
+    if (type === 'anti-pattern') lines.push('Avoid:', '');
+    if (type === 'pattern' && ordered.some(f => f.type !== 'pattern')) lines.push('Patterns:', '');
+    for (const fragment of items) {
+      lines.push(...renderItem(fragment, group.category, heading, alternatives.get(fragment.id)));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * For each anti-pattern, the most similar rule or pattern in the same category
+ * @param {Object[]} fragments
+ * @returns {Map<string, Object>} Anti-pattern ID → alternative fragment
+ */
+function pairAlternatives(fragments) {
+  const pairs = new Map();
+  const candidates = fragments.filter(f => f.type === 'rule' || f.type === 'pattern');
+  if (candidates.length === 0) return pairs;
+
+  const vectors = tfidfVectors(fragments.map(f => `${f.title}\n${f.description}`));
+  const vectorOf = new Map(fragments.map((f, i) => [f, vectors[i]]));
+
+  for (const antiPattern of fragments.filter(f => f.type === 'anti-pattern')) {
+    let best = null;
+    let bestScore = ALTERNATIVE_THRESHOLD;
+    for (const candidate of candidates) {
+      const score = cosine(vectorOf.get(antiPattern), vectorOf.get(candidate));
+      if (score >= bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    if (best) pairs.set(antiPattern.id, best);
+  }
+
+  return pairs;
+}
+
+function renderItem(fragment, category, heading, alternative) {
+  const body = displayDescription(fragment);
+  const comment = `<!-- source: ${fragment.source.repo}/${fragment.source.file}:${fragment.source.line}${fragment.source.url ? ` ${fragment.source.url}` : ''} · ${fragment.confidence} confidence · ${fragment.id} -->`;
+  const instead = alternative ? [`  Instead: ${alternative.title}`] : [];
+
+  // Atomic rules and one-liners read best as bullets
+  if (!body.includes('\n') && body.length <= INLINE_LIMIT) {
+    // Atomic rules keep the list marker or number of the list they were split from
+    const text = body.replace(/^([-*+]|\d+[.)])\s+/, '') || fragment.title;
+    return [`- ${text}`, ...instead, comment, ''];
+  }
+
+  // A section titled like its category ("## Testing" under Testing) needs no heading of its own
+  const title = fragment.title.toLowerCase() === CATEGORY_TITLES[category].toLowerCase() ? [] : [`${heading}# ${fragment.title}`, ''];
+  return [...title, body, '', ...(alternative ? [`Instead: ${alternative.title}`, ''] : []), comment, ''];
+}
@@ -1,15 +1,31 @@
 #!/usr/bin/env node
 
 import { parseArgs } from 'node:util';
-import { resolve } from 'node:path';
+import { resolve, join, basename, dirname } from 'node:path';
 import { config } from 'dotenv';
-import { cloneRepo, isLocalRepo, getRepoInfo, parseRepoIdentifier } from './clone.js';
+import { cloneRepo, isLocalRepo, getRepoInfo, parseRepoIdentifier, checkoutRef } from './clone.js';
+import { stripCredentials } from './providers.js';
 import { discoverFiles } from './discover.js';
 import { detectStack } from './detect-stack.js';
 import { extractKnowledge } from './extract.js';
-import { classifyFragments } from './classify.js';
-import { writeOutput } from './output.js';
-import { readFileSync } from 'node:fs';
+import { classifyFragments, heuristicClassifier } from './classify.js';
+import { createHttpClassifier } from './llm-classifier.js';
+import { analyzeSourceCode } from './analyze-source.js';
+import { loadCache, saveCache, hashFiles, partitionFiles, remoteHeadSha, localHeadSha, isDirty } from './cache.js';
+import { writeOutput, writeRunReport, toOutputFragment } from './output.js';
+import { runPool, withTimeout, buildRunReport } from './batch.js';
+import { mergeDuplicates } from './dedupe.js';
+import { findContradictions } from './contradictions.js';
+import { runEval, printEvalReport, DEFAULT_CORPUS_DIR } from './eval.js';
+import { loadLanguagePacks, languagePacksFingerprint } from './languages.js';
+import { redactBlocks, redactedKinds } from './redact.js';
+import { parseStoreTarget, openStore, writeStore } from './store.js';
+import { loadFragments, queryFragments, formatResults } from './query.js';
+import { buildPack, stackSpecsFromItems } from './pack.js';
+import { generateInstructions } from './generate.js';
+import { diffFragments, formatDiff } from './diff.js';
+import { readFileSync, existsSync } from 'node:fs';
+import { writeFile, mkdir } from 'node:fs/promises';
 
 config();
 
@@ -18,8 +34,38 @@ const { values, positionals } = parseArgs({
   options: {
     output: { type: 'string', short: 'o', default: '' },
     batch: { type: 'string', short: 'b', default: '' },
-    format: { type: 'string', short: 'f', default: 'json' },
+    format: { type: 'string', short: 'f', default: '' },
     verbose: { type: 'boolean', short: 'v', default: false },
+    'analyze-source': { type: 'boolean', default: false },
+    atomic: { type: 'boolean', short: 'a', default: false },
+    'no-cache': { type: 'boolean', default: false },
+    concurrency: { type: 'string', short: 'c', default: '1' },
+    timeout: { type: 'string', default: process.env.REPO_TIMEOUT || '600' },
+    retries: { type: 'string', default: '2' },
+    report: { type: 'string', default: '' },
+    'allow-failures': { type: 'boolean', default: false },
+    'no-dedupe': { type: 'boolean', default: false },
+    'dedupe-threshold': { type: 'string', default: '0.8' },
+    classifier: { type: 'string', default: process.env.CLASSIFIER || 'heuristic' },
+    corpus: { type: 'string', default: '' },
+    baseline: { type: 'string', default: '' },
+    'language-pack': { type: 'string', multiple: true, default: [] },
+    'fail-on-secrets': { type: 'boolean', default: false },
+    store: { type: 'string', default: process.env.STORE || '' },
+    stack: { type: 'string', multiple: true, default: [] },
+    category: { type: 'string', default: '' },
+    type: { type: 'string', default: '' },
+    confidence: { type: 'string', default: '' },
+    tag: { type: 'string', multiple: true, default: [] },
+    repo: { type: 'string', default: '' },
+    search: { type: 'string', short: 'q', default: '' },
+    limit: { type: 'string', default: '20' },
+    'include-stale': { type: 'boolean', default: false },
+    target: { type: 'string', default: '' },
+    budget: { type: 'string', default: '4000' },
+    force: { type: 'boolean', default: false },
+    from: { type: 'string', default: '' },
+    to: { type: 'string', default: '' },
     help: { type: 'boolean', short: 'h', default: false },
   },
 });
@@ -31,89 +77,319 @@ cpm-knowledge-extractor v0.1.0
 Usage:
   node src/index.js <repo-url-or-owner/repo> [options]
   node src/index.js --batch repos.txt [options]
+  node src/index.js eval [--classifier <name>] [--baseline <report.json>] [-o <report.json>]
+  node src/index.js query <fragments.json | sqlite:<path>>... [filters] [-q <text>] [-f table|json|markdown]
+  node src/index.js pack "<task>" <fragments.json | sqlite:<path>>... [--stack <spec>... | --target <repo>] [--budget <tokens>]
+  node src/index.js generate <fragments.json | sqlite:<path>>... [filters] [-f claude|agents|cursor|copilot] [-o <path>]
+  node src/index.js diff <old.json> <new.json> [-f text|json|markdown]
+  node src/index.js diff <repo> --from <ref> [--to <ref>] [-f text|json|markdown]
+
+Commands:
+  eval                   Score hasKnowledgeSignal and the classifier against the labeled
+                         corpus (eval/corpus, eval/expected.json; --corpus <dir> to override)
+  query                  Filter and search fragments from output files or a store (default: STORE)
+  pack                   Assemble the fragments relevant to a task and target stack into a Markdown
+                         context block within a token budget (-o to write it to a file)
+  generate               Render fragments as CLAUDE.md (default), AGENTS.md, .cursor/rules/*.mdc or
+                         copilot-instructions.md; takes the query filters. Prints to stdout unless
+                         -o is given (a directory for cursor); --force overwrites existing files
+  diff                   Added, removed and modified rules between two output files (or stores), or
+                         between two refs of a repo, each extracted afresh; fragments are paired
+                         by content similarity, so moved or reworded rules aren't remove + add
+
+Diff options:
+  --from <ref>           Branch, tag or commit to compare from
+  --to <ref>             Ref to compare to (default: HEAD)
+
+Query options:
+  --stack <name[@range]> Stack item, e.g. next.js@>=15 or vitest (repeatable, all must match)
+  --category <list>      Comma-separated categories
+  --type <list>          Comma-separated types (rule, anti-pattern, pattern, convention)
+  --confidence <level>   Minimum confidence: low, medium or high
+  --tag <tag>            Required tag (repeatable)
+  --repo <list>          Comma-separated source repos (owner/name)
+  -q, --search <text>    Ranked full-text search (BM25) over title, description and example
+  --limit <n>            Maximum results, 0 for all (default: 20)
+  --include-stale        Include fragments a store has marked stale
+
+Pack options:
+  --stack <name[@range]> Target stack item (repeatable)
+  --target <repo-path>   Detect the target stack from a local repo instead
+  --budget <tokens>      Token budget for the context block (default: 4000)
 
 Options:
   -o, --output <file>    Output file path (default: output/<repo-name>.json)
+  --store sqlite:<path>  Upsert fragments into a SQLite knowledge bank (Node 22.13+) instead of
+                         writing a JSON file (add -o to get both; or STORE)
   -b, --batch <file>     File with one repo URL/shorthand per line
   -f, --format <format>  Output format: json (default) or yaml
+  --analyze-source       Also infer patterns from source code (or ANALYZE_SOURCE_CODE=true)
+  -a, --atomic           One fragment per list item / ❌✅ pair instead of per section
+  --no-cache             Ignore the extraction cache and re-extract everything
+  -c, --concurrency <n>  Repos processed in parallel (default: 1)
+  --timeout <seconds>    Per-repo timeout, 0 to disable (default: 600 or REPO_TIMEOUT)
+  --retries <n>          Retries for transient clone failures (default: 2)
+  --report <file>        Run report path (default: <OUTPUT_DIR>/run-report.json)
+  --allow-failures       Exit 0 even when some repos fail
+  --no-dedupe            Keep near-duplicate fragments separate
+  --dedupe-threshold <n> Similarity (0-1) at which fragments merge (default: 0.8)
+  --classifier <name>    heuristic (default) or http — an OpenAI-compatible endpoint
+                         set by CLASSIFIER_URL / CLASSIFIER_MODEL (or CLASSIFIER)
+  --language-pack <file> Extra language pack (JSON), repeatable; adds to LANGUAGE_PACKS
+  --fail-on-secrets      Exit 1 when secrets or personal data had to be redacted (for CI)
   -v, --verbose          Verbose logging
   -h, --help             Show this help
 
 Auth:
-  Uses \`gh\` CLI for cloning (inherits your GitHub auth for private repos).
-  Falls back to plain git if gh is not available.
+  Uses \`gh\` CLI for cloning GitHub repos (inherits your GitHub auth for private repos).
+  Falls back to plain git if gh is not available. GitLab, Bitbucket, ssh and file://
+  remotes are cloned with plain git (uses your ssh keys / credential helper).
+  Map self-hosted hosts with GIT_PROVIDER_HOSTS="git.acme.dk=gitlab".
 
 Examples:
   node src/index.js webhousecode/fysiodk-aalborg-sport     # Private repo via gh
   node src/index.js shadcn-ui/ui                           # Public repo shorthand
   node src/index.js https://github.com/shadcn-ui/ui       # Full URL
+  node src/index.js https://gitlab.com/group/sub/repo     # GitLab (nested groups)
+  node src/index.js git@bitbucket.org:team/repo.git       # Bitbucket over ssh
   node src/index.js /path/to/local/repo                    # Local repo
   node src/index.js --batch repos.txt --output combined.json
+  node src/index.js --batch repos.txt -c 4 --timeout 300 --allow-failures
   `);
   process.exit(0);
 }
 
-async function processRepo(repoInput) {
-  const log = (msg) => values.verbose && console.log(`[INFO] ${msg}`);
-  const warn = (msg) => console.warn(`[WARN] ${msg}`);
+if (values.classifier !== 'heuristic' && values.classifier !== 'http') {
+  console.error(`[ERROR] Unknown classifier "${values.classifier}" (expected heuristic or http)`);
+  process.exit(1);
+}
 
-  try {
-    // Step 1: Clone or locate repo
-    let repoPath;
-    let repoInfo;
-
-    // Determine if input is local path or remote repo
-    // Priority: absolute local path > GitHub URL/shorthand > relative local path
-    const looksLikeGitHub = repoInput.includes('github.com') || parseRepoIdentifier(repoInput);
-    const isLocal = isLocalRepo(repoInput) && !looksLikeGitHub;
-
-    if (isLocal) {
-      repoPath = resolve(repoInput);
-      repoInfo = getRepoInfo(repoPath);
-      log(`Using local repo: ${repoPath}`);
-    } else {
-      log(`Cloning ${repoInput}...`);
-      const result = await cloneRepo(repoInput);
-      repoPath = result.path;
-      repoInfo = result.info;
-      log(`Cloned to: ${repoPath}`);
-    }
+let store = null;
+try {
+  store = values.store ? parseStoreTarget(values.store) : null;
+} catch (error) {
+  console.error(`[ERROR] ${error.message}`);
+  process.exit(1);
+}
+
+const languagePackPaths = [
+  ...(process.env.LANGUAGE_PACKS || '').split(',').map(p => p.trim()).filter(Boolean),
+  ...values['language-pack'],
+];
+let languagePacks = [];
+try {
+  languagePacks = loadLanguagePacks(languagePackPaths);
+} catch (error) {
+  console.error(`[ERROR] ${error.message}`);
+  process.exit(1);
+}
+if (values.verbose && languagePacks.length > 0) {
+  console.log(`[INFO] Language packs loaded: ${languagePacks.join(', ')}`);
+}
 
-    // Step 2: Detect tech stack
-    log('Detecting stack...');
-    const stack = await detectStack(repoPath);
-    log(`Stack detected: ${stack.map(s => s.name).join(', ') || 'unknown'}`);
+const classifier = values.classifier === 'http'
+  ? createHttpClassifier({
+    url: process.env.CLASSIFIER_URL || 'http://localhost:11434/v1',
+    model: process.env.CLASSIFIER_MODEL || 'llama3.1',
+    apiKey: process.env.CLASSIFIER_API_KEY,
+    timeoutMs: (parseInt(process.env.CLASSIFIER_TIMEOUT, 10) || 30) * 1000,
+    budgetMs: (parseInt(process.env.CLASSIFIER_BUDGET, 10) || 600) * 1000,
+  }, heuristicClassifier)
+  : heuristicClassifier;
 
-    // Step 3: Discover knowledge-bearing files
-    log('Discovering knowledge files...');
-    const files = await discoverFiles(repoPath);
-    log(`Found ${files.length} knowledge sources`);
+/**
+ * Identity of a repo in the store: host plus path of its remote (the same repo
+ * whether cloned or checked out locally), the remote URL when the host is
+ * unknown, or the absolute path of a local repo without a remote. owner/name
+ * alone is ambiguous across hosts and between local directories.
+ * @param {string} repoInput
+ * @returns {string}
+ */
+function storeKey(repoInput) {
+  // Same precedence as processRepo: a parseable remote wins over a local directory
+  const remote = parseRepoIdentifier(repoInput);
+  if (remote) return `${remote.host}/${remote.owner}/${remote.name}`;
+  if (!isLocalRepo(repoInput)) return stripCredentials(repoInput);
 
-    if (files.length === 0) {
-      warn('No knowledge-bearing files found in this repo');
-      return [];
+  const repoPath = resolve(repoInput);
+  const info = getRepoInfo(repoPath);
+  if (info.host) return `${info.host}/${info.owner}/${info.name}`;
+  return info.url || repoPath;
+}
+
+/**
+ * Run the full pipeline for one repo. Throws on failure so the caller can
+ * tell a broken repo apart from one with no knowledge.
+ * @param {string} repoInput
+ * @param {{ signal?: AbortSignal, prefix?: string }} [options]
+ * @returns {Promise<{ fragments: Array, status: 'ok'|'cached'|'empty', attempts: number, repo: string, sha: string|null }>}
+ */
+async function processRepo(repoInput, { signal, prefix = '' } = {}) {
+  const log = (msg) => values.verbose && console.log(`[INFO] ${prefix}${msg}`);
+  const warn = (msg) => console.warn(`[WARN] ${prefix}${msg}`);
+  // A timed-out repo keeps running until its next await — stop it at each step
+  // so it can't write the cache or log as if it had finished
+  const checkpoint = () => signal?.throwIfAborted();
+  let attempts = 0;
+
+  // Step 1: Clone or locate repo
+  let repoPath;
+  let repoInfo;
+  let cacheKey;
+  let cached = null;
+
+  const analyzeSource = values['analyze-source'] || process.env.ANALYZE_SOURCE_CODE === 'true';
+  const mode = [
+    'docs',
+    analyzeSource && 'source',
+    values.atomic && 'atomic',
+    classifier !== heuristicClassifier && classifier.name,
+    languagePacks.length > 0 && `lang:${languagePacksFingerprint()}`,
+  ]
+    .filter(Boolean)
+    .join('+');
+  const useCache = !values['no-cache'];
+
+  // Determine if input is local path or remote repo
+  // Priority: absolute local path > remote URL/shorthand > relative local path
+  const remote = parseRepoIdentifier(repoInput);
+  const isLocal = isLocalRepo(repoInput) && !remote;
+
+  if (isLocal) {
+    repoPath = resolve(repoInput);
+    repoInfo = getRepoInfo(repoPath);
+    cacheKey = repoPath;
+    cached = useCache ? await loadCache(cacheKey) : null;
+    const sha = localHeadSha(repoPath);
+    if (isUnchanged(cached, sha, mode) && !isDirty(repoPath)) {
+      log(`Unchanged since last run (${sha.substring(0, 7)}) — reusing ${cached.fragments.length} cached fragments`);
+      return { fragments: cached.fragments, status: 'cached', attempts, repo: `${repoInfo.owner}/${repoInfo.name}`, sha };
+    }
+    log(`Using local repo: ${repoPath}`);
+  } else {
+    cacheKey = remote ? `${remote.host}/${remote.owner}/${remote.name}` : repoInput;
+    cached = useCache ? await loadCache(cacheKey) : null;
+    // Compare the remote HEAD before paying for a clone
+    if (cached && remote) {
+      const sha = await remoteHeadSha(remote.cloneUrl, signal);
+      if (isUnchanged(cached, sha, mode)) {
+        log(`Unchanged since last run (${sha.substring(0, 7)}) — reusing ${cached.fragments.length} cached fragments`);
+        return { fragments: cached.fragments, status: 'cached', attempts, repo: `${remote.owner}/${remote.name}`, sha };
+      }
     }
+    log(`Cloning ${stripCredentials(repoInput)}...`);
+    const result = await cloneRepo(repoInput, { retries: parseInt(values.retries, 10), signal });
+    repoPath = result.path;
+    repoInfo = result.info;
+    attempts = result.attempts;
+    log(`Cloned to: ${repoPath}`);
+  }
+
+  checkpoint();
+  const sha = localHeadSha(repoPath);
+  const repoName = `${repoInfo.owner}/${repoInfo.name}`;
+  if (!isLocal && isUnchanged(cached, sha, mode)) {
+    log(`Unchanged since last run (${sha.substring(0, 7)}) — reusing ${cached.fragments.length} cached fragments`);
+    return { fragments: cached.fragments, status: 'cached', attempts, repo: repoName, sha };
+  }
+
+  // Step 2: Detect tech stack
+  log('Detecting stack...');
+  const stackMap = await detectStack(repoPath);
+  log(`Stack detected: ${stackMap.stack.map(s => s.name).join(', ') || 'unknown'}`);
+  const packageCount = Object.keys(stackMap.packages).length;
+  if (packageCount > 0) log(`Per-package stacks for ${packageCount} packages`);
+
+  // Step 3: Discover knowledge-bearing files
+  checkpoint();
+  log('Discovering knowledge files...');
+  const files = await discoverFiles(repoPath);
+  log(`Found ${files.length} knowledge sources`);
+
+  if (files.length === 0 && !analyzeSource) {
+    warn('No knowledge-bearing files found in this repo');
+    return { fragments: [], status: 'empty', attempts, repo: repoName, sha };
+  }
+
+  // Step 4: Extract raw knowledge blocks — only from files that changed since the cached run
+  const hashes = await hashFiles(files);
+  const context = JSON.stringify([stackMap, repoInfo.url, repoInfo.ref, mode]);
+  const { changed, reused } = partitionFiles(files, hashes, cached, context);
+  if (reused.size > 0) {
+    log(`Reusing cached fragments for ${reused.size} unchanged files`);
+  }
+
+  checkpoint();
+  log('Extracting knowledge...');
+  const rawBlocks = redactBlocks(await extractKnowledge(changed, repoPath, { atomic: values.atomic }));
+  log(`Extracted ${rawBlocks.length} raw knowledge blocks from ${changed.length} files`);
+  logRedactions(rawBlocks, warn);
+
+  // Step 5: Classify and structure into Knowledge Fragments
+  checkpoint();
+  log('Classifying fragments...');
+  const fresh = await classifyFragments(rawBlocks, stackMap, repoInfo, { classifier });
+
+  // Reassemble in discovery order, keeping per-file fragments for the next run
+  const fileEntries = {};
+  for (const file of files) {
+    fileEntries[file.relativePath] = {
+      hash: hashes.get(file.relativePath) || '',
+      fragments: reused.get(file.relativePath) || fresh.filter(f => f.source.file === file.relativePath),
+    };
+  }
+  const fragments = Object.values(fileEntries).flatMap(entry => entry.fragments);
 
-    // Step 4: Extract raw knowledge blocks
-    log('Extracting knowledge...');
-    const rawBlocks = await extractKnowledge(files, repoPath);
-    log(`Extracted ${rawBlocks.length} raw knowledge blocks`);
+  // Step 5b: Infer patterns from source code (opt-in, slower — always re-run for a new SHA)
+  if (analyzeSource) {
+    checkpoint();
+    log('Analyzing source code patterns...');
+    const { blocks, sourceFiles } = await analyzeSourceCode(repoPath);
+    if (sourceFiles === 0) log('Source analysis covers JavaScript and TypeScript only — no .js/.ts files found, skipping');
+    const codeBlocks = redactBlocks(blocks);
+    logRedactions(codeBlocks, warn);
+    fragments.push(...await classifyFragments(codeBlocks, stackMap, repoInfo, { classifier }));
+    log(`Inferred ${codeBlocks.length} code-derived blocks`);
+  }
 
-    // Step 5: Classify and structure into Knowledge Fragments
-    log('Classifying fragments...');
-    const fragments = classifyFragments(rawBlocks, stack, repoInfo);
-    log(`Produced ${fragments.length} Knowledge Fragments`);
+  checkpoint();
+  log(`Produced ${fragments.length} Knowledge Fragments`);
 
-    return fragments;
-  } catch (error) {
-    console.error(`[ERROR] Failed to process ${repoInput}: ${error.message}`);
-    return [];
+  if (useCache && sha) {
+    await saveCache(cacheKey, { sha, mode, context, files: fileEntries, fragments });
   }
+
+  return { fragments, status: fragments.length > 0 ? 'ok' : 'empty', attempts, repo: repoName, sha };
+}
+
+/**
+ * Name where values were masked — never the values themselves
+ * @param {import('./extract.js').RawKnowledgeBlock[]} blocks
+ * @param {(msg: string) => void} warn
+ */
+function logRedactions(blocks, warn) {
+  for (const block of blocks.filter(b => b.redactions)) {
+    warn(`Redacted ${block.redactions} value(s) in ${block.file}:${block.lineStart} (${redactedKinds(`${block.breadcrumb || block.section}\n${block.content}`).join(', ')})`);
+  }
+}
+
+/**
+ * A cached run can be reused when it was made at the same commit in the same mode
+ * @param {import('./cache.js').CacheEntry | null} cached
+ * @param {string | null} sha
+ * @param {string} mode
+ * @returns {boolean}
+ */
+function isUnchanged(cached, sha, mode) {
+  return Boolean(cached && sha && cached.sha === sha && cached.mode === mode);
 }
 
 async function main() {
   console.log('[INFO] CPM Knowledge Extractor v0.1.0\n');
 
+  // Fail before extracting anything when the store can't be opened (old Node, newer schema)
+  if (store) (await openStore(store.path)).close();
+
   let repos = [];
 
   if (values.batch) {
@@ -127,28 +403,329 @@ async function main() {
     repos = positionals;
   }
 
-  let allFragments = [];
+  const concurrency = Math.max(1, parseInt(values.concurrency, 10) || 1);
+  const timeoutMs = Math.max(0, parseInt(values.timeout, 10) || 0) * 1000;
+  const startedAt = new Date();
+
+  const results = await runPool(repos, async (input) => {
+    // What gets logged and reported — never a token embedded in the URL
+    const repo = stripCredentials(input);
+    const key = storeKey(input);
+    const prefix = concurrency > 1 ? `[${repo}] ` : '';
+    if (concurrency === 1) {
+      console.log(`\n[INFO] Processing: ${repo}`);
+      console.log('[INFO] ' + '\u2500'.repeat(60));
+    }
+
+    const started = Date.now();
+    try {
+      const result = await withTimeout(signal => processRepo(input, { signal, prefix }), timeoutMs);
+      console.log(`[INFO] ${prefix}\u2713 ${result.fragments.length} fragments extracted${result.status === 'cached' ? ' (cached)' : ''}`);
+      return {
+        repo,
+        key,
+        name: result.repo,
+        sha: result.sha,
+        status: result.status,
+        durationMs: Date.now() - started,
+        fragments: result.fragments.length,
+        redactions: result.fragments.reduce((sum, f) => sum + (f.redactions || 0), 0),
+        attempts: result.attempts,
+        error: null,
+        fragmentList: result.fragments,
+      };
+    } catch (error) {
+      const message = stripCredentials(error.message);
+      console.error(`[ERROR] Failed to process ${repo}: ${message}`);
+      return {
+        repo,
+        key,
+        status: error.code === 'REPO_TIMEOUT' ? 'timeout' : 'failed',
+        durationMs: Date.now() - started,
+        fragments: 0,
+        redactions: 0,
+        attempts: error.attempts || 0,
+        error: message,
+        fragmentList: [],
+      };
+    }
+  }, concurrency);
+
+  let allFragments = results.flatMap(r => r.fragmentList);
+
+  if (classifier.stats) {
+    console.log(`[INFO] Classifier ${classifier.name}: ${classifier.stats.answered} answered, ${classifier.stats.fallbacks} fell back to heuristics`);
+  }
+
+  // Merge near-duplicates across repos; agreement raises confidence
+  if (!values['no-dedupe'] && allFragments.length > 0) {
+    const before = allFragments.length;
+    allFragments = mergeDuplicates(allFragments, { threshold: parseFloat(values['dedupe-threshold']) });
+    console.log(`[INFO] Merged ${before} fragments into ${allFragments.length} (near-duplicates combined)`);
+  }
 
-  for (const repo of repos) {
-    console.log(`\n[INFO] Processing: ${repo}`);
-    console.log('[INFO] ' + '\u2500'.repeat(60));
-    const fragments = await processRepo(repo);
-    allFragments = allFragments.concat(fragments);
-    console.log(`[INFO] \u2713 ${fragments.length} fragments extracted`);
+  // Flag instructions that contradict each other (within or across repos)
+  const contradictions = findContradictions(allFragments);
+  if (contradictions.length > 0) {
+    console.log(`[WARN] Found ${contradictions.length} likely contradiction(s) between fragments`);
   }
 
-  // Write output
-  if (allFragments.length > 0) {
+  // Upsert into the knowledge bank — per-repo fragments, before cross-repo merging
+  if (store) {
+    const stats = await writeStore(store.path, results.map(r => ({
+      key: r.key,
+      repo: r.name || r.repo,
+      input: r.repo,
+      sha: r.sha,
+      status: r.status,
+      fragments: r.fragmentList,
+      error: r.error,
+    })), { startedAt });
+    console.log(`\n[INFO] \u2713 Stored in ${store.path}: ${stats.added} added, ${stats.updated} updated, ${stats.unchanged} unchanged, ${stats.stale} marked stale${stats.renamed ? ` (${stats.renamed} kept under a new ID)` : ''}`);
+  }
+
+  // Write output — with --store, only when a file is asked for explicitly
+  if (allFragments.length === 0) {
+    console.log('\n[WARN] No Knowledge Fragments extracted from any repo');
+  } else if (!store || values.output) {
     const outputPath = values.output || undefined;
-    const written = await writeOutput(allFragments, { path: outputPath, format: values.format });
+    const written = await writeOutput(allFragments, { path: outputPath, format: values.format || 'json', contradictions });
     console.log(`\n[INFO] \u2713 Total: ${allFragments.length} Knowledge Fragments`);
     console.log(`[INFO] \u2713 Written to: ${written}`);
+  }
+
+  // Write run report
+  const report = buildRunReport(results.map(({ fragmentList, ...r }) => r), { startedAt, concurrency, timeoutMs });
+  const reportPath = await writeRunReport(report, values.report || undefined);
+  console.log(`[INFO] Run report: ${reportPath}`);
+
+  if (report.totals.failed > 0) {
+    console.error(`[ERROR] ${report.totals.failed} of ${report.totals.repos} repos failed`);
+    if (!values['allow-failures']) process.exitCode = 1;
+  }
+
+  if (values['fail-on-secrets'] && report.totals.redactions > 0) {
+    console.error(`[ERROR] ${report.totals.redactions} secret(s) or personal data value(s) were redacted — remove them from the source files:`);
+    for (const fragment of results.flatMap(r => r.fragmentList).filter(f => f.redactions)) {
+      console.error(`  ${fragment.source.repo}/${fragment.source.file}:${fragment.source.line}  ${redactedKinds(`${fragment.breadcrumb || fragment.title}\n${fragment.fullContent}`).join(', ')}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * `eval` command: benchmark the classifier and keep/drop filter on the labeled corpus
+ */
+async function evalCommand() {
+  const report = await runEval({ corpusDir: values.corpus || DEFAULT_CORPUS_DIR, classifier });
+  let baseline;
+  if (values.baseline) {
+    baseline = JSON.parse(readFileSync(values.baseline, 'utf-8'));
+  }
+  printEvalReport(report, baseline);
+  if (values.output) {
+    await writeFile(values.output, JSON.stringify(report, null, 2), 'utf-8');
+    console.log(`[INFO] Eval report written to: ${values.output}`);
+  }
+}
+
+/**
+ * Query filters from the command line (shared by query and generate)
+ * @returns {import('./query.js').QueryFilters}
+ */
+function queryFilters() {
+  const list = value => value.split(',').map(v => v.trim()).filter(Boolean);
+  return {
+    stack: values.stack,
+    category: list(values.category),
+    type: list(values.type),
+    confidence: values.confidence,
+    tag: values.tag,
+    repo: list(values.repo),
+    search: values.search,
+  };
+}
+
+/**
+ * `query` command: filter and search fragments, print a table, JSON or Markdown
+ */
+async function queryCommand() {
+  const sources = positionals.slice(1);
+  if (sources.length === 0 && values.store) sources.push(values.store);
+  if (sources.length === 0) {
+    throw new Error('query needs at least one fragments file or sqlite:<path> (or STORE)');
+  }
+
+  const fragments = await loadFragments(sources, { includeStale: values['include-stale'] });
+  const results = queryFragments(fragments, queryFilters());
+
+  const limit = Math.max(0, parseInt(values.limit, 10) || 0);
+  console.log(formatResults(limit > 0 ? results.slice(0, limit) : results, values.format || 'table'));
+  if (limit > 0 && results.length > limit && values.format !== 'json') {
+    console.error(`[INFO] Showing ${limit} of ${results.length} matches (--limit 0 for all)`);
+  }
+}
+
+/**
+ * `pack` command: the context block a Prompt Contract would receive for a task
+ */
+async function packCommand() {
+  const [, task, ...sources] = positionals;
+  if (!task) {
+    throw new Error('pack needs a task description, e.g. pack "add Stripe checkout" output/acme--web.json');
+  }
+  if (sources.length === 0 && values.store) sources.push(values.store);
+  if (sources.length === 0) {
+    throw new Error('pack needs at least one fragments file or sqlite:<path> (or STORE)');
+  }
+
+  const stack = [...values.stack];
+  if (values.target) {
+    const stackMap = await detectStack(resolve(values.target));
+    stack.push(...stackSpecsFromItems(stackMap.stack));
+  }
+
+  const fragments = await loadFragments(sources);
+  const pack = buildPack(fragments, {
+    task,
+    stack,
+    budget: Math.max(1, parseInt(values.budget, 10) || 4000),
+    dedupeThreshold: values['dedupe-threshold'],
+  });
+
+  if (values.output) {
+    await writeFile(values.output, pack.markdown, 'utf-8');
   } else {
-    console.log('\n[WARN] No Knowledge Fragments extracted from any repo');
+    console.log(pack.markdown);
+  }
+  console.error(`[INFO] Packed ${pack.selected.length} of ${pack.candidates} relevant fragments, ~${pack.tokens} of ${values.budget} tokens${values.output ? ` → ${values.output}` : ''}`);
+}
+
+/**
+ * `generate` command: bootstrap an instruction file for a new repo from fragments
+ */
+async function generateCommand() {
+  const sources = positionals.slice(1);
+  if (sources.length === 0 && values.store) sources.push(values.store);
+  if (sources.length === 0) {
+    throw new Error('generate needs at least one fragments file or sqlite:<path> (or STORE)');
+  }
+
+  const fragments = queryFragments(await loadFragments(sources), queryFilters());
+  const format = values.format || 'claude';
+  const files = generateInstructions(fragments, { format });
+
+  if (!values.output) {
+    for (const file of files) {
+      if (files.length > 1) console.log(`<!-- file: ${file.path} -->`);
+      console.log(file.content);
+    }
+    return;
+  }
+
+  // -o is the file itself, or for Cursor the rules directory
+  const targets = files.map(file => ({
+    ...file,
+    path: format === 'cursor' ? join(values.output, basename(file.path)) : values.output,
+  }));
+  const existing = targets.filter(file => existsSync(file.path));
+  if (existing.length > 0 && !values.force) {
+    throw new Error(`Refusing to overwrite ${existing.map(f => f.path).join(', ')} (use --force)`);
+  }
+  for (const file of targets) {
+    await mkdir(dirname(file.path), { recursive: true });
+    await writeFile(file.path, file.content, 'utf-8');
+  }
+  console.error(`[INFO] Generated ${targets.map(f => f.path).join(', ')} from ${fragments.length} fragments`);
+}
+
+/**
+ * `diff` command: how a repo's knowledge changed between two output files or two refs
+ */
+async function diffCommand() {
+  const sources = positionals.slice(1);
+  let before;
+  let after;
+  let labels;
+
+  if (values.from) {
+    if (sources.length !== 1) {
+      throw new Error('diff --from needs exactly one repo, e.g. diff owner/repo --from v1.0 --to main');
+    }
+    const to = values.to || 'HEAD';
+    const { repoPath, repoInfo } = await locateRepo(sources[0]);
+    console.error(`[INFO] Extracting ${repoInfo.owner}/${repoInfo.name} at ${values.from} and ${to}...`);
+    before = await extractAtRef(repoPath, repoInfo, values.from);
+    after = await extractAtRef(repoPath, repoInfo, to);
+    labels = { from: values.from, to };
+  } else {
+    if (sources.length !== 2) {
+      throw new Error('diff needs two fragments files (or sqlite:<path>), or one repo with --from <ref>');
+    }
+    before = await loadFragments([sources[0]]);
+    after = await loadFragments([sources[1]]);
+    labels = { from: sources[0], to: sources[1] };
+  }
+
+  const diff = diffFragments(before, after);
+  const output = formatDiff(diff, values.format || 'text', labels);
+  if (values.output) {
+    await writeFile(values.output, output, 'utf-8');
+    console.error(`[INFO] Diff written to: ${values.output}`);
+  } else {
+    console.log(output);
+  }
+}
+
+/**
+ * Local path or clone for a repo input, the same way processRepo resolves it
+ * @param {string} repoInput
+ * @returns {Promise<{ repoPath: string, repoInfo: import('./clone.js').RepoInfo }>}
+ */
+async function locateRepo(repoInput) {
+  if (isLocalRepo(repoInput) && !parseRepoIdentifier(repoInput)) {
+    const repoPath = resolve(repoInput);
+    return { repoPath, repoInfo: getRepoInfo(repoPath) };
   }
+  const result = await cloneRepo(repoInput, { retries: parseInt(values.retries, 10) });
+  return { repoPath: result.path, repoInfo: result.info };
 }
 
-main().catch(err => {
+/**
+ * Steps 2-5 of processRepo for a repo as of a ref, in a throwaway worktree
+ * and without the cache
+ * @param {string} repoPath
+ * @param {import('./clone.js').RepoInfo} repoInfo
+ * @param {string} ref
+ * @returns {Promise<Object[]>} Output-shaped fragments
+ */
+async function extractAtRef(repoPath, repoInfo, ref) {
+  const checkout = checkoutRef(repoPath, ref);
+  try {
+    const info = { ...repoInfo, ref: checkout.sha };
+    const stackMap = await detectStack(checkout.path);
+    const files = await discoverFiles(checkout.path);
+    const blocks = redactBlocks(await extractKnowledge(files, checkout.path, { atomic: values.atomic }));
+    const fragments = await classifyFragments(blocks, stackMap, info, { classifier });
+    if (values['analyze-source'] || process.env.ANALYZE_SOURCE_CODE === 'true') {
+      const { blocks: sourceBlocks, sourceFiles } = await analyzeSourceCode(checkout.path);
+      if (sourceFiles === 0 && values.verbose) {
+        console.error(`[INFO] ${ref}: source analysis covers JavaScript and TypeScript only — no .js/.ts files found, skipping`);
+      }
+      const codeBlocks = redactBlocks(sourceBlocks);
+      fragments.push(...await classifyFragments(codeBlocks, stackMap, info, { classifier }));
+    }
+    if (values.verbose) console.error(`[INFO] ${ref} (${checkout.sha.substring(0, 7)}): ${fragments.length} fragments`);
+    return fragments.map(toOutputFragment);
+  } finally {
+    checkout.remove();
+  }
+}
+
+const COMMANDS = { eval: evalCommand, query: queryCommand, pack: packCommand, generate: generateCommand, diff: diffCommand };
+const command = COMMANDS[positionals[0]] || main;
+
+command().catch(err => {
   console.error(`[ERROR] ${err.message}`);
   process.exit(1);
 });
@@ -0,0 +1,178 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+/**
+ * Language packs: the natural-language vocabulary behind the keep/drop filter
+ * and the heuristic classifier. Bundled packs live in src/languages/*.json;
+ * teams add their own (or extend a bundled one) with LANGUAGE_PACKS or
+ * --language-pack. Each block is matched against the pack of its detected
+ * language plus English — technical terms ("test", "deploy", "async") show up
+ * in English whatever language the prose around them is written in.
+ */
+
+const BUNDLED_DIR = new URL('./languages/', import.meta.url);
+const FALLBACK_LANGUAGE = 'en';
+// Stopword hits needed before a block counts as written in a language other than English
+const MIN_DETECT_HITS = 2;
+
+/**
+ * @typedef {Object} LanguagePack
+ * @property {string} code - ISO 639-1 code, e.g. "de"
+ * @property {string} [name]
+ * @property {string[]} [detect] - Common words used to recognise the language
+ * @property {Object<string, string[]>} [categoryKeywords] - Category → keywords scored in content
+ * @property {Object<string, string[]>} [titleCategoryOverrides] - Category → patterns (regex source, case-insensitive) that decide the category from a section title
+ * @property {Object<string, string[]>} [typeSignals] - Type → signal words
+ * @property {string[]} [knowledgeSignals] - Words marking actionable knowledge (keep/drop filter)
+ * @property {string[]} [skipSections] - Section title patterns (regex source) that are never knowledge: changelogs, session logs
+ * @property {string[]} [boilerplate] - Content patterns (regex source) for license text and similar
+ */
+
+/**
+ * @typedef {Object} Vocabulary
+ * @property {string[]} languages - Pack codes merged into this vocabulary
+ * @property {Object<string, string[]>} categoryKeywords
+ * @property {Object<string, RegExp[]>} titleCategoryOverrides
+ * @property {Object<string, string[]>} typeSignals
+ * @property {RegExp | null} knowledgeSignal
+ * @property {RegExp[]} skipSections
+ * @property {RegExp[]} boilerplate
+ */
+
+/** @type {Map<string, LanguagePack>} */
+const packs = new Map();
+/** @type {Map<string, Vocabulary>} */
+const vocabularies = new Map();
+
+for (const file of readdirSync(BUNDLED_DIR).filter(name => name.endsWith('.json')).sort()) {
+  registerLanguagePack(JSON.parse(readFileSync(new URL(file, BUNDLED_DIR), 'utf-8')));
+}
+
+/**
+ * Add a pack; a pack whose code is already registered extends it
+ * @param {LanguagePack} pack
+ */
+export function registerLanguagePack(pack) {
+  if (!pack || typeof pack.code !== 'string' || !pack.code.trim()) {
+    throw new Error('language pack needs a "code"');
+  }
+  const code = pack.code.trim().toLowerCase();
+  const merged = packs.has(code) ? mergePacks(packs.get(code), pack) : mergePacks({ code }, pack);
+  try {
+    compile(merged, [code]);
+  } catch (error) {
+    throw new Error(`language pack "${code}": ${error.message}`);
+  }
+  packs.set(code, merged);
+  vocabularies.clear();
+}
+
+/**
+ * Load and register user packs from JSON files
+ * @param {string[]} paths
+ * @returns {string[]} Codes of the loaded packs
+ */
+export function loadLanguagePacks(paths) {
+  return paths.map(path => {
+    let pack;
+    try {
+      pack = JSON.parse(readFileSync(resolve(path), 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read language pack ${path}: ${error.message}`);
+    }
+    registerLanguagePack(pack);
+    return pack.code.trim().toLowerCase();
+  });
+}
+
+/**
+ * Short hash over every registered pack — part of the cache mode, so editing
+ * a pack re-classifies cached repos
+ * @returns {string}
+ */
+export function languagePacksFingerprint() {
+  return createHash('sha256').update(JSON.stringify([...packs.values()])).digest('hex').substring(0, 8);
+}
+
+/**
+ * Guess the language of a text from how many of each pack's common words it uses
+ * @param {string} text
+ * @returns {string} Pack code (English when nothing else stands out)
+ */
+export function detectLanguage(text) {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  let best = FALLBACK_LANGUAGE;
+  let bestHits = 0;
+
+  for (const [code, pack] of packs) {
+    if (!pack.detect?.length) continue;
+    const common = new Set(pack.detect.map(word => word.toLowerCase()));
+    const hits = words.filter(word => common.has(word)).length;
+    if (hits > bestHits) {
+      best = code;
+      bestHits = hits;
+    }
+  }
+
+  return best === FALLBACK_LANGUAGE || bestHits >= MIN_DETECT_HITS ? best : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Vocabulary for a language: its pack merged over English. Skip and
+ * boilerplate patterns come from every pack — a Danish session-log heading
+ * is noise even when the log itself is written in English.
+ * @param {string} code
+ * @returns {Vocabulary}
+ */
+export function vocabularyFor(code) {
+  if (!vocabularies.has(code)) {
+    const codes = [...new Set([FALLBACK_LANGUAGE, code])].filter(c => packs.has(c));
+    const pack = codes.map(c => packs.get(c)).reduce(mergePacks, { code });
+    const all = [...packs.values()].reduce(mergePacks, { code });
+    vocabularies.set(code, compile({ ...pack, skipSections: all.skipSections, boilerplate: all.boilerplate }, codes));
+  }
+  return vocabularies.get(code);
+}
+
+function compile(pack, codes) {
+  const regexes = sources => (sources || []).map(source => new RegExp(source, 'iu'));
+  const signals = (pack.knowledgeSignals || []).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return {
+    languages: codes,
+    categoryKeywords: pack.categoryKeywords || {},
+    titleCategoryOverrides: Object.fromEntries(
+      Object.entries(pack.titleCategoryOverrides || {}).map(([category, sources]) => [category, regexes(sources)])
+    ),
+    typeSignals: pack.typeSignals || {},
+    knowledgeSignal: signals.length > 0 ? new RegExp(signals.join('|'), 'iu') : null,
+    skipSections: regexes(pack.skipSections),
+    boilerplate: regexes(pack.boilerplate),
+  };
+}
+
+/**
+ * Union of two packs; list order is kept (first pack's entries first) since
+ * the classifier checks categories and types in order
+ */
+function mergePacks(base, extra) {
+  const list = (a, b) => [...new Set([...(a || []), ...(b || [])])];
+  const table = (a = {}, b = {}) => {
+    const merged = { ...a };
+    for (const [key, values] of Object.entries(b)) merged[key] = list(merged[key], values);
+    return merged;
+  };
+
+  return {
+    code: base.code,
+    name: base.name || extra.name,
+    detect: list(base.detect, extra.detect),
+    categoryKeywords: table(base.categoryKeywords, extra.categoryKeywords),
+    titleCategoryOverrides: table(base.titleCategoryOverrides, extra.titleCategoryOverrides),
+    typeSignals: table(base.typeSignals, extra.typeSignals),
+    knowledgeSignals: list(base.knowledgeSignals, extra.knowledgeSignals),
+    skipSections: list(base.skipSections, extra.skipSections),
+    boilerplate: list(base.boilerplate, extra.boilerplate),
+  };
+}
@@ -0,0 +1,156 @@
+import { CATEGORIES, TYPES } from './classify.js';
+
+/**
+ * Classifier backend that asks an OpenAI-compatible chat completions endpoint
+ * (OpenAI, a local Ollama or llama.cpp server, vLLM, ...) for category, type,
+ * title and summary. Answers that don't fit the schema — and failed requests —
+ * fall back to the given classifier for that block. After a timeout or a
+ * connection error, or once the run's time budget is spent, every remaining
+ * block goes to the fallback without asking.
+ */
+
+const MAX_CONTENT_CHARS = 4000;
+
+const SYSTEM_PROMPT = `You classify snippets of coding instructions and documentation from software repositories.
+Answer with a single JSON object and nothing else:
+{"category": string, "type": string, "title": string, "summary": string}
+
+category — one of: ${CATEGORIES.join(', ')}
+type — one of:
+  rule: something that must or must not be done
+  anti-pattern: something to avoid, or a wrong way shown as a warning
+  pattern: a recommended way to implement something, often with an example
+  convention: a style or naming preference
+title — at most 12 words, no Markdown, stating what the snippet asks for
+summary — one sentence, at most 40 words`;
+
+/**
+ * @typedef {Object} HttpClassifierOptions
+ * @property {string} url - Base URL of the API, e.g. http://localhost:11434/v1
+ * @property {string} model
+ * @property {string} [apiKey]
+ * @property {number} [timeoutMs] - Per request (default 30000)
+ * @property {number} [budgetMs] - For all requests of the run together, from the first one (default 600000)
+ */
+
+/**
+ * @param {HttpClassifierOptions} options
+ * @param {import('./classify.js').Classifier} fallback
+ * @returns {import('./classify.js').Classifier & { stats: { answered: number, fallbacks: number } }}
+ */
+export function createHttpClassifier(options, fallback) {
+  const endpoint = `${options.url.replace(/\/+$/, '')}/chat/completions`;
+  const stats = { answered: 0, fallbacks: 0 };
+  const budgetMs = options.budgetMs ?? 600000;
+  let deadline = null;
+  let warned = false;
+  let gaveUp = false;
+
+  const giveUp = (reason) => {
+    if (gaveUp) return;
+    gaveUp = true;
+    console.warn(`[WARN] Classifier ${endpoint}: ${reason} — using heuristics for the rest of the run`);
+  };
+
+  return {
+    name: `http:${options.model}`,
+    stats,
+    async classify(block) {
+      deadline ??= Date.now() + budgetMs;
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) giveUp(`time budget of ${budgetMs / 1000}s spent`);
+      if (gaveUp) {
+        stats.fallbacks++;
+        return fallback.classify(block);
+      }
+
+      try {
+        const result = await requestClassification(endpoint, options, block, Math.min(options.timeoutMs || 30000, remaining));
+        stats.answered++;
+        return result;
+      } catch (error) {
+        stats.fallbacks++;
+        // A slow or unreachable endpoint won't recover mid-run — stop paying the timeout per block
+        if (isUnreachable(error)) {
+          giveUp(error.name === 'TimeoutError' ? 'request timed out' : `unreachable (${error.cause?.message || error.message})`);
+        } else if (!warned) {
+          console.warn(`[WARN] Classifier ${endpoint} failed (${error.message}) — using heuristics for affected blocks`);
+          warned = true;
+        }
+        return fallback.classify(block);
+      }
+    },
+  };
+}
+
+/**
+ * Timeouts and connection failures, as opposed to answers we couldn't use
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isUnreachable(error) {
+  return error.name === 'TimeoutError' || (error instanceof TypeError && error.message === 'fetch failed');
+}
+
+async function requestClassification(endpoint, options, block, timeoutMs) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(options.apiKey && { Authorization: `Bearer ${options.apiKey}` }),
+    },
+    body: JSON.stringify({
+      model: options.model,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: `File: ${block.file}\nSection: ${block.breadcrumb || block.section}\n\n${block.content.substring(0, MAX_CONTENT_CHARS)}` },
+      ],
+    }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  const text = body.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') {
+    throw new Error('response has no message content');
+  }
+  return validateClassification(parseJsonAnswer(text));
+}
+
+/**
+ * Models sometimes wrap the JSON in a code fence or add a sentence around it
+ */
+function parseJsonAnswer(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('answer is not JSON');
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+/**
+ * Check an answer against the schema; throws on anything that doesn't fit
+ * @param {any} answer
+ * @returns {import('./classify.js').Classification}
+ */
+export function validateClassification(answer) {
+  if (!answer || typeof answer !== 'object') throw new Error('answer is not an object');
+
+  const category = String(answer.category || '').trim().toLowerCase();
+  const type = String(answer.type || '').trim().toLowerCase();
+  if (!CATEGORIES.includes(category)) throw new Error(`unknown category "${answer.category}"`);
+  if (!TYPES.includes(type)) throw new Error(`unknown type "${answer.type}"`);
+
+  const title = typeof answer.title === 'string' ? answer.title.replace(/[*_`#]/g, '').trim() : '';
+  const summary = typeof answer.summary === 'string' ? answer.summary.trim() : '';
+  if (!title || title.length > 120) throw new Error('title missing or too long');
+  if (summary.length > 400) throw new Error('summary too long');
+
+  return { category, type, title, ...(summary && { summary }) };
+}
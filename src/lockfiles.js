@@ -0,0 +1,163 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseJsonc } from './config-rules.js';
+
+/**
+ * Installed versions from a Node lockfile. Workspace packages can resolve a
+ * dependency to a different version than the root, so lookups take the
+ * package directory into account.
+ */
+
+/**
+ * @typedef {Object} Lockfile
+ * @property {string} type - package-lock|pnpm|yarn|bun
+ * @property {(name: string, packageDir?: string, spec?: string) => string|null} versionOf -
+ *   Installed version of a dependency of the package in packageDir ('' = repo root)
+ */
+
+/**
+ * Read the first Node lockfile found at the repo root
+ * @param {string} repoPath
+ * @returns {Promise<Lockfile|null>}
+ */
+export async function readLockfile(repoPath) {
+  const readers = [
+    ['package-lock.json', 'package-lock', parsePackageLock],
+    ['pnpm-lock.yaml', 'pnpm', parsePnpmLock],
+    ['yarn.lock', 'yarn', parseYarnLock],
+    ['bun.lock', 'bun', parseBunLock],
+  ];
+
+  for (const [file, type, parse] of readers) {
+    let content;
+    try {
+      content = await readFile(join(repoPath, file), 'utf-8');
+    } catch {
+      continue; // Not this package manager
+    }
+    try {
+      return { type, versionOf: parse(content) };
+    } catch (error) {
+      console.warn(`[WARN] Could not parse ${file}: ${error.message}`);
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * package-lock.json v2/v3 ("packages" keyed by node_modules path) or v1 ("dependencies")
+ */
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const packages = lock.packages || {};
+  const legacy = lock.dependencies || {};
+
+  return (name, packageDir = '') => {
+    const nested = packageDir && packages[`${packageDir}/node_modules/${name}`];
+    return (nested || packages[`node_modules/${name}`])?.version || legacy[name]?.version || null;
+  };
+}
+
+const DEPENDENCY_TYPES = /^(dev|optional)?[dD]ependencies$/;
+
+/**
+ * pnpm-lock.yaml: per-importer dependency versions (v5 inline, v6+ nested "version:"),
+ * plus single-project lockfiles that list dependencies at the top level
+ */
+function parsePnpmLock(content) {
+  const importers = new Map();
+  let section = null;
+  let importer = '.';
+  let dependencyType = null;
+  let dependency = null;
+
+  const record = (name, version) => {
+    if (!importers.has(importer)) importers.set(importer, new Map());
+    // Strip peer suffixes: 14.1.0(react@18.2.0) → 14.1.0
+    const clean = String(version).replace(/^['"]|['"]$/g, '').replace(/\(.*$/, '').replace(/_.*$/, '');
+    if (!clean.startsWith('link:')) importers.get(importer).set(name, clean);
+  };
+
+  for (const line of content.split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const indent = line.match(/^ */)[0].length;
+    const [, rawKey, value] = line.trim().match(/^(.+?):(?:\s+(.*))?$/) || [];
+    if (!rawKey) continue;
+    const key = rawKey.replace(/^['"]|['"]$/g, '');
+
+    if (indent === 0) {
+      section = key;
+      importer = '.';
+      dependencyType = DEPENDENCY_TYPES.test(key) ? key : null;
+      dependency = null;
+      continue;
+    }
+
+    // importers:            (top level: dependencies:)
+    //   apps/web:
+    //     dependencies:
+    //       next: 14.1.0    (v5)   or   next:\n  version: 14.1.0(react@18.2.0)  (v6+)
+    const inImporters = section === 'importers';
+    const typeIndent = inImporters ? 4 : 0;
+    if (inImporters && indent === 2) {
+      importer = key;
+      dependencyType = null;
+    } else if (inImporters && indent === typeIndent) {
+      dependencyType = DEPENDENCY_TYPES.test(key) ? key : null;
+      dependency = null;
+    } else if (dependencyType && indent === typeIndent + 2) {
+      dependency = key;
+      if (value) record(key, value);
+    } else if (dependencyType && dependency && indent === typeIndent + 4 && key === 'version' && value) {
+      record(dependency, value);
+    }
+  }
+
+  return (name, packageDir = '') => importers.get(packageDir || '.')?.get(name) || importers.get('.')?.get(name) || null;
+}
+
+/**
+ * yarn.lock v1 and Berry: entries keyed by "name@range" descriptors
+ */
+function parseYarnLock(content) {
+  const byDescriptor = new Map();
+  const byName = new Map();
+  let descriptors = [];
+
+  for (const line of content.split('\n')) {
+    if (/^\S.*:$/.test(line) && !line.startsWith('#') && !line.startsWith('__metadata')) {
+      descriptors = line.slice(0, -1).split(/,\s*/).map(d => d.trim().replace(/^"|"$/g, ''));
+      continue;
+    }
+    const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/)?.[1];
+    if (!version || descriptors.length === 0) continue;
+    for (const descriptor of descriptors) {
+      const at = descriptor.lastIndexOf('@');
+      if (at <= 0) continue;
+      const name = descriptor.slice(0, at);
+      const range = descriptor.slice(at + 1).replace(/^npm:/, '');
+      byDescriptor.set(`${name}@${range}`, version);
+      if (!byName.has(name)) byName.set(name, version);
+    }
+    descriptors = [];
+  }
+
+  return (name, packageDir, spec) => (spec && byDescriptor.get(`${name}@${spec}`)) || byName.get(name) || null;
+}
+
+/**
+ * bun.lock (text format): "packages": { "next": ["next@14.1.0", ...] }
+ */
+function parseBunLock(content) {
+  const lock = parseJsonc(content);
+  const packages = lock.packages || {};
+
+  return (name, packageDir = '') => {
+    // Workspace-specific resolutions are keyed "<workspace name>/<dep>"
+    const workspaceName = packageDir && lock.workspaces?.[packageDir]?.name;
+    const entry = (workspaceName && packages[`${workspaceName}/${name}`]) || packages[name];
+    const resolved = Array.isArray(entry) ? entry[0] : null;
+    return resolved ? resolved.slice(resolved.lastIndexOf('@') + 1) : null;
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * Minimal Markdown/MDX block tokenizer — just enough structure for extraction:
+ * front matter, fenced code, HTML comments, ATX (#–######) and setext headings,
+ * and the heading hierarchy each line sits under.
+ */
+
+/**
+ * @typedef {Object} MarkdownSection
+ * @property {string|null} title - Heading text (null for content before the first heading)
+ * @property {number} level - Heading level 1–6 (0 for the preamble)
+ * @property {string[]} breadcrumb - Headings from the top level down to this one
+ * @property {number} lineStart - 1-based line of the heading (or first body line)
+ * @property {number} lineEnd - 1-based last line of the section
+ * @property {string} content - Section text including its heading
+ */
+
+/**
+ * @typedef {Object} FrontMatter
+ * @property {Object<string, any>} data - Parsed key/values
+ * @property {string} raw
+ * @property {number} lineStart
+ * @property {number} lineEnd
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(={3,}|-{3,})[ \t]*$/;
+const NOT_PARAGRAPH = /^\s*([-*+]\s|\d+[.)]\s|>|\||<|#)/;
+
+/**
+ * Split a Markdown/MDX document into heading-delimited sections
+ * @param {string} content
+ * @param {{ mdx?: boolean }} [options] - mdx: drop top-level import/export lines
+ * @returns {{ frontMatter: FrontMatter | null, sections: MarkdownSection[] }}
+ */
+export function parseMarkdown(content, options = {}) {
+  const lines = content.split('\n');
+  const frontMatter = readFrontMatter(lines);
+  const bodyStart = frontMatter ? frontMatter.lineEnd : 0;
+
+  // Docs sites often put the page title in front matter instead of an H1
+  const rootTitle = typeof frontMatter?.data.title === 'string' ? frontMatter.data.title : null;
+  const trail = rootTitle ? [{ level: 0, title: rootTitle }] : [];
+
+  const sections = [];
+  let current = newSection(null, 0, trail, bodyStart + 1);
+  let fence = null;
+  let inComment = false;
+
+  const close = (lineEnd) => {
+    current.lineEnd = lineEnd;
+    sections.push(current);
+  };
+
+  for (let i = bodyStart; i < lines.length; i++) {
+    const line = lines[i];
+    const lineNumber = i + 1;
+
+    // Fenced code: nothing inside is structure
+    if (fence) {
+      current.lines.push(line);
+      const closing = line.match(FENCE);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && line.trim() === closing[1]) {
+        fence = null;
+      }
+      continue;
+    }
+    const opening = line.match(FENCE);
+    if (opening) {
+      fence = opening[1];
+      current.lines.push(line);
+      continue;
+    }
+
+    // HTML comments can hide headings
+    if (inComment || /^\s*<!--/.test(line)) {
+      inComment = !line.includes('-->');
+      current.lines.push(line);
+      continue;
+    }
+
+    if (options.mdx && /^(import|export)\s/.test(line)) continue;
+
+    const atx = line.match(ATX_HEADING);
+    if (atx) {
+      const level = atx[1].length;
+      const title = (atx[2] || '').trim();
+      close(lineNumber - 1);
+      current = newSection(title, level, pushTrail(trail, level, title), lineNumber);
+      current.lines.push(line);
+      continue;
+    }
+
+    // Setext heading: the previous paragraph line underlined with === or ---
+    const setext = line.match(SETEXT_UNDERLINE);
+    const previous = current.lines[current.lines.length - 1];
+    if (setext && previous && previous.trim() && !NOT_PARAGRAPH.test(previous) && !FENCE.test(previous)) {
+      const level = setext[1][0] === '=' ? 1 : 2;
+      const title = previous.trim();
+      current.lines.pop();
+      close(lineNumber - 2);
+      current = newSection(title, level, pushTrail(trail, level, title), lineNumber - 1);
+      current.lines.push(previous, line);
+      continue;
+    }
+
+    current.lines.push(line);
+  }
+  close(lines.length);
+
+  return {
+    frontMatter,
+    sections: sections
+      .filter(section => section.lines.length > 0)
+      .map(({ lines: sectionLines, ...section }) => ({ ...section, content: sectionLines.join('\n') })),
+  };
+}
+
+/**
+ * Parse front matter delimited by --- (YAML) or +++ (TOML) on the first line
+ * @param {string[]} lines
+ * @returns {FrontMatter | null}
+ */
+function readFrontMatter(lines) {
+  const delimiter = lines[0]?.trim();
+  if (delimiter !== '---' && delimiter !== '+++') return null;
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === delimiter || (delimiter === '---' && line === '...')) {
+      const raw = lines.slice(1, i).join('\n');
+      return { data: parseFrontMatter(raw), raw, lineStart: 1, lineEnd: i + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the flat subset of YAML (and TOML key = value) that front matter uses:
+ * scalars, quoted strings, booleans, numbers, inline [a, b] lists and "- item" lists.
+ * Nested maps are kept as their raw text.
+ * @param {string} raw
+ * @returns {Object<string, any>}
+ */
+export function parseFrontMatter(raw) {
+  const data = {};
+  let listKey = null;
+
+  for (const line of raw.split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([\w.-]+)\s*[:=]\s*(.*)$/);
+    if (pair) {
+      const [, key, value] = pair;
+      if (value.trim() === '') {
+        data[key] = [];
+        listKey = key;
+      } else {
+        data[key] = parseScalar(value);
+        listKey = null;
+      }
+    } else if (listKey && /^\s+/.test(line)) {
+      // Nested map under a key — keep the raw text
+      const existing = data[listKey];
+      data[listKey] = (Array.isArray(existing) && existing.length === 0 ? '' : existing + '\n') + line.trim();
+    }
+  }
+
+  return data;
+}
+
+function parseScalar(value) {
+  const v = value.trim();
+  if (/^\[.*\]$/.test(v)) {
+    return v.slice(1, -1).split(',').map(part => parseScalar(part)).filter(part => part !== '');
+  }
+  if (/^(['"]).*\1$/.test(v)) return v.slice(1, -1);
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+function newSection(title, level, trail, lineStart) {
+  // A front matter title repeated as the H1 shouldn't appear twice
+  const breadcrumb = trail.map(entry => entry.title).filter((t, i, all) => t !== all[i - 1]);
+  return { title, level, breadcrumb, lineStart, lineEnd: lineStart, lines: [] };
+}
+
+/**
+ * Replace headings at the same or deeper level, then append the new one
+ */
+function pushTrail(trail, level, title) {
+  while (trail.length > 0 && trail[trail.length - 1].level >= level) trail.pop();
+  trail.push({ level, title });
+  return trail;
+}
@@ -1,10 +1,11 @@
-import { writeFile, mkdir } from 'node:fs/promises';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { join, dirname } from 'node:path';
+import { mapIds } from './diff.js';
 
 /**
  * Write Knowledge Fragments to output file
  * @param {Array} fragments
- * @param {{ path?: string, format?: string }} options
+ * @param {{ path?: string, format?: string, contradictions?: Array }} options
  * @returns {Promise<string>} Path of written file
  */
 export async function writeOutput(fragments, options = {}) {
@@ -17,13 +18,17 @@ export async function writeOutput(fragments, options = {}) {
     outputPath = options.path;
   } else {
     // Default: output/<first-repo-name>.json
-    const repoName = fragments[0]?.source?.repo?.replace('/', '--') || 'unknown';
+    const repoName = fragments[0]?.source?.repo?.replace(/\//g, '--') || 'unknown';
     outputPath = join(outputDir, `${repoName}.${format}`);
   }
 
   // Ensure output directory exists
   await mkdir(dirname(outputPath), { recursive: true });
 
+  // Fragments whose ID changed since the file being replaced (JSON only)
+  const outputFragments = fragments.map(toOutputFragment);
+  const idMap = format === 'json' ? mapIds(await previousFragments(outputPath), outputFragments) : {};
+
   // Build output document
   const output = {
     metadata: {
@@ -31,20 +36,15 @@ export async function writeOutput(fragments, options = {}) {
       version: '0.1.0',
       totalFragments: fragments.length,
       sources: [...new Set(fragments.map(f => f.source.repo))],
-      stackDetected: fragments[0]?.stack || [],
+      // Merged fragments carry each source's stack in sources[]
+      stackDetected: [...new Set(fragments.flatMap(f => (f.sources ? f.sources.flatMap(source => source.stack) : f.stack)))],
+      totalContradictions: options.contradictions?.length || 0,
+      totalRedactions: fragments.reduce((sum, f) => sum + (f.redactions || 0), 0),
+      changedIds: Object.keys(idMap).length,
     },
-    fragments: fragments.map(f => ({
-      id: f.id,
-      stack: f.stack,
-      category: f.category,
-      type: f.type,
-      title: f.title,
-      description: f.description,
-      example: f.example,
-      source: f.source,
-      confidence: f.confidence,
-      tags: f.tags,
-    })),
+    fragments: outputFragments,
+    contradictions: options.contradictions || [],
+    idMap,
   };
 
   if (format === 'json') {
@@ -61,6 +61,62 @@ export async function writeOutput(fragments, options = {}) {
   return outputPath;
 }
 
+/**
+ * Fragments of an earlier JSON output at the same path, if there is one
+ * @param {string} path
+ * @returns {Promise<Object[]>}
+ */
+async function previousFragments(path) {
+  try {
+    const previous = JSON.parse(await readFile(path, 'utf-8'));
+    return Array.isArray(previous.fragments) ? previous.fragments : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Public shape of a fragment — what output files and the store contain
+ * (internal fields such as fullContent are left out)
+ * @param {Object} f - Fragment from classify.js / dedupe.js
+ * @returns {Object}
+ */
+export function toOutputFragment(f) {
+  return {
+    id: f.id,
+    stack: f.stack,
+    category: f.category,
+    type: f.type,
+    title: f.title,
+    description: f.description,
+    ...(f.summary && { summary: f.summary }),
+    example: f.example,
+    source: f.source,
+    confidence: f.confidence,
+    tags: f.tags,
+    ...(f.language && { language: f.language }),
+    ...(f.redactions && { redactions: f.redactions }),
+    ...(f.breadcrumb && { breadcrumb: f.breadcrumb }),
+    ...(f.parentSection && { parentSection: f.parentSection }),
+    ...(f.appliesTo && { appliesTo: f.appliesTo }),
+    ...(f.sources && { sources: f.sources }),
+    ...(f.consensus && { consensus: f.consensus }),
+  };
+}
+
+/**
+ * Write the batch run report as JSON
+ * @param {Object} report - From batch.js buildRunReport()
+ * @param {string} [path] - Defaults to <OUTPUT_DIR>/run-report.json
+ * @returns {Promise<string>} Path of written file
+ */
+export async function writeRunReport(report, path) {
+  const reportPath = path || join(process.env.OUTPUT_DIR || './output', 'run-report.json');
+  await mkdir(dirname(reportPath), { recursive: true });
+  await writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+  return reportPath;
+}
+
 function printSummary(output) {
   const { metadata, fragments } = output;
 
@@ -91,9 +147,30 @@ function printSummary(output) {
     console.log(`    ${level}: ${count}`);
   }
 
+  if (output.contradictions.length > 0) {
+    console.log(`\n  Contradictions: ${output.contradictions.length}`);
+    for (const c of output.contradictions.slice(0, 5)) {
+      const [a, b] = c.statements;
+      console.log(`    ${a.repo}:${a.file}:${a.line}  "${truncate(a.text, 50)}"`);
+      console.log(`      vs ${b.repo}:${b.file}:${b.line}  "${truncate(b.text, 50)}"`);
+    }
+    if (output.contradictions.length > 5) {
+      console.log(`    ... and ${output.contradictions.length - 5} more (see output file)`);
+    }
+  }
+
+  const changedIds = Object.keys(output.idMap).length;
+  if (changedIds > 0) {
+    console.log(`\n  Changed IDs: ${changedIds} since the previous output (see idMap)`);
+  }
+
   console.log('═'.repeat(60) + '\n');
 }
 
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
 function fragmentsToYaml(output) {
   let yaml = '# CPM Knowledge Fragments\n';
   yaml += `# Extracted: ${output.metadata.extractedAt}\n`;
@@ -108,14 +185,39 @@ function fragmentsToYaml(output) {
     yaml += `confidence: ${f.confidence}\n`;
     yaml += `stack: [${f.stack.join(', ')}]\n`;
     yaml += `tags: [${f.tags.join(', ')}]\n`;
+    if (f.language) {
+      yaml += `language: ${f.language}\n`;
+    }
+    if (f.redactions) {
+      yaml += `redactions: ${f.redactions}\n`;
+    }
     yaml += `source:\n`;
     yaml += `  repo: ${f.source.repo}\n`;
     yaml += `  file: ${f.source.file}\n`;
     yaml += `  line: ${f.source.line}\n`;
+    if (f.consensus) {
+      yaml += `consensus: { repos: ${f.consensus.repos}, fragments: ${f.consensus.fragments}, score: ${f.consensus.score} }\n`;
+    }
+    if (f.summary) {
+      yaml += `summary: "${f.summary.replace(/"/g, '\\"')}"\n`;
+    }
     yaml += `description: |\n`;
     yaml += f.description.split('\n').map(l => `  ${l}`).join('\n');
     yaml += '\n\n';
   }
 
+  for (const c of output.contradictions) {
+    yaml += `---\n`;
+    yaml += `contradiction: ${c.id}\n`;
+    yaml += `category: ${c.category}\n`;
+    yaml += `scope: ${c.scope}\n`;
+    yaml += `statements:\n`;
+    for (const st of c.statements) {
+      yaml += `  - ${st.polarity}: "${st.text.replace(/"/g, '\\"')}"\n`;
+      yaml += `    at: ${st.repo}/${st.file}:${st.line}\n`;
+    }
+    yaml += '\n';
+  }
+
   return yaml;
 }
@@ -0,0 +1,156 @@
+import { bm25Scores, tfidfVectors, cosine } from './text.js';
+import { parseVersion } from './semver.js';
+import { parseStackSpec, matchesStack, searchText, displayDescription } from './query.js';
+
+/**
+ * Context packs: the fragments a Prompt Contract would receive for a task on
+ * a target stack, ranked, de-duplicated and cut to a token budget, rendered
+ * as a Markdown block ready to paste into a prompt
+ */
+
+const CONFIDENCE_WEIGHTS = { low: 0.4, medium: 0.6, high: 0.8 };
+
+// Relative weight of task relevance, stack fit and confidence in the ranking
+const WEIGHTS = { relevance: 0.6, stack: 0.25, confidence: 0.15 };
+
+const TYPE_SECTIONS = [
+  ['rule', 'Rules'],
+  ['anti-pattern', 'Avoid'],
+  ['pattern', 'Patterns'],
+  ['convention', 'Conventions'],
+];
+
+/**
+ * @typedef {Object} PackOptions
+ * @property {string} task - What the prompt is about to do
+ * @property {string[]} [stack] - Target stack specs, e.g. ["next.js@15.x", "tailwind"]
+ * @property {number} [budget] - Token budget for the whole block (default 4000)
+ * @property {number|string} [dedupeThreshold] - Similarity (0-1) above which a fragment counts as a repeat (default 0.8); a string is parsed
+ */
+
+/**
+ * @typedef {Object} ContextPack
+ * @property {string} markdown
+ * @property {Array<Object & { packScore: number }>} selected - Fragments included, in rank order
+ * @property {number} tokens - Estimated tokens of the markdown
+ * @property {number} candidates - Fragments relevant to the task or stack
+ */
+
+/**
+ * Rough token count (≈4 characters per token for English prose and code) —
+ * close enough to budget a prompt without shipping a tokenizer
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Detected stack items as pack specs — same major version counts as a fit
+ * @param {import('./detect-stack.js').StackItem[]} items
+ * @returns {string[]}
+ */
+export function stackSpecsFromItems(items) {
+  return items.map(item => {
+    const version = parseVersion(item.version);
+    return version ? `${item.name}@${version[0]}.x` : item.name;
+  });
+}
+
+/**
+ * @param {Object[]} fragments - Loaded with query.js loadFragments()
+ * @param {PackOptions} options
+ * @returns {ContextPack}
+ */
+export function buildPack(fragments, options) {
+  const budget = options.budget || 4000;
+  const threshold = Number(options.dedupeThreshold ?? 0.8);
+  if (String(options.dedupeThreshold).trim() === '' || !(threshold >= 0 && threshold <= 1)) {
+    throw new Error(`Invalid dedupe threshold "${options.dedupeThreshold}" (expected a number from 0 to 1)`);
+  }
+  const specs = (options.stack || []).map(parseStackSpec);
+
+  const relevance = bm25Scores(fragments.map(searchText), options.task);
+  const maxRelevance = Math.max(0, ...relevance);
+  const ranked = fragments
+    .map((fragment, i) => {
+      const taskFit = maxRelevance > 0 ? relevance[i] / maxRelevance : 0;
+      const stackFit = stackScore(fragment, specs);
+      const confidence = fragment.consensus?.score ?? CONFIDENCE_WEIGHTS[fragment.confidence] ?? 0;
+      const packScore = WEIGHTS.relevance * taskFit + WEIGHTS.stack * stackFit + WEIGHTS.confidence * confidence;
+      return { fragment, taskFit, stackFit, packScore };
+    })
+    // Unrelated to both the task and the stack — confidence alone doesn't earn a place
+    .filter(r => r.taskFit > 0 || r.stackFit > 0)
+    .sort((a, b) => b.packScore - a.packScore);
+
+  const vectors = tfidfVectors(ranked.map(r => `${r.fragment.title}\n${r.fragment.description}`));
+  const header = renderHeader(options.task, options.stack || []);
+  const selected = [];
+  const selectedVectors = [];
+  // Section headings are only known once items are picked — reserve room for all of them
+  let tokens = estimateTokens(header) + estimateTokens(`${TYPE_SECTIONS.map(([, heading]) => `### ${heading}\n\n`).join('')}\n### Sources\n\n`);
+
+  for (const [i, { fragment, packScore }] of ranked.entries()) {
+    if (selectedVectors.some(vector => cosine(vector, vectors[i]) >= threshold)) continue;
+    // Cost of the item plus its citation line
+    const cost = estimateTokens(renderItem(fragment, selected.length + 1)) + estimateTokens(renderCitation(fragment, selected.length + 1));
+    if (tokens + cost > budget) continue;
+    selected.push({ ...fragment, packScore: Math.round(packScore * 1000) / 1000 });
+    selectedVectors.push(vectors[i]);
+    tokens += cost;
+  }
+
+  const markdown = render(header, selected);
+  return { markdown, selected, tokens: estimateTokens(markdown), candidates: ranked.length };
+}
+
+/**
+ * Share of the target stack the fragment's source was built with; a
+ * matching name on another major version counts half
+ */
+function stackScore(fragment, specs) {
+  if (specs.length === 0) return 0;
+  const stack = fragment.stack || [];
+  const points = specs.reduce((sum, spec) => {
+    if (matchesStack(stack, spec)) return sum + 1;
+    if (spec.range && matchesStack(stack, { name: spec.name, range: '' })) return sum + 0.5;
+    return sum;
+  }, 0);
+  return points / specs.length;
+}
+
+function renderHeader(task, stack) {
+  const lines = [`## Project knowledge for: ${task}`];
+  if (stack.length > 0) lines.push(`Target stack: ${stack.join(', ')}`);
+  return `${lines.join('\n\n')}\n\n`;
+}
+
+function renderItem(fragment, number) {
+  const indented = displayDescription(fragment).split('\n').map(line => (line ? `  ${line}` : '')).join('\n');
+  return `- **${fragment.title}** [${number}]\n${indented}\n`;
+}
+
+function renderCitation(fragment, number) {
+  const location = `${fragment.source.repo}/${fragment.source.file}:${fragment.source.line}`;
+  return `[${number}]: ${fragment.source.url ? `${location} — ${fragment.source.url}` : location}\n`;
+}
+
+function render(header, selected) {
+  if (selected.length === 0) return `${header}_No matching knowledge._\n`;
+
+  // Number citations in the order items appear, grouped by type
+  const ordered = TYPE_SECTIONS.flatMap(([type]) => selected.filter(f => f.type === type));
+  const sections = TYPE_SECTIONS
+    .map(([type, heading]) => {
+      const items = ordered
+        .map((fragment, i) => ({ fragment, number: i + 1 }))
+        .filter(({ fragment }) => fragment.type === type);
+      return items.length > 0 ? `### ${heading}\n\n${items.map(({ fragment, number }) => renderItem(fragment, number)).join('\n')}` : null;
+    })
+    .filter(Boolean);
+  const citations = ordered.map((fragment, i) => renderCitation(fragment, i + 1)).join('');
+
+  return `${header}${sections.join('\n')}\n### Sources\n\n${citations}`;
+}
@@ -0,0 +1,211 @@
+import { existsSync } from 'node:fs';
+import { join, resolve, basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * @typedef {Object} RepoRef
+ * @property {string} provider - github|gitlab|bitbucket|bitbucket-server|generic
+ * @property {string} host - Remote host ('' for file:// remotes)
+ * @property {string} owner - Owner, GitLab group path (incl. subgroups) or Bitbucket project key
+ * @property {string} name - Repo name without .git
+ * @property {string} cloneUrl - URL passed to `git clone`
+ */
+
+/**
+ * Hosting providers: how to build browsable URLs for a parsed repo.
+ * `fileUrl` returns '' when the remote has no web UI to link to.
+ */
+export const PROVIDERS = {
+  github: {
+    webUrl: (r) => `https://${r.host}/${r.owner}/${r.name}`,
+    fileUrl: (r, file, line, ref) => `${PROVIDERS.github.webUrl(r)}/blob/${ref}/${file}#L${line}`,
+  },
+  gitlab: {
+    webUrl: (r) => `https://${r.host}/${r.owner}/${r.name}`,
+    fileUrl: (r, file, line, ref) => `${PROVIDERS.gitlab.webUrl(r)}/-/blob/${ref}/${file}#L${line}`,
+  },
+  bitbucket: {
+    webUrl: (r) => `https://${r.host}/${r.owner}/${r.name}`,
+    fileUrl: (r, file, line, ref) => `${PROVIDERS.bitbucket.webUrl(r)}/src/${ref}/${file}#lines-${line}`,
+  },
+  'bitbucket-server': {
+    webUrl: (r) => `https://${r.host}/projects/${r.owner}/repos/${r.name}`,
+    fileUrl: (r, file, line, ref) =>
+      `${PROVIDERS['bitbucket-server'].webUrl(r)}/browse/${file}?at=${encodeURIComponent(ref)}#${line}`,
+  },
+  generic: {
+    webUrl: () => '',
+    fileUrl: () => '',
+  },
+};
+
+/**
+ * Well-known hosts. Self-hosted instances are recognised by name ("gitlab.acme.dk")
+ * or mapped explicitly via GIT_PROVIDER_HOSTS="git.acme.dk=gitlab,code.acme.dk=bitbucket-server".
+ */
+const KNOWN_HOSTS = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'bitbucket.org': 'bitbucket',
+};
+
+/**
+ * Detect which provider serves a host
+ * @param {string} host
+ * @returns {string}
+ */
+export function detectProvider(host) {
+  const hostname = host.toLowerCase().replace(/:\d+$/, '');
+
+  for (const entry of (process.env.GIT_PROVIDER_HOSTS || '').split(',')) {
+    const [configuredHost, provider] = entry.split('=').map(s => s?.trim());
+    if (configuredHost && PROVIDERS[provider] && configuredHost.toLowerCase() === hostname) {
+      return provider;
+    }
+  }
+
+  if (KNOWN_HOSTS[hostname]) return KNOWN_HOSTS[hostname];
+  if (hostname.includes('gitlab')) return 'gitlab';
+  if (hostname.includes('bitbucket')) return 'bitbucket-server';
+  if (hostname.includes('github')) return 'github';
+  return 'generic';
+}
+
+/**
+ * Parse a repo identifier: "owner/repo" shorthand (GitHub), https/ssh/git URLs,
+ * scp-style "git@host:path", file:// URLs and local paths to bare repos.
+ * @param {string} input
+ * @returns {RepoRef | null}
+ */
+export function parseRemote(input) {
+  const value = input.trim();
+
+  // Shorthand: owner/repo (always GitHub)
+  const shortMatch = value.match(/^([\w.-]+)\/([\w.-]+)$/);
+  if (shortMatch && !isBareRepo(value)) {
+    const name = shortMatch[2].replace(/\.git$/, '');
+    return {
+      provider: 'github',
+      host: 'github.com',
+      owner: shortMatch[1],
+      name,
+      cloneUrl: `https://github.com/${shortMatch[1]}/${name}`,
+    };
+  }
+
+  // file:// URL
+  if (value.startsWith('file://')) {
+    return fromPath(stripGit(new URL(value).pathname), value);
+  }
+
+  // scheme://[user@]host[:port]/path
+  const urlMatch = value.match(/^(https?|ssh|git):\/\/(?:[^@/]+@)?([^/]+)\/(.+)$/);
+  if (urlMatch) {
+    return fromHostPath(urlMatch[2], urlMatch[3], value);
+  }
+
+  // scp-like: [user@]host:path (but not a Windows drive letter)
+  const scpMatch = value.match(/^(?:[^@/]+@)?([^:/\s]{2,}):(?!\/\/)(.+)$/);
+  if (scpMatch) {
+    return fromHostPath(scpMatch[1], scpMatch[2], value);
+  }
+
+  // Local path to a bare repo (handy for tests and mirrors)
+  if (isBareRepo(value)) {
+    const absolute = resolve(value);
+    return fromPath(stripGit(absolute), pathToFileURL(absolute).href);
+  }
+
+  return null;
+}
+
+/**
+ * Remove credentials from remote URLs anywhere in a text (inputs, git error
+ * output) before it is logged or written to a report. The whole userinfo goes
+ * for http(s), where tokens often stand in for the user name; other schemes
+ * keep the user ("ssh://git@…") and lose the password.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripCredentials(text) {
+  return String(text)
+    .replace(/\b(https?:\/\/)[^@/\s]+@/gi, '$1')
+    .replace(/\b([a-z][\w+.-]*:\/\/[^:@/\s]+):[^@/\s]+@/gi, '$1@');
+}
+
+/**
+ * Build a deep link to a file line for a repo, or '' when the remote has no web UI
+ * @param {{ provider?: string, host?: string, owner: string, name: string, url?: string, ref?: string }} repoInfo
+ * @param {string} file
+ * @param {number} line
+ * @returns {string}
+ */
+export function buildFileUrl(repoInfo, file, line) {
+  const provider = PROVIDERS[repoInfo.provider];
+  if (!provider || !repoInfo.url) return '';
+  return provider.fileUrl(repoInfo, encodePath(file), line, repoInfo.ref || 'main');
+}
+
+/**
+ * @param {string} host
+ * @param {string} path
+ * @param {string} cloneUrl
+ * @returns {RepoRef | null}
+ */
+function fromHostPath(host, path, cloneUrl) {
+  const provider = detectProvider(host);
+  let segments = stripGit(path).split('/').filter(Boolean);
+  const hostname = host.replace(/:\d+$/, '');
+
+  switch (provider) {
+    case 'github':
+    case 'bitbucket':
+      if (segments.length !== 2) return null;
+      break;
+    case 'gitlab':
+      // Groups can nest arbitrarily: group/subgroup/.../repo
+      if (segments.length < 2) return null;
+      break;
+    case 'bitbucket-server':
+      // https://host/scm/KEY/repo.git or ssh://git@host:7999/KEY/repo.git
+      if (segments[0] === 'scm') segments = segments.slice(1);
+      if (segments.length !== 2) return null;
+      break;
+    default:
+      if (segments.length === 0) return null;
+  }
+
+  const name = segments[segments.length - 1];
+  const owner = segments.slice(0, -1).join('/') || hostname;
+  return { provider, host: hostname, owner, name, cloneUrl };
+}
+
+/**
+ * @param {string} path
+ * @param {string} cloneUrl
+ * @returns {RepoRef}
+ */
+function fromPath(path, cloneUrl) {
+  return { provider: 'generic', host: '', owner: 'local', name: basename(path), cloneUrl };
+}
+
+function stripGit(path) {
+  return path.replace(/\/+$/, '').replace(/\.git$/, '');
+}
+
+function encodePath(file) {
+  return file.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * A bare repo has HEAD and objects/ at its root and no working tree
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isBareRepo(path) {
+  try {
+    return existsSync(join(path, 'HEAD')) && existsSync(join(path, 'objects')) && !existsSync(join(path, '.git'));
+  } catch {
+    return false;
+  }
+}
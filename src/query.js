@@ -0,0 +1,212 @@
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { bm25Scores } from './text.js';
+import { satisfies, parseRange } from './semver.js';
+import { openStore, parseStoreTarget, splitStackItem } from './store.js';
+
+/**
+ * Load, filter and search extracted fragments — what CPM would retrieve for
+ * a given stack, without jq
+ */
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+// classify.js keeps the first 500 characters of a block as its description
+const DESCRIPTION_LIMIT = 500;
+
+/**
+ * @typedef {Object} QueryFilters
+ * @property {string[]} [stack] - Specs like "next.js@>=15" or "vitest"; all must match
+ * @property {string[]} [category] - Any of these
+ * @property {string[]} [type] - Any of these
+ * @property {string} [confidence] - Minimum level
+ * @property {string[]} [tag] - All must be present
+ * @property {string[]} [repo] - Source repo (owner/name), any of these
+ * @property {string} [search] - Ranked full-text search over title, description and example
+ */
+
+/**
+ * Load fragments from output JSON files and/or stores ("sqlite:path.db")
+ * @param {string[]} sources
+ * @param {{ includeStale?: boolean }} [options]
+ * @returns {Promise<Object[]>}
+ */
+export async function loadFragments(sources, { includeStale = false } = {}) {
+  const fragments = [];
+
+  for (const source of sources) {
+    if (source.startsWith('sqlite:')) {
+      const { path } = parseStoreTarget(source);
+      if (!existsSync(path)) throw new Error(`Store not found: ${path}`);
+      const db = await openStore(path);
+      try {
+        const rows = db.prepare(`SELECT data, stale FROM fragments ${includeStale ? '' : 'WHERE stale = 0'} ORDER BY repo, file, line`).all();
+        fragments.push(...rows.map(row => ({ ...JSON.parse(row.data), ...(row.stale && { stale: true }) })));
+      } finally {
+        db.close();
+      }
+      continue;
+    }
+
+    let document;
+    try {
+      document = JSON.parse(await readFile(source, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read fragments from ${source}: ${error.message} (expected a JSON output file or sqlite:<path>)`);
+    }
+    if (!Array.isArray(document.fragments)) {
+      throw new Error(`${source} has no "fragments" array`);
+    }
+    fragments.push(...document.fragments);
+  }
+
+  return fragments;
+}
+
+/**
+ * Apply filters and, with a search string, rank by BM25 (non-matching
+ * fragments dropped). Without a search, higher confidence comes first.
+ * @param {Object[]} fragments
+ * @param {QueryFilters} filters
+ * @returns {Array<Object & { score?: number }>}
+ */
+export function queryFragments(fragments, filters = {}) {
+  const stackSpecs = (filters.stack || []).map(parseStackSpec);
+  const minConfidence = filters.confidence ? CONFIDENCE_LEVELS.indexOf(filters.confidence) : 0;
+  if (minConfidence === -1) {
+    throw new Error(`Unknown confidence "${filters.confidence}" (expected ${CONFIDENCE_LEVELS.join(', ')})`);
+  }
+  const anyOf = (values, value) => !values?.length || values.includes(value);
+
+  const matching = fragments.filter(f =>
+    anyOf(filters.category, f.category) &&
+    anyOf(filters.type, f.type) &&
+    anyOf(filters.repo, f.source?.repo) &&
+    CONFIDENCE_LEVELS.indexOf(f.confidence) >= minConfidence &&
+    (filters.tag || []).every(tag => f.tags?.includes(tag)) &&
+    stackSpecs.every(spec => matchesStack(f.stack || [], spec))
+  );
+
+  if (!filters.search) {
+    return matching
+      .map((fragment, index) => ({ fragment, index }))
+      .sort((a, b) => CONFIDENCE_LEVELS.indexOf(b.fragment.confidence) - CONFIDENCE_LEVELS.indexOf(a.fragment.confidence) || a.index - b.index)
+      .map(({ fragment }) => fragment);
+  }
+
+  const scores = bm25Scores(matching.map(searchText), filters.search);
+  return matching
+    .map((fragment, index) => ({ ...fragment, score: Math.round(scores[index] * 1000) / 1000 }))
+    .filter(f => f.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Text searched for a fragment: title, description and example
+ * @param {Object} fragment
+ * @returns {string}
+ */
+export function searchText(fragment) {
+  return [fragment.title, fragment.description, fragment.example].filter(Boolean).join('\n');
+}
+
+/**
+ * "next.js@>=15" → { name: 'next', range: '>=15' }; names compare loosely
+ * ("next", "nextjs" and "next.js" are the same)
+ * @param {string} spec
+ * @returns {{ name: string, range: string }}
+ */
+export function parseStackSpec(spec) {
+  const match = spec.trim().match(/^(@?[^@\s]+)(?:@(.*))?$/);
+  if (!match) throw new Error(`Invalid stack filter "${spec}" (expected name or name@range)`);
+  const range = (match[2] || '').trim();
+  parseRange(range); // Throws on a malformed range before any fragment is checked
+  return { name: normalizeStackName(match[1]), range };
+}
+
+/**
+ * @param {string[]} stack - Fragment stack items, e.g. ["next.js@15.1.0", "tailwind"]
+ * @param {{ name: string, range: string }} spec
+ * @returns {boolean}
+ */
+export function matchesStack(stack, spec) {
+  return stack.some(item => {
+    const { name, version } = splitStackItem(item);
+    return normalizeStackName(name) === spec.name && satisfies(version, spec.range);
+  });
+}
+
+function normalizeStackName(name) {
+  return name.toLowerCase().replace(/\.?js$/, '').replace(/[^a-z0-9@/]/g, '');
+}
+
+/**
+ * Render query results
+ * @param {Array<Object & { score?: number }>} results
+ * @param {'table'|'json'|'markdown'} format
+ * @returns {string}
+ */
+export function formatResults(results, format = 'table') {
+  if (format === 'json') return JSON.stringify(results, null, 2);
+  if (format === 'markdown') return toMarkdown(results);
+  if (format === 'table') return toTable(results);
+  throw new Error(`Unknown format "${format}" (expected table, json or markdown)`);
+}
+
+function toTable(results) {
+  if (results.length === 0) return 'No matching fragments';
+
+  const hasScore = results.some(r => r.score !== undefined);
+  const columns = [
+    ...(hasScore ? [['score', r => r.score.toFixed(2)]] : []),
+    ['id', r => r.id],
+    ['category', r => r.category],
+    ['type', r => r.type],
+    ['conf', r => r.confidence],
+    ['title', r => truncate(r.stale ? `${r.title} (stale)` : r.title, 48)],
+    ['source', r => `${r.source.repo}/${r.source.file}:${r.source.line}`],
+  ];
+  const rows = results.map(r => columns.map(([, cell]) => String(cell(r))));
+  const widths = columns.map(([header], i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(columns.map(([header]) => header)),
+    line(widths.map(width => '─'.repeat(width))),
+    ...rows.map(line),
+    '',
+    `${results.length} fragment(s)`,
+  ].join('\n');
+}
+
+function toMarkdown(results) {
+  if (results.length === 0) return '_No matching fragments._\n';
+
+  return results.map(r => {
+    const meta = [
+      r.category, r.type, `${r.confidence} confidence`,
+      ...(r.score !== undefined ? [`score ${r.score}`] : []),
+      ...(r.stale ? ['stale'] : []),
+    ];
+    const stack = r.stack?.length ? `\nStack: ${r.stack.join(', ')}` : '';
+    const source = r.source.url ? `[${r.source.repo}/${r.source.file}:${r.source.line}](${r.source.url})` : `${r.source.repo}/${r.source.file}:${r.source.line}`;
+    return `### ${r.title}\n\n_${meta.join(' · ')}_${stack}\n\n${displayDescription(r)}\n\nSource: ${source}\n`;
+  }).join('\n');
+}
+
+/**
+ * Description ready to embed in Markdown: without the section heading it
+ * usually opens with, and with a code fence cut off by the 500-character
+ * limit closed again
+ * @param {Object} fragment
+ * @returns {string}
+ */
+export function displayDescription(fragment) {
+  let text = fragment.description.replace(/^#{1,6}\s.*\n+/, '').trim();
+  if (fragment.description.length >= DESCRIPTION_LIMIT) text += '…';
+  if ((text.match(/^\s*```/gm) || []).length % 2 === 1) text += '\n```';
+  return text;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
@@ -0,0 +1,109 @@
+/**
+ * Just enough semver to filter fragments by stack version: comparators
+ * (>=15, <16, =1.2), caret and tilde ranges, x-ranges (15, 15.x, 1.2.*),
+ * hyphen ranges (1.2 - 16), space-separated AND and || OR. Prerelease tags
+ * are ignored.
+ */
+
+/**
+ * @param {string} version - e.g. "14.2.3", "3.12", "v1.22"
+ * @returns {number[] | null} [major, minor, patch] or null when not a version
+ */
+export function parseVersion(version) {
+  const match = String(version || '').trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)] : null;
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} negative, 0 or positive
+ */
+function compare(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * Parse a range into its alternatives (||), each a list of comparators that
+ * must all hold. Every comparator is checked, so a malformed one throws even
+ * when an earlier one would already decide the match.
+ * @param {string} range - e.g. ">= 15 <16", "^1.2 || ~2.0", "1.2 - 16"
+ * @returns {Array<Array<{ operator: string, parts: number[], given: number }>>} Empty for any version
+ */
+export function parseRange(range) {
+  const trimmed = String(range || '').trim();
+  if (!trimmed || trimmed === '*' || trimmed.toLowerCase() === 'x') return [];
+
+  return trimmed.split('||').map(alternative => {
+    // "1.2 - 16" is ">=1.2 <=16"
+    const hyphen = alternative.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+    const comparators = hyphen
+      ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+      : alternative.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    if (comparators.length === 0) throw new Error(`Invalid version range "${trimmed}"`);
+    return comparators.map(parseComparator);
+  });
+}
+
+/**
+ * Does a version satisfy a range? An empty range or "*" matches anything,
+ * including an unknown version; otherwise an unknown version never matches.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function satisfies(version, range) {
+  const alternatives = parseRange(range);
+  if (alternatives.length === 0) return true;
+
+  const parsed = parseVersion(version);
+  if (!parsed) return false;
+
+  return alternatives.some(comparators => comparators.every(comparator => matchComparator(parsed, comparator)));
+}
+
+function parseComparator(comparator) {
+  const match = comparator.match(/^(>=|<=|>|<|=|\^|~)?v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-[\w.]+)?$/);
+  if (!match) throw new Error(`Invalid version range "${comparator}"`);
+
+  const [, operator = '', ...rawParts] = match;
+  const wildcard = part => part === undefined || /^[xX*]$/.test(part);
+  // Number of leading parts that were given (15 → 1, 15.2 → 2, 15.2.1 → 3)
+  const given = rawParts.findIndex(wildcard) === -1 ? 3 : rawParts.findIndex(wildcard);
+  const parts = rawParts.map(part => (wildcard(part) ? 0 : Number(part)));
+  return { operator, parts, given };
+}
+
+function matchComparator(version, { operator, parts, given }) {
+  if (given === 0) return true;
+
+  switch (operator) {
+    case '>=': return compare(version, parts) >= 0;
+    case '<=': return given === 3 ? compare(version, parts) <= 0 : compare(version, bump(parts, given)) < 0;
+    case '>': return given === 3 ? compare(version, parts) > 0 : compare(version, bump(parts, given)) >= 0;
+    case '<': return compare(version, parts) < 0;
+    case '^': {
+      // ^1.2.3 → <2.0.0, ^0.2.3 → <0.3.0, ^0.0.3 → <0.0.4
+      const significant = parts.findIndex(part => part !== 0);
+      const level = significant === -1 ? given : Math.min(significant + 1, given);
+      return compare(version, parts) >= 0 && compare(version, bump(parts, level)) < 0;
+    }
+    case '~':
+      // ~1.2.3 → <1.3.0, ~1 → <2.0.0
+      return compare(version, parts) >= 0 && compare(version, bump(parts, Math.min(given, 2))) < 0;
+    default:
+      // "15", "15.x", "=15.2" match everything with the given leading parts
+      return compare(version, parts) >= 0 && compare(version, bump(parts, given)) < 0;
+  }
+}
+
+/**
+ * Smallest version above every version sharing the first `level` parts
+ * bump([1, 2, 3], 2) → [1, 3, 0]
+ */
+function bump(parts, level) {
+  const next = [...parts];
+  next[level - 1]++;
+  for (let i = level; i < 3; i++) next[i] = 0;
+  return next;
+}
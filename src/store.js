@@ -0,0 +1,249 @@
+import { mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { toOutputFragment } from './output.js';
+import { mapIds } from './diff.js';
+
+/**
+ * Persistent knowledge bank in SQLite (`--store sqlite:path.db`). Unlike the
+ * JSON output, which is rewritten per run, the store accumulates: fragments
+ * are upserted by ID, every repo run is recorded with its commit SHA, and
+ * fragments a repo no longer produces are marked stale instead of deleted.
+ * Repos are keyed by host and path (`github.com/acme/app`), not owner/name.
+ * A fragment whose text was edited keeps its row (and history) under its new
+ * ID, with the rename recorded in fragment_renames. Uses the built-in node:sqlite module (Node.js 22.13+).
+ */
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  repo_key TEXT NOT NULL,
+  repo TEXT NOT NULL,
+  input TEXT NOT NULL,
+  sha TEXT,
+  status TEXT NOT NULL,
+  started_at TEXT NOT NULL,
+  finished_at TEXT NOT NULL,
+  fragments INTEGER NOT NULL DEFAULT 0,
+  added INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  stale INTEGER NOT NULL DEFAULT 0,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_runs_repo ON runs(repo_key, id);
+
+CREATE TABLE IF NOT EXISTS fragments (
+  id TEXT PRIMARY KEY,
+  repo_key TEXT NOT NULL,
+  repo TEXT NOT NULL,
+  file TEXT NOT NULL,
+  line INTEGER,
+  category TEXT NOT NULL,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  confidence TEXT NOT NULL,
+  language TEXT,
+  full_content TEXT NOT NULL,
+  data TEXT NOT NULL,
+  first_seen_run INTEGER NOT NULL REFERENCES runs(id),
+  last_seen_run INTEGER NOT NULL REFERENCES runs(id),
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  stale INTEGER NOT NULL DEFAULT 0,
+  stale_since TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_fragments_repo ON fragments(repo_key, stale);
+CREATE INDEX IF NOT EXISTS idx_fragments_category ON fragments(category);
+CREATE INDEX IF NOT EXISTS idx_fragments_type ON fragments(type);
+
+CREATE TABLE IF NOT EXISTS fragment_stack (
+  fragment_id TEXT NOT NULL REFERENCES fragments(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  version TEXT NOT NULL DEFAULT '',
+  PRIMARY KEY (fragment_id, name)
+);
+CREATE INDEX IF NOT EXISTS idx_fragment_stack_name ON fragment_stack(name, version);
+
+CREATE TABLE IF NOT EXISTS fragment_tags (
+  fragment_id TEXT NOT NULL REFERENCES fragments(id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (fragment_id, tag)
+);
+CREATE INDEX IF NOT EXISTS idx_fragment_tags_tag ON fragment_tags(tag);
+
+CREATE TABLE IF NOT EXISTS fragment_renames (
+  old_id TEXT NOT NULL,
+  new_id TEXT NOT NULL,
+  run_id INTEGER NOT NULL REFERENCES runs(id),
+  PRIMARY KEY (old_id, run_id)
+);
+CREATE INDEX IF NOT EXISTS idx_fragment_renames_new ON fragment_renames(new_id);
+`;
+
+/**
+ * @typedef {Object} StoreStats
+ * @property {number} runs - Repo runs recorded
+ * @property {number} added - Fragments new to the store
+ * @property {number} updated - Existing fragments whose content changed
+ * @property {number} unchanged - Existing fragments seen again as they were
+ * @property {number} renamed - Existing fragments that came back under a new ID (also counted as updated)
+ * @property {number} stale - Fragments newly marked stale
+ */
+
+/**
+ * Parse a --store target
+ * @param {string} spec - e.g. "sqlite:knowledge.db"
+ * @returns {{ kind: 'sqlite', path: string }}
+ */
+export function parseStoreTarget(spec) {
+  const match = spec.match(/^sqlite:(.+)$/);
+  if (!match) {
+    throw new Error(`Unsupported store "${spec}" (expected sqlite:<path>)`);
+  }
+  return { kind: 'sqlite', path: resolve(match[1]) };
+}
+
+/**
+ * Open (and create) the SQLite knowledge bank
+ * @param {string} path
+ * @returns {Promise<import('node:sqlite').DatabaseSync>}
+ */
+export async function openStore(path) {
+  let sqlite;
+  try {
+    sqlite = await import('node:sqlite');
+  } catch {
+    throw new Error(`The SQLite store needs Node.js 22.13 or newer (running ${process.version})`);
+  }
+
+  await mkdir(dirname(path), { recursive: true });
+  const db = new sqlite.DatabaseSync(path);
+  const { user_version: version } = db.prepare('PRAGMA user_version').get();
+  if (version > SCHEMA_VERSION) {
+    db.close();
+    throw new Error(`${path} was written by a newer version (schema ${version}, this version reads ${SCHEMA_VERSION})`);
+  }
+  db.exec('PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL;');
+  db.exec(SCHEMA);
+  db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+  return db;
+}
+
+/**
+ * Record one run per repo and upsert its fragments. Repos that failed are
+ * recorded but leave their fragments alone; for the others, fragments they
+ * no longer produce are marked stale (and revived if they come back).
+ * @param {string} path - Database file
+ * @param {Array<{ key: string, repo: string, input: string, sha?: string|null, status: string, fragments: Array, error?: string|null }>} runs -
+ *   key identifies the repo (host and path); repo is its owner/name for display
+ * @param {{ startedAt: Date }} options
+ * @returns {Promise<StoreStats>}
+ */
+export async function writeStore(path, runs, { startedAt }) {
+  const db = await openStore(path);
+  const stats = { runs: 0, added: 0, updated: 0, unchanged: 0, renamed: 0, stale: 0 };
+
+  const insertRun = db.prepare(`
+    INSERT INTO runs (repo_key, repo, input, sha, status, started_at, finished_at, fragments, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  const finishRun = db.prepare('UPDATE runs SET added = ?, updated = ?, stale = ? WHERE id = ?');
+  const findFragment = db.prepare('SELECT data, stale FROM fragments WHERE id = ?');
+  const insertFragment = db.prepare(`
+    INSERT INTO fragments (id, repo_key, repo, file, line, category, type, title, confidence, language, full_content, data,
+      first_seen_run, last_seen_run, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  const updateFragment = db.prepare(`
+    UPDATE fragments SET repo_key = ?, repo = ?, file = ?, line = ?, category = ?, type = ?, title = ?, confidence = ?, language = ?,
+      full_content = ?, data = ?, last_seen_run = ?, updated_at = ?, stale = 0, stale_since = NULL
+    WHERE id = ?`);
+  const touchFragment = db.prepare('UPDATE fragments SET last_seen_run = ?, stale = 0, stale_since = NULL WHERE id = ?');
+  const clearStack = db.prepare('DELETE FROM fragment_stack WHERE fragment_id = ?');
+  const insertStack = db.prepare('INSERT OR IGNORE INTO fragment_stack (fragment_id, name, version) VALUES (?, ?, ?)');
+  const clearTags = db.prepare('DELETE FROM fragment_tags WHERE fragment_id = ?');
+  const insertTag = db.prepare('INSERT OR IGNORE INTO fragment_tags (fragment_id, tag) VALUES (?, ?)');
+  const currentFragments = db.prepare('SELECT data FROM fragments WHERE repo_key = ? AND stale = 0');
+  const renameFragment = db.prepare('UPDATE fragments SET id = ? WHERE id = ?');
+  const insertRename = db.prepare('INSERT OR REPLACE INTO fragment_renames (old_id, new_id, run_id) VALUES (?, ?, ?)');
+  const markStale = db.prepare(`
+    UPDATE fragments SET stale = 1, stale_since = ?
+    WHERE repo_key = ? AND stale = 0 AND id NOT IN (SELECT value FROM json_each(?))`);
+
+  db.exec('BEGIN');
+  try {
+    for (const run of runs) {
+      const now = new Date().toISOString();
+      const { lastInsertRowid: runId } = insertRun.run(
+        run.key, run.repo, run.input, run.sha || null, run.status, startedAt.toISOString(), now, run.fragments.length, run.error || null
+      );
+      stats.runs++;
+      if (run.status === 'failed' || run.status === 'timeout') continue;
+
+      // Carry edited fragments over to their new ID before upserting
+      const renames = mapIds(currentFragments.all(run.key).map(row => JSON.parse(row.data)), run.fragments);
+      for (const [oldId, newId] of Object.entries(renames)) {
+        if (findFragment.get(newId)) continue;
+        clearStack.run(oldId);
+        clearTags.run(oldId);
+        renameFragment.run(newId, oldId);
+        insertRename.run(oldId, newId, runId);
+        stats.renamed++;
+      }
+
+      let added = 0;
+      let updated = 0;
+      for (const fragment of run.fragments) {
+        const data = JSON.stringify(toOutputFragment(fragment));
+        const existing = findFragment.get(fragment.id);
+        const columns = [
+          run.key, fragment.source.repo, fragment.source.file, fragment.source.line, fragment.category, fragment.type,
+          fragment.title, fragment.confidence, fragment.language || null, fragment.fullContent || fragment.description, data,
+        ];
+
+        if (!existing) {
+          insertFragment.run(fragment.id, ...columns, runId, runId, now, now);
+          added++;
+        } else if (existing.data !== data) {
+          updateFragment.run(...columns, runId, now, fragment.id);
+          updated++;
+        } else {
+          touchFragment.run(runId, fragment.id);
+          stats.unchanged++;
+          continue;
+        }
+
+        clearStack.run(fragment.id);
+        for (const item of fragment.stack) {
+          const { name, version } = splitStackItem(item);
+          insertStack.run(fragment.id, name, version);
+        }
+        clearTags.run(fragment.id);
+        for (const tag of fragment.tags) insertTag.run(fragment.id, tag);
+      }
+
+      const { changes: stale } = markStale.run(now, run.key, JSON.stringify(run.fragments.map(f => f.id)));
+      finishRun.run(added, updated, stale, runId);
+      stats.added += added;
+      stats.updated += updated;
+      stats.stale += Number(stale);
+    }
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  } finally {
+    db.close();
+  }
+
+  return stats;
+}
+
+/**
+ * "next@14.2.3" → { name: 'next', version: '14.2.3' }; scoped names keep their leading @
+ * @param {string} item
+ * @returns {{ name: string, version: string }}
+ */
+export function splitStackItem(item) {
+  const at = item.lastIndexOf('@');
+  return at > 0 ? { name: item.slice(0, at), version: item.slice(at + 1) } : { name: item, version: '' };
+}
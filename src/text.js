@@ -0,0 +1,118 @@
+/**
+ * Words that carry no meaning for similarity (English + Danish).
+ * Negations are deliberately kept: "do X" and "do not X" must not look alike.
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'else', 'of', 'to', 'in', 'on', 'at', 'by',
+  'for', 'with', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this',
+  'that', 'these', 'those', 'we', 'you', 'your', 'our', 'they', 'their', 'i', 'so', 'do', 'does',
+  'can', 'will', 'would', 'all', 'any', 'each', 'which', 'when', 'where', 'into',
+  'og', 'eller', 'på', 'til', 'af', 'med', 'en', 'et', 'den', 'det', 'de', 'er', 'som',
+  'vi', 'du', 'har', 'fra', 'kan', 'vil',
+]);
+
+/**
+ * Lowercase word tokens with stopwords and markdown noise removed
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/```[\s\S]*?```/g, ' ')
+    .split(/[^\p{L}\p{N}_.-]+/u)
+    .map(token => token.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Unigrams plus bigrams — bigrams keep "server actions" apart from "actions ... server"
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function terms(text) {
+  const tokens = tokenize(text);
+  const result = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    result.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return result;
+}
+
+/**
+ * Build TF-IDF vectors for a set of documents
+ * @param {string[]} documents
+ * @returns {Array<Map<string, number>>} One sparse, L2-normalized vector per document
+ */
+export function tfidfVectors(documents) {
+  const termLists = documents.map(terms);
+  const documentFrequency = new Map();
+  for (const list of termLists) {
+    for (const term of new Set(list)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const total = documents.length;
+  return termLists.map(list => {
+    const vector = new Map();
+    for (const term of list) {
+      vector.set(term, (vector.get(term) || 0) + 1);
+    }
+    let norm = 0;
+    for (const [term, tf] of vector) {
+      const weight = tf * (Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two L2-normalized sparse vectors
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number} 0..1
+ */
+export function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+/**
+ * Okapi BM25 relevance of each document to a query
+ * @param {string[]} documents
+ * @param {string} query
+ * @param {{ k1?: number, b?: number }} [options]
+ * @returns {number[]} One score per document (0 when no query term occurs)
+ */
+export function bm25Scores(documents, query, { k1 = 1.2, b = 0.75 } = {}) {
+  const tokenLists = documents.map(tokenize);
+  const queryTerms = [...new Set(tokenize(query))];
+  const averageLength = tokenLists.reduce((sum, list) => sum + list.length, 0) / (tokenLists.length || 1);
+
+  const idf = new Map(queryTerms.map(term => {
+    const containing = tokenLists.filter(list => list.includes(term)).length;
+    return [term, Math.log(1 + (tokenLists.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return tokenLists.map(list => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = list.filter(token => token === term).length;
+      if (frequency === 0) continue;
+      score += idf.get(term) * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * list.length / (averageLength || 1)));
+    }
+    return score;
+  });
+}